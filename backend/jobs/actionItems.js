@@ -0,0 +1,115 @@
+const Meeting = require('../models/Meeting');
+const Settings = require('../models/Settings');
+const { overdueFilter, listActionItems } = require('../utils/actionItems');
+const { COUNCIL_TIMEZONE } = require('../utils/meetingTime');
+const { notifyUser } = require('../utils/notify');
+
+const OPEN_STATUSES = ['pending', 'in-progress'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDeadline = (deadline) => {
+  return new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium', timeZone: COUNCIL_TIMEZONE }).format(deadline);
+};
+
+/**
+ * Mark open action items past their deadline as overdue
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<Number>} - Meetings with items marked
+ */
+async function markOverdueItems(now = new Date()) {
+  const status = { $in: OPEN_STATUSES };
+  const deadline = { $lt: now };
+
+  const result = await Meeting.updateMany(
+    { status: { $ne: 'cancelled' }, 'minutes.actionItems': { $elemMatch: { status, deadline } } },
+    { $set: { 'minutes.actionItems.$[item].status': 'overdue' } },
+    { arrayFilters: [{ 'item.status': status, 'item.deadline': deadline }] }
+  );
+
+  return result.modifiedCount;
+}
+
+/**
+ * Remind assignees of open items due within Settings.actionItems.reminderDaysBefore.
+ * Each deadline is reminded once; moving the deadline re-arms the reminder.
+ * @param {Server} io - Socket.io server
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<Number>} - Reminders sent
+ */
+async function sendDeadlineReminders(io, now = new Date()) {
+  const settings = await Settings.getSettings();
+  const horizon = new Date(now.getTime() + settings.actionItems.reminderDaysBefore * DAY_MS);
+
+  const items = await listActionItems({ status: { $ne: 'cancelled' } }, {
+    status: { $in: OPEN_STATUSES },
+    assignee: { $ne: null },
+    deadline: { $gte: now, $lte: horizon },
+    $expr: { $ne: ['$remindedFor', '$deadline'] }
+  });
+
+  for (const item of items) {
+    if (!item.assignee) continue;
+
+    await notifyUser(io, item.assignee._id, {
+      category: 'actionItems',
+      type: 'deadline-reminder',
+      title: 'Action item due soon',
+      message: `"${item.task}" from ${item.meeting.title} is due ${formatDeadline(item.deadline)}`,
+      data: { actionItemId: item._id, meetingId: item.meeting._id }
+    });
+
+    await Meeting.updateOne(
+      { _id: item.meeting._id, 'minutes.actionItems._id': item._id },
+      { $set: { 'minutes.actionItems.$.remindedFor': item.deadline } }
+    );
+  }
+
+  return items.length;
+}
+
+/**
+ * Send each chairperson the overdue items from their meetings
+ * @param {Server} io - Socket.io server
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<Number>} - Digests sent
+ */
+async function sendOverdueDigests(io, now = new Date()) {
+  const items = await listActionItems({ status: { $ne: 'cancelled' } }, overdueFilter(now));
+
+  const byChair = new Map();
+  items.forEach(item => {
+    const chair = item.meeting.chairperson;
+    if (!chair) return;
+
+    const chairId = (chair._id || chair).toString();
+    if (!byChair.has(chairId)) byChair.set(chairId, []);
+    byChair.get(chairId).push(item);
+  });
+
+  for (const [chairId, overdue] of byChair) {
+    await notifyUser(io, chairId, {
+      category: 'actionItems',
+      type: 'overdue-digest',
+      title: 'Overdue action items',
+      message: `${overdue.length} action item${overdue.length === 1 ? ' is' : 's are'} overdue from meetings you chair`,
+      data: {
+        items: overdue.map(item => ({
+          _id: item._id,
+          task: item.task,
+          assignee: item.assignee ? item.assignee.name : null,
+          deadline: item.deadline,
+          meetingId: item.meeting._id,
+          meetingTitle: item.meeting.title
+        }))
+      }
+    });
+  }
+
+  return byChair.size;
+}
+
+module.exports = {
+  markOverdueItems,
+  sendDeadlineReminders,
+  sendOverdueDigests
+};
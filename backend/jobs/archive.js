@@ -0,0 +1,86 @@
+const Meeting = require('../models/Meeting');
+const ChatMessage = require('../models/ChatMessage');
+const Settings = require('../models/Settings');
+const { removeAttachmentFiles } = require('../utils/storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Archive completed meetings older than Settings.archive.autoArchiveAfterDays
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<Number>} - Meetings archived
+ */
+async function archiveCompletedMeetings(now = new Date()) {
+  const settings = await Settings.getSettings();
+  const days = settings.archive.autoArchiveAfterDays;
+  if (!days) return 0;
+
+  const result = await Meeting.updateMany(
+    { status: 'completed', isArchived: { $ne: true }, date: { $lt: new Date(now - days * DAY_MS) } },
+    { $set: { isArchived: true, archivedAt: now }, $unset: { archivedBy: '' } }
+  );
+
+  return result.modifiedCount;
+}
+
+/**
+ * Apply Settings.retention to meetings older than retention.afterYears:
+ * purge or anonymize their attachments and chat. Minutes stay as they are.
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<{ meetings: Number, attachments: Number, messages: Number }>}
+ */
+async function applyRetention(now = new Date()) {
+  const settings = await Settings.getSettings();
+  const policy = settings.retention;
+  const summary = { meetings: 0, attachments: 0, messages: 0 };
+  if (!policy.enabled) return summary;
+
+  const cutoff = new Date(now);
+  cutoff.setFullYear(cutoff.getFullYear() - policy.afterYears);
+  const expired = { date: { $lt: cutoff }, status: { $ne: 'in-progress' } };
+
+  if (policy.attachments === 'purge') {
+    const meetings = await Meeting.find({ ...expired, 'attachments.0': { $exists: true } })
+      .select('attachments')
+      .lean();
+
+    for (const meeting of meetings) {
+      await removeAttachmentFiles(meeting.attachments);
+      await Meeting.updateOne({ _id: meeting._id }, { $set: { attachments: [] } });
+      summary.attachments += meeting.attachments.length;
+    }
+  } else {
+    const filter = { ...expired, 'attachments.uploadedBy': { $exists: true } };
+    const meetings = await Meeting.find(filter).select('attachments.uploadedBy').lean();
+    summary.attachments = meetings.reduce((count, meeting) => {
+      return count + meeting.attachments.filter(attachment => attachment.uploadedBy).length;
+    }, 0);
+
+    await Meeting.updateMany(filter, { $unset: { 'attachments.$[].uploadedBy': '' } });
+  }
+
+  const meetingIds = await Meeting.find(expired).distinct('_id');
+  summary.meetings = meetingIds.length;
+  if (meetingIds.length === 0) return summary;
+
+  if (policy.chat === 'purge') {
+    const result = await ChatMessage.deleteMany({ meeting: { $in: meetingIds } });
+    summary.messages = result.deletedCount;
+  } else {
+    const result = await ChatMessage.updateMany(
+      { meeting: { $in: meetingIds }, anonymizedAt: { $exists: false } },
+      {
+        $set: { anonymizedAt: now },
+        $unset: { sender: '', pinnedBy: '', editedBy: '', deletedBy: '' }
+      }
+    );
+    summary.messages = result.modifiedCount;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  archiveCompletedMeetings,
+  applyRetention
+};
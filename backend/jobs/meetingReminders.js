@@ -0,0 +1,121 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const { getMeetingStart } = require('../utils/meetingTime');
+const { meetingReminderEmail } = require('../utils/emailTemplates');
+const { sendMail } = require('../utils/mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A failed email is retried on later runs up to this many times in total
+const MAX_ATTEMPTS = 3;
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// The closest reminder offset whose time has come, if any
+const dueOffset = (offsets, start, now) => {
+  const due = offsets.filter(offset => start.getTime() - offset * 60000 <= now.getTime());
+  return due.length > 0 ? Math.min(...due) : null;
+};
+
+/**
+ * Claim a delivery before sending so two runs never email the same reminder.
+ * Deliveries left "sending" by a crash are not retried: a missed reminder is
+ * better than a duplicate.
+ * @param {Object} key - { meeting, user, offsetMinutes, meetingStart, channel }
+ * @returns {Promise<ReminderDelivery|null>} - null when already handled
+ */
+async function claimDelivery(key) {
+  try {
+    return await ReminderDelivery.create({ ...key, status: 'sending' });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    return ReminderDelivery.findOneAndUpdate(
+      { ...key, status: 'failed', attempts: { $lt: MAX_ATTEMPTS } },
+      { status: 'sending', $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+}
+
+// Email everyone expected at the meeting who wants email
+const remindAttendees = async (meeting, start, offset, now) => {
+  const recipientIds = new Set(meeting.attendees
+    .filter(attendee => !['absent', 'excused'].includes(attendee.status))
+    .map(attendee => idOf(attendee.user)));
+  [meeting.chairperson, meeting.minutesTaker].forEach(id => id && recipientIds.add(idOf(id)));
+
+  const users = await User.find({
+    _id: { $in: [...recipientIds] },
+    isActive: true,
+    'preferences.notifications.email': { $ne: false }
+  }).select('name email');
+
+  let sent = 0;
+  for (const user of users) {
+    const delivery = await claimDelivery({
+      meeting: meeting._id,
+      user: user._id,
+      offsetMinutes: offset,
+      meetingStart: start,
+      channel: 'email'
+    });
+    if (!delivery) continue;
+
+    try {
+      const info = await sendMail({
+        to: user.email,
+        ...meetingReminderEmail({ meeting, user, start, now })
+      });
+      delivery.set({ status: 'sent', to: user.email, messageId: info.messageId, sentAt: new Date(), error: undefined });
+      sent += 1;
+    } catch (error) {
+      console.error(`Meeting reminder to ${user.email} failed:`, error.message);
+      delivery.set({ status: 'failed', to: user.email, error: error.message });
+    }
+    await delivery.save();
+  }
+
+  return sent;
+};
+
+/**
+ * Email reminders for scheduled meetings at the offsets in
+ * Settings.reminders.meetingOffsets (minutes before the start). Only the
+ * closest due offset is sent, so a meeting booked at short notice does not
+ * get its "one day before" and "one hour before" reminders at once.
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<Number>} - Emails sent
+ */
+async function sendMeetingReminders(now = new Date()) {
+  const settings = await Settings.getSettings();
+  const offsets = settings.reminders.meetingOffsets;
+  if (offsets.length === 0) return 0;
+
+  // Meeting.date is a calendar day, so pad the window by a day either side
+  const horizon = now.getTime() + Math.max(...offsets) * 60000;
+  const meetings = await Meeting.find({
+    status: 'scheduled',
+    isArchived: { $ne: true },
+    date: { $gte: new Date(now.getTime() - DAY_MS), $lte: new Date(horizon + DAY_MS) }
+  }).populate('chairperson', 'name');
+
+  let sent = 0;
+  for (const meeting of meetings) {
+    const start = getMeetingStart(meeting);
+    if (!start || start <= now) continue;
+
+    const offset = dueOffset(offsets, start, now);
+    if (offset === null) continue;
+
+    sent += await remindAttendees(meeting, start, offset, now);
+  }
+
+  return sent;
+}
+
+module.exports = {
+  claimDelivery,
+  sendMeetingReminders
+};
@@ -0,0 +1,76 @@
+const cron = require('node-cron');
+const Settings = require('../models/Settings');
+const { COUNCIL_TIMEZONE } = require('../utils/meetingTime');
+const { markOverdueItems, sendDeadlineReminders, sendOverdueDigests } = require('./actionItems');
+const { sendMeetingReminders } = require('./meetingReminders');
+const { archiveCompletedMeetings, applyRetention } = require('./archive');
+
+// Background jobs by their key in Settings.schedules
+const JOBS = {
+  meetingReminders: () => sendMeetingReminders(),
+  overdueCheck: () => markOverdueItems(),
+  deadlineReminders: (io) => sendDeadlineReminders(io),
+  overdueDigest: (io) => sendOverdueDigests(io),
+  autoArchive: () => archiveCompletedMeetings(),
+  retention: () => applyRetention()
+};
+
+/**
+ * Runs the background jobs on the cron schedules in Settings.schedules.
+ * Call apply() again after the schedules change. A job still running when
+ * its next tick comes is skipped rather than started twice.
+ */
+class JobScheduler {
+  /**
+   * @param {Server} io - Socket.io server handed to the jobs
+   * @param {Object} jobs - Job functions by schedule key
+   */
+  constructor(io, jobs = JOBS) {
+    this.io = io;
+    this.jobs = jobs;
+    this.tasks = new Map();
+    this.running = new Set();
+  }
+
+  async start() {
+    const settings = await Settings.getSettings();
+    this.apply(settings.schedules);
+  }
+
+  /**
+   * Replace the running schedules
+   * @param {Object} schedules - Settings.schedules
+   */
+  apply(schedules) {
+    this.stop();
+
+    Object.keys(this.jobs).forEach(name => {
+      const schedule = schedules && schedules[name];
+      if (!schedule || !schedule.enabled) return;
+
+      this.tasks.set(name, cron.schedule(schedule.cron, () => this.run(name), {
+        timezone: COUNCIL_TIMEZONE
+      }));
+    });
+  }
+
+  async run(name) {
+    if (this.running.has(name)) return;
+    this.running.add(name);
+
+    try {
+      await this.jobs[name](this.io);
+    } catch (error) {
+      console.error(`Scheduled job ${name} error:`, error);
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks.clear();
+  }
+}
+
+module.exports = { JobScheduler, JOBS };
@@ -1,6 +1,19 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+/**
+ * Verify a JWT and load its user
+ * @param {String} token - Token issued by /api/auth
+ * @returns {Promise<User|null>} - User without password, or null if it no longer exists
+ * @throws {Error} - When the token is invalid or expired
+ */
+const userFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this');
+
+  // Tokens issued by /api/auth carry userId
+  return User.findById(decoded.id || decoded.userId).select('-password');
+};
+
 const protect = async (req, res, next) => {
   let token;
 
@@ -9,11 +22,8 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this');
-
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      // Verify token and get its user
+      req.user = await userFromToken(token);
       
       if (!req.user) {
         return res.status(401).json({
@@ -52,4 +62,4 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+module.exports = { protect, authorize, userFromToken };
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+
+// Council officers who may manage any meeting
+const MANAGER_ROLES = ['President', 'Vice President', 'Secretary', 'Admin'];
+
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+const isMeetingManager = (user, meeting) => {
+  if (!user || !meeting) return false;
+  if (MANAGER_ROLES.includes(user.role)) return true;
+
+  const userId = user._id.toString();
+  return [meeting.createdBy, meeting.chairperson, meeting.minutesTaker]
+    .some(id => idOf(id) === userId);
+};
+
+const isMeetingChair = (user, meeting) => {
+  if (!user || !meeting) return false;
+  return idOf(meeting.chairperson) === user._id.toString() || ['President', 'Admin'].includes(user.role);
+};
+
+// Attendance is taken by the chair or the minutes taker
+const canRecordAttendance = (user, meeting) => {
+  if (!user || !meeting) return false;
+  return isMeetingChair(user, meeting) || idOf(meeting.minutesTaker) === user._id.toString();
+};
+
+const isMeetingAttendee = (user, meeting) => {
+  if (!user || !meeting) return false;
+  const userId = user._id.toString();
+  return (meeting.attendees || []).some(attendee => idOf(attendee.user) === userId);
+};
+
+// Guests only see meetings they were invited to; council members see everything
+const canViewMeeting = (user, meeting) => {
+  if (!user || !meeting) return false;
+  if (isMeetingManager(user, meeting) || isMeetingAttendee(user, meeting)) return true;
+  return user.role !== 'Guest';
+};
+
+// Minutes drafts are only visible to the people working on them
+const canSeeDraftMinutes = (user, meeting) => {
+  return isMeetingManager(user, meeting) || isMeetingAttendee(user, meeting);
+};
+
+// Whether the user may read the meeting's minutes in their current state
+const canReadMinutes = (user, meeting) => {
+  return (meeting.minutes && meeting.minutes.status === 'published') || canSeeDraftMinutes(user, meeting);
+};
+
+// Archived meetings are part of the record: they can be read but not changed
+const ARCHIVED_MESSAGE = 'Archived meetings are read-only; restore the meeting first';
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Build middleware that loads the meeting named by :meetingId (or :id) into req.meeting.
+ * Requests that change an archived meeting are rejected with 409 unless allowArchived is set.
+ * @param {Object} options - { allowArchived }
+ */
+const meetingLoader = ({ allowArchived = false } = {}) => async (req, res, next) => {
+  try {
+    const meetingId = req.params.meetingId || req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(meetingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meeting id'
+      });
+    }
+
+    const meeting = await Meeting.findById(meetingId);
+    if (!meeting || !canViewMeeting(req.user, meeting)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (meeting.isArchived && !allowArchived && !READ_METHODS.includes(req.method)) {
+      return res.status(409).json({
+        success: false,
+        message: ARCHIVED_MESSAGE
+      });
+    }
+
+    req.meeting = meeting;
+    next();
+  } catch (error) {
+    console.error('Load meeting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load meeting'
+    });
+  }
+};
+
+const loadMeeting = meetingLoader();
+
+// For archiving and restoring, the only changes an archived meeting accepts
+const loadMeetingForArchiving = meetingLoader({ allowArchived: true });
+
+const requireMeetingManager = (req, res, next) => {
+  if (!isMeetingManager(req.user, req.meeting)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this meeting'
+    });
+  }
+  next();
+};
+
+const requireMeetingChair = (req, res, next) => {
+  if (!isMeetingChair(req.user, req.meeting)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the chairperson can perform this action'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  MANAGER_ROLES,
+  ARCHIVED_MESSAGE,
+  READ_METHODS,
+  isMeetingManager,
+  isMeetingChair,
+  isMeetingAttendee,
+  canRecordAttendance,
+  canViewMeeting,
+  canSeeDraftMinutes,
+  canReadMinutes,
+  loadMeeting,
+  loadMeetingForArchiving,
+  requireMeetingManager,
+  requireMeetingChair
+};
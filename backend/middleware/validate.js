@@ -0,0 +1,21 @@
+const { validationResult } = require('express-validator');
+
+// Reject the request with a 400 when express-validator collected errors
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Shape a mongoose ValidationError like express-validator output
+const formatMongooseErrors = (error) => {
+  return Object.values(error.errors).map(err => ({ param: err.path, msg: err.message }));
+};
+
+module.exports = { handleValidation, formatMongooseErrors };
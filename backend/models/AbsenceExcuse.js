@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A member's reason for missing a meeting, filed before or after it and reviewed by the chair
+const absenceExcuseSchema = new mongoose.Schema({
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reasons can be at most 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review notes can be at most 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One excuse per member and meeting; a rejected one is edited and resubmitted
+absenceExcuseSchema.index({ meeting: 1, user: 1 }, { unique: true });
+absenceExcuseSchema.index({ status: 1, createdAt: -1 });
+
+const AbsenceExcuse = mongoose.model('AbsenceExcuse', absenceExcuseSchema);
+module.exports = AbsenceExcuse;
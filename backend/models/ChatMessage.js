@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const chatMessageSchema = new mongoose.Schema({
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  // Removed by the retention policy once the message is anonymized
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return !this.anonymizedAt; }
+  },
+  text: {
+    type: String,
+    required: [true, 'Message text is required'],
+    trim: true,
+    maxlength: [2000, 'Messages can be at most 2000 characters']
+  },
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pinnedAt: Date,
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedAt: Date,
+  // Deleted messages stay in the history as a placeholder
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletedAt: Date,
+  anonymizedAt: Date
+}, {
+  timestamps: true
+});
+
+chatMessageSchema.index({ meeting: 1, createdAt: -1 });
+chatMessageSchema.index({ meeting: 1, pinned: 1 });
+
+chatMessageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.deletedAt) ret.text = '';
+    return ret;
+  }
+});
+
+const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
+module.exports = ChatMessage;
@@ -8,9 +8,11 @@ const attendeeSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'present', 'absent', 'late'],
+    // excused: absent with an approved AbsenceExcuse
+    enum: ['pending', 'present', 'absent', 'late', 'excused'],
     default: 'pending'
   },
+  // HH:MM in the council timezone
   arrivalTime: String,
   notes: String
 });
@@ -31,9 +33,44 @@ const agendaItemSchema = new mongoose.Schema({
     enum: ['pending', 'in-progress', 'completed', 'deferred'],
     default: 'pending'
   },
-  order: Number
+  order: Number,
+  // Deferred items are copied to the next meeting of the same type (see utils/agenda.js)
+  carriedFrom: {
+    meeting: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting'
+    },
+    item: mongoose.Schema.Types.ObjectId
+  },
+  carriedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting'
+  },
+  // Recorded while the meeting is run live; timeSpent is in seconds
+  startedAt: Date,
+  endedAt: Date,
+  timeSpent: {
+    type: Number,
+    default: 0
+  }
 });
 
+// One turn at the floor during a live meeting
+const speakingTurnSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  agendaItem: mongoose.Schema.Types.ObjectId,
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: Date,
+  seconds: Number
+}, { _id: false });
+
 const actionItemSchema = new mongoose.Schema({
   task: {
     type: String,
@@ -54,7 +91,19 @@ const actionItemSchema = new mongoose.Schema({
     enum: ['pending', 'in-progress', 'completed', 'overdue'],
     default: 'pending'
   },
-  completedAt: Date
+  completedAt: Date,
+  // Progress reported by the assignee (see routes/actionItems.js)
+  completionNotes: {
+    type: String,
+    maxlength: [2000, 'Completion notes can be at most 2000 characters']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: Date,
+  // Deadline the assignee was last reminded of; a moved deadline is reminded again
+  remindedFor: Date
 });
 
 const questionSchema = new mongoose.Schema({
@@ -71,6 +120,70 @@ const questionSchema = new mongoose.Schema({
   }
 });
 
+// A file stored through utils/storage; url points at the access-checked download route
+const attachmentSchema = new mongoose.Schema({
+  filename: String,
+  url: String,
+  // Storage keys of the file and, for images, its thumbnail
+  key: String,
+  thumbnailKey: String,
+  mimeType: String,
+  size: Number,
+  // SHA-256 of the contents, hex
+  checksum: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadDate: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const minutesCommentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One step in the minutes approval workflow
+const minutesEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'returned', 'approved', 'published', 'amended'],
+    required: true
+  },
+  from: String,
+  to: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const MINUTES_CONTENT_FIELDS = ['summary', 'decisions', 'actionItems', 'nextMeeting'];
+
 const meetingSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -107,6 +220,11 @@ const meetingSchema = new mongoose.Schema({
   attendees: [attendeeSchema],
   agenda: [agendaItemSchema],
   questions: [questionSchema],
+  // Students may submit questions through the public portal (routes/questions.js)
+  questionsOpen: {
+    type: Boolean,
+    default: false
+  },
   minutes: {
     summary: String,
     decisions: [String],
@@ -116,7 +234,46 @@ const meetingSchema = new mongoose.Schema({
       time: String,
       location: String,
       agenda: String
-    }
+    },
+    // Quorum state at the last attendance change (see utils/quorum.js)
+    quorum: {
+      met: Boolean,
+      present: Number,
+      required: Number,
+      votingMembers: Number,
+      missingRoles: [String],
+      rule: {
+        mode: String,
+        fraction: Number,
+        count: Number,
+        countLate: Boolean,
+        requiredRoles: [String]
+      },
+      evaluatedAt: Date
+    },
+    // Approval workflow: draft -> in-review -> approved -> published
+    status: {
+      type: String,
+      enum: ['draft', 'in-review', 'approved', 'published'],
+      default: 'draft'
+    },
+    comments: [minutesCommentSchema],
+    history: [minutesEventSchema],
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date,
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    publishedAt: Date
   },
   status: {
     type: String,
@@ -127,29 +284,390 @@ const meetingSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  archivedAt: Date,
+  // Unset when the meeting was archived automatically (see jobs/archive.js)
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  attachments: [{
-    filename: String,
-    url: String,
-    uploadDate: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  tags: [String]
+  attachments: [attachmentSchema],
+  tags: [String],
+  // Set on meetings generated from a recurring MeetingSeries
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MeetingSeries'
+  },
+  // The series slot this meeting fills; stays fixed if the meeting is rescheduled
+  occurrenceDate: Date,
+  // UID of the iCalendar event this meeting was imported from
+  icalUid: String,
+  // iCalendar SEQUENCE: bumped whenever the published schedule changes
+  icalSequence: {
+    type: Number,
+    default: 0
+  },
+  // Live run mode state (see socket/runMeeting.js)
+  live: {
+    startedAt: Date,
+    endedAt: Date,
+    currentItem: mongoose.Schema.Types.ObjectId,
+    speaker: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      startedAt: Date
+    },
+    queue: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      raisedAt: Date
+    }]
+  },
+  speakingLog: [speakingTurnSchema],
+  // Recorded when an urgent meeting was booked despite scheduling conflicts
+  conflictOverride: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    meetings: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting'
+    }]
+  }
 }, {
   timestamps: true
 });
 
 // Indexes for better query performance
+// Changes to these make calendar clients replace their copy of the event
+const ICAL_SCHEDULE_FIELDS = ['title', 'date', 'startTime', 'endTime', 'location', 'status'];
+
+meetingSchema.pre('save', function(next) {
+  if (!this.isNew && ICAL_SCHEDULE_FIELDS.some(field => this.isModified(field))) {
+    this.icalSequence = (this.icalSequence || 0) + 1;
+  }
+  next();
+});
+
 meetingSchema.index({ date: 1 });
 meetingSchema.index({ status: 1 });
 meetingSchema.index({ createdBy: 1 });
 meetingSchema.index({ isArchived: 1 });
+meetingSchema.index({ chairperson: 1, date: 1 });
+meetingSchema.index({ tags: 1 });
+meetingSchema.index(
+  { series: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
+meetingSchema.index({ icalUid: 1 }, { sparse: true });
+meetingSchema.index({ 'minutes.actionItems.assignee': 1 });
+meetingSchema.index({ 'minutes.actionItems._id': 1 });
+// Full-text search (utils/search.js); weights rank title matches first
+meetingSchema.index({
+  title: 'text',
+  objective: 'text',
+  'agenda.title': 'text',
+  'agenda.description': 'text',
+  'minutes.summary': 'text',
+  'minutes.decisions': 'text',
+  'minutes.actionItems.task': 'text'
+}, {
+  name: 'meeting_search',
+  weights: {
+    title: 10,
+    'agenda.title': 5,
+    'minutes.decisions': 5,
+    objective: 3,
+    'minutes.summary': 3,
+    'minutes.actionItems.task': 3,
+    'agenda.description': 2
+  }
+});
+
+/**
+ * Apply attendance changes, adding attendees that are not on the list yet
+ * @param {Array<Object>} updates - [{ user, status, arrivalTime, notes }]
+ */
+meetingSchema.methods.applyAttendance = function(updates) {
+  updates.forEach(({ user, status, arrivalTime, notes }) => {
+    if (!user) return;
+
+    let attendee = this.attendees.find(item => item.user.toString() === (user._id || user).toString());
+    if (!attendee) {
+      this.attendees.push({ user });
+      attendee = this.attendees[this.attendees.length - 1];
+    }
+
+    if (status !== undefined) attendee.status = status;
+    if (arrivalTime !== undefined) attendee.arrivalTime = arrivalTime;
+    if (notes !== undefined) attendee.notes = notes;
+  });
+};
+
+/**
+ * Set one attendee's check-in with targeted updates, so concurrent check-ins do not
+ * overwrite each other. Users not on the list yet are added.
+ * @param {ObjectId} meetingId - Meeting id
+ * @param {ObjectId} userId - Attendee checking in
+ * @param {Object} attendance - { status, arrivalTime }
+ * @returns {Promise<Meeting|null>} - Updated meeting, or null when it no longer exists
+ */
+meetingSchema.statics.recordCheckIn = async function(meetingId, userId, { status, arrivalTime }) {
+  const setAttendee = () => this.findOneAndUpdate(
+    { _id: meetingId, 'attendees.user': userId },
+    { $set: { 'attendees.$.status': status, 'attendees.$.arrivalTime': arrivalTime } },
+    { new: true, runValidators: true }
+  );
+
+  const updated = await setAttendee();
+  if (updated) return updated;
+
+  const added = await this.findOneAndUpdate(
+    { _id: meetingId, 'attendees.user': { $ne: userId } },
+    { $push: { attendees: { user: userId, status, arrivalTime } } },
+    { new: true, runValidators: true }
+  );
+
+  // Someone else added the attendee in between
+  return added || setAttendee();
+};
+
+// Agenda items in running order; items without an order keep their array position
+meetingSchema.methods.orderedAgenda = function() {
+  return this.agenda
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (a.item.order ?? a.index) - (b.item.order ?? b.index) || a.index - b.index)
+    .map(({ item }) => item);
+};
+
+/**
+ * Put the agenda in a new order
+ * @param {Array<String>} itemIds - Every agenda item id, in the new order
+ * @throws {Error} - status 400 unless itemIds lists each item exactly once
+ */
+meetingSchema.methods.reorderAgenda = function(itemIds) {
+  const ids = itemIds.map(id => id.toString());
+  const current = this.agenda.map(item => item._id.toString());
+
+  if (ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every(id => current.includes(id))) {
+    const error = new Error('The new order must list every agenda item exactly once');
+    error.status = 400;
+    throw error;
+  }
+
+  const reordered = ids.map((id, order) => {
+    const item = this.agenda.id(id).toObject();
+    return { ...item, order };
+  });
+  this.agenda = reordered;
+};
+
+// Keep order numbers contiguous after items are added or removed
+meetingSchema.methods.renumberAgenda = function() {
+  this.orderedAgenda().forEach((item, order) => {
+    if (item.order !== order) item.order = order;
+  });
+};
+
+const secondsBetween = (from, to) => Math.max(0, Math.round((to - from) / 1000));
+
+meetingSchema.methods.isRunning = function() {
+  return Boolean(this.live && this.live.startedAt && !this.live.endedAt);
+};
+
+meetingSchema.methods.currentAgendaItem = function() {
+  return this.live && this.live.currentItem ? this.agenda.id(this.live.currentItem) : null;
+};
+
+// Close the current speaker's turn and log the time spent
+meetingSchema.methods.endSpeakingTurn = function(now = new Date()) {
+  const speaker = this.live.speaker;
+  if (!speaker || !speaker.user) return null;
+
+  const turn = {
+    user: speaker.user,
+    agendaItem: this.live.currentItem,
+    startedAt: speaker.startedAt,
+    endedAt: now,
+    seconds: secondsBetween(speaker.startedAt, now)
+  };
+  this.speakingLog.push(turn);
+  this.live.speaker = undefined;
+  return turn;
+};
+
+// Stop the clock on the current agenda item
+meetingSchema.methods.stopAgendaItem = function(status = 'completed', now = new Date()) {
+  const item = this.currentAgendaItem();
+  if (!item) return null;
+
+  this.endSpeakingTurn(now);
+  item.timeSpent = (item.timeSpent || 0) + secondsBetween(item.startedAt || now, now);
+  item.endedAt = now;
+  item.status = status;
+  this.live.currentItem = undefined;
+  return item;
+};
+
+/**
+ * Start the clock on an agenda item; by default the next one still pending
+ * @param {String} itemId - Optional item to jump to
+ * @returns {Object|null} - Item now being discussed, null when the agenda is done
+ */
+meetingSchema.methods.startAgendaItem = function(itemId, now = new Date()) {
+  const item = itemId
+    ? this.agenda.id(itemId)
+    : this.orderedAgenda().find(candidate => ['pending', 'in-progress'].includes(candidate.status));
+  if (!item) return null;
+
+  item.status = 'in-progress';
+  item.startedAt = now;
+  item.endedAt = undefined;
+  this.live.currentItem = item._id;
+  return item;
+};
+
+meetingSchema.methods.startRun = function(now = new Date()) {
+  this.live = { startedAt: now, queue: [] };
+  this.status = 'in-progress';
+  return this.startAgendaItem(null, now);
+};
+
+meetingSchema.methods.endRun = function(now = new Date()) {
+  this.stopAgendaItem('completed', now);
+  this.live.queue = [];
+  this.live.endedAt = now;
+  this.status = 'completed';
+};
+
+// Add a user to the speaker queue; returns false if they are already waiting or speaking
+meetingSchema.methods.raiseHand = function(userId, now = new Date()) {
+  const id = userId.toString();
+  const speaking = this.live.speaker && this.live.speaker.user && this.live.speaker.user.toString() === id;
+  if (speaking || this.live.queue.some(entry => entry.user.toString() === id)) return false;
+
+  this.live.queue.push({ user: userId, raisedAt: now });
+  return true;
+};
+
+meetingSchema.methods.lowerHand = function(userId) {
+  const index = this.live.queue.findIndex(entry => entry.user.toString() === userId.toString());
+  if (index === -1) return false;
+
+  this.live.queue.splice(index, 1);
+  return true;
+};
+
+/**
+ * Give the floor to a queued user, the first in the queue by default
+ * @param {String} userId - Optional user to call out of turn
+ * @returns {ObjectId|null} - New speaker
+ */
+meetingSchema.methods.giveFloor = function(userId, now = new Date()) {
+  const index = userId
+    ? this.live.queue.findIndex(entry => entry.user.toString() === userId.toString())
+    : 0;
+  const entry = this.live.queue[index];
+  if (!entry) return null;
+
+  this.endSpeakingTurn(now);
+  this.live.queue.splice(index, 1);
+  this.live.speaker = { user: entry.user, startedAt: now };
+  return entry.user;
+};
+
+// Seconds each user spoke, for minutes and performance reports
+meetingSchema.methods.speakingTimeByUser = function() {
+  return this.speakingLog.reduce((totals, turn) => {
+    const id = (turn.user._id || turn.user).toString();
+    totals[id] = (totals[id] || 0) + (turn.seconds || 0);
+    return totals;
+  }, {});
+};
+
+// Approved and published minutes can only change through an amendment
+meetingSchema.methods.isMinutesLocked = function() {
+  return ['approved', 'published'].includes(this.minutes.status);
+};
+
+/**
+ * Edit the content of the minutes. A revision is recorded when the meeting is saved.
+ * @param {Object} changes - Any of summary, decisions, actionItems, nextMeeting
+ * @param {ObjectId} userId - Author of the change
+ * @param {Object} options - { reason, restoredFrom } for the revision;
+ *   revision: false saves the change without recording a revision
+ * @throws {Error} - status 409 when the minutes are locked
+ */
+meetingSchema.methods.editMinutes = function(changes, userId, options = {}) {
+  if (this.isMinutesLocked()) {
+    const error = new Error('Minutes are locked after approval; file an amendment to change them');
+    error.status = 409;
+    throw error;
+  }
+
+  MINUTES_CONTENT_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) this.set(`minutes.${field}`, changes[field]);
+  });
+
+  const { revision = true, ...details } = options;
+  if (revision && MINUTES_CONTENT_FIELDS.some(field => this.isModified(`minutes.${field}`))) {
+    this.$locals.minutesRevision = { author: userId, ...details };
+  }
+};
+
+// Snapshot edited minutes into the revision history
+meetingSchema.post('save', async function() {
+  const pending = this.$locals.minutesRevision;
+  if (!pending) return;
+
+  this.$locals.minutesRevision = null;
+  await mongoose.model('MinutesRevision').record(this, pending);
+});
+
+/**
+ * Move the minutes to a new workflow state and record who did it
+ * @param {String} action - Workflow action (submitted, approved, ...)
+ * @param {String} to - New minutes status
+ * @param {ObjectId} userId - User performing the step
+ * @param {String} note - Optional comment
+ */
+meetingSchema.methods.transitionMinutes = function(action, to, userId, note) {
+  const from = this.minutes.status;
+  const at = new Date();
+
+  this.minutes.status = to;
+  this.minutes.history.push({ action, from, to, by: userId, note, at });
+
+  if (action === 'submitted') {
+    this.minutes.submittedBy = userId;
+    this.minutes.submittedAt = at;
+  }
+  if (action === 'approved') {
+    this.minutes.approvedBy = userId;
+    this.minutes.approvedAt = at;
+  }
+  if (action === 'published') {
+    this.minutes.publishedBy = userId;
+    this.minutes.publishedAt = at;
+  }
+  if (action === 'amended' || action === 'returned') {
+    this.minutes.approvedBy = undefined;
+    this.minutes.approvedAt = undefined;
+    this.minutes.publishedBy = undefined;
+    this.minutes.publishedAt = undefined;
+  }
+};
 
 const Meeting = mongoose.model('Meeting', meetingSchema);
 module.exports = Meeting;
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const {
+  parseRRule,
+  expandRRule,
+  isOccurrence,
+  startOfDay,
+  toDateKey
+} = require('../utils/recurrence');
+
+const seriesExceptionSchema = new mongoose.Schema({
+  occurrenceDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['modified', 'cancelled'],
+    required: true
+  },
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting'
+  }
+}, { _id: false });
+
+const meetingSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required']
+  },
+  type: {
+    type: String,
+    enum: ['regular', 'random', 'special', 'committee'],
+    default: 'regular'
+  },
+  rrule: {
+    type: String,
+    required: [true, 'Recurrence rule is required'],
+    validate: {
+      validator: (value) => {
+        try {
+          parseRRule(value);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Invalid recurrence rule'
+    }
+  },
+  dtstart: {
+    type: Date,
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  location: String,
+  chairperson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  minutesTaker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  objective: String,
+  attendees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  agenda: [{
+    title: {
+      type: String,
+      required: true
+    },
+    presenter: String,
+    duration: {
+      type: Number,
+      default: 15
+    },
+    description: String
+  }],
+  tags: [String],
+  exceptions: [seriesExceptionSchema],
+  // Set when this series was split off another one ("this and following" edits)
+  parentSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MeetingSeries'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+meetingSeriesSchema.index({ isActive: 1 });
+
+meetingSeriesSchema.pre('validate', function(next) {
+  if (this.dtstart) this.dtstart = startOfDay(this.dtstart);
+  next();
+});
+
+// Occurrence dates of the series within an optional { from, to } window
+meetingSeriesSchema.methods.occurrencesBetween = function(from, to) {
+  return expandRRule(this.rrule, this.dtstart, { from, to });
+};
+
+meetingSeriesSchema.methods.hasOccurrence = function(date) {
+  return isOccurrence(this.rrule, this.dtstart, date);
+};
+
+meetingSeriesSchema.methods.findException = function(date) {
+  const key = toDateKey(date);
+  return this.exceptions.find(exception => toDateKey(exception.occurrenceDate) === key);
+};
+
+meetingSeriesSchema.methods.setException = function(date, status, meetingId) {
+  const existing = this.findException(date);
+  if (existing) {
+    existing.status = status;
+    if (meetingId) existing.meeting = meetingId;
+    return existing;
+  }
+
+  this.exceptions.push({ occurrenceDate: startOfDay(date), status, meeting: meetingId });
+  return this.exceptions[this.exceptions.length - 1];
+};
+
+// Build (but do not save) the Meeting for one occurrence
+meetingSeriesSchema.methods.buildMeeting = function(date) {
+  const Meeting = mongoose.model('Meeting');
+
+  return new Meeting({
+    title: this.title,
+    type: this.type,
+    date: startOfDay(date),
+    startTime: this.startTime,
+    endTime: this.endTime,
+    location: this.location,
+    chairperson: this.chairperson,
+    minutesTaker: this.minutesTaker,
+    objective: this.objective,
+    attendees: this.attendees.map(user => ({ user })),
+    agenda: this.agenda.map((item, index) => ({
+      title: item.title,
+      presenter: item.presenter,
+      duration: item.duration,
+      description: item.description,
+      order: index
+    })),
+    tags: this.tags,
+    series: this._id,
+    occurrenceDate: startOfDay(date),
+    createdBy: this.createdBy
+  });
+};
+
+const MeetingSeries = mongoose.model('MeetingSeries', meetingSeriesSchema);
+module.exports = MeetingSeries;
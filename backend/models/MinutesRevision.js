@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a meeting's minutes content after each change
+const minutesRevisionSchema = new mongoose.Schema({
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  content: {
+    summary: String,
+    decisions: [String],
+    actionItems: [mongoose.Schema.Types.Mixed],
+    nextMeeting: mongoose.Schema.Types.Mixed
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: ['edit', 'motion', 'restore'],
+    default: 'edit'
+  },
+  restoredFrom: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+minutesRevisionSchema.index({ meeting: 1, revision: 1 }, { unique: true });
+
+// Revisions are write-once
+minutesRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Minutes revisions cannot be modified'));
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(operation => {
+  minutesRevisionSchema.pre(operation, function(next) {
+    next(new Error('Minutes revisions cannot be modified'));
+  });
+});
+
+/**
+ * Snapshot the current minutes of a meeting as the next revision
+ * @param {Meeting} meeting - Saved meeting document
+ * @param {Object} options - { author, reason, restoredFrom }
+ * @returns {Promise<MinutesRevision>}
+ */
+minutesRevisionSchema.statics.record = async function(meeting, options = {}) {
+  const minutes = meeting.minutes.toObject ? meeting.minutes.toObject() : meeting.minutes;
+  const content = {
+    summary: minutes.summary,
+    decisions: minutes.decisions || [],
+    actionItems: minutes.actionItems || [],
+    nextMeeting: minutes.nextMeeting
+  };
+
+  // Retry if two edits race for the same revision number
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const latest = await this.findOne({ meeting: meeting._id }).sort('-revision').select('revision').lean();
+
+    try {
+      return await this.create({
+        meeting: meeting._id,
+        revision: latest ? latest.revision + 1 : 1,
+        content,
+        author: options.author,
+        reason: options.reason || 'edit',
+        restoredFrom: options.restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not record minutes revision');
+};
+
+const MinutesRevision = mongoose.model('MinutesRevision', minutesRevisionSchema);
+module.exports = MinutesRevision;
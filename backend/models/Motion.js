@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const VOTE_CHOICES = ['yes', 'no', 'abstain'];
+
+const voteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  choice: {
+    type: String,
+    enum: VOTE_CHOICES,
+    required: true
+  },
+  // Who recorded the vote; differs from user when the chair records a roll call
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  castAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const motionSchema = new mongoose.Schema({
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  // _id of the agenda item in meeting.agenda this motion belongs to
+  agendaItem: mongoose.Schema.Types.ObjectId,
+  title: {
+    type: String,
+    required: [true, 'Motion title is required']
+  },
+  text: String,
+  proposer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seconder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  mode: {
+    type: String,
+    enum: ['open', 'secret', 'roll-call'],
+    default: 'open'
+  },
+  threshold: {
+    type: String,
+    enum: ['simple', 'two-thirds', 'unanimous'],
+    default: 'simple'
+  },
+  status: {
+    type: String,
+    // closing: voting has stopped and the result is being recorded
+    enum: ['proposed', 'seconded', 'voting', 'closing', 'passed', 'failed', 'withdrawn'],
+    default: 'proposed'
+  },
+  // Individual choices are only kept for open and roll-call votes
+  votes: [voteSchema],
+  // Everyone who has voted, in any mode, so nobody votes twice
+  voters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  tally: {
+    yes: { type: Number, default: 0 },
+    no: { type: Number, default: 0 },
+    abstain: { type: Number, default: 0 }
+  },
+  eligibleVoters: Number,
+  openedAt: Date,
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+motionSchema.index({ meeting: 1, createdAt: 1 });
+
+/**
+ * Record a vote in one atomic update, so concurrent requests cannot both count.
+ * Secret ballots only update the tally.
+ * @param {Motion} motion - Motion being voted on
+ * @param {ObjectId} userId - Voter
+ * @param {String} choice - yes, no or abstain
+ * @param {ObjectId} recordedBy - User entering the vote
+ * @returns {Promise<Motion|null>} - Updated motion, or null when the member already
+ *   voted or voting is no longer open
+ */
+motionSchema.statics.recordVote = function(motion, userId, choice, recordedBy) {
+  const push = { voters: userId };
+  if (motion.mode !== 'secret') {
+    push.votes = { user: userId, choice, recordedBy: recordedBy || userId };
+  }
+
+  return this.findOneAndUpdate(
+    { _id: motion._id, status: 'voting', voters: { $ne: userId } },
+    { $push: push, $inc: { [`tally.${choice}`]: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Close voting atomically: once the motion leaves "voting" no vote can be added,
+ * so the result is decided on the final tally.
+ * @param {Motion} motion - Motion being closed
+ * @param {ObjectId} closedBy - User closing the vote
+ * @returns {Promise<Motion|null>} - Passed or failed motion, or null when voting
+ *   was no longer open
+ */
+motionSchema.statics.closeVoting = async function(motion, closedBy) {
+  const closing = await this.findOneAndUpdate(
+    { _id: motion._id, status: 'voting' },
+    { status: 'closing', closedAt: new Date(), closedBy },
+    { new: true }
+  );
+  if (!closing) return null;
+
+  closing.status = closing.isCarried() ? 'passed' : 'failed';
+  return closing.save();
+};
+
+// Whether the current tally meets the motion's majority threshold
+motionSchema.methods.isCarried = function() {
+  const { yes, no } = this.tally;
+  const cast = yes + no;
+
+  if (yes === 0) return false;
+  if (this.threshold === 'unanimous') return no === 0;
+  if (this.threshold === 'two-thirds') return yes * 3 >= cast * 2;
+  return yes > no;
+};
+
+// Plain text line used in the minutes' decisions list
+motionSchema.methods.toDecision = function(names = {}) {
+  const { yes, no, abstain } = this.tally;
+  const people = [
+    names.proposer ? `proposed by ${names.proposer}` : null,
+    names.seconder ? `seconded by ${names.seconder}` : null
+  ].filter(Boolean).join(', ');
+
+  return `Motion carried: ${this.title}${people ? ` (${people})` : ''} - ${yes} for, ${no} against, ${abstain} abstaining`;
+};
+
+motionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.votesCast = (ret.voters || []).length;
+
+    // Never expose who voted how in a secret ballot: the order of voters and
+    // a running tally together would give each choice away
+    if (ret.mode === 'secret') {
+      delete ret.votes;
+      delete ret.voters;
+      if (['voting', 'closing'].includes(ret.status)) delete ret.tally;
+    }
+    return ret;
+  }
+});
+
+const Motion = mongoose.model('Motion', motionSchema);
+module.exports = Motion;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Users can switch categories off in preferences.notifications.categories
+  category: {
+    type: String,
+    enum: ['meetings', 'actionItems', 'attendance', 'general'],
+    default: 'general'
+  },
+  // What happened within the category, e.g. "deadline-reminder"
+  type: {
+    type: String,
+    default: 'message'
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Titles can be at most 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Messages can be at most 2000 characters']
+  },
+  // Ids and details the client needs to link the notification somewhere
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  // Set when it was pushed to an open socket; unset means the user was offline
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, read: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+module.exports = Notification;
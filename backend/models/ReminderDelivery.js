@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One reminder for one member about one meeting; the unique index is what
+// stops a reminder going out twice (see jobs/meetingReminders.js)
+const reminderDeliverySchema = new mongoose.Schema({
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Which Settings.reminders.meetingOffsets entry this reminder is for
+  offsetMinutes: {
+    type: Number,
+    required: true
+  },
+  // Start the reminder was sent for; a rescheduled meeting is reminded again
+  meetingStart: {
+    type: Date,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email'],
+    default: 'email'
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  to: String,
+  messageId: String,
+  error: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+reminderDeliverySchema.index(
+  { meeting: 1, user: 1, offsetMinutes: 1, meetingStart: 1, channel: 1 },
+  { unique: true }
+);
+reminderDeliverySchema.index({ status: 1, updatedAt: -1 });
+
+const ReminderDelivery = mongoose.model('ReminderDelivery', reminderDeliverySchema);
+module.exports = ReminderDelivery;
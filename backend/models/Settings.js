@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+
+// How many voting members must be present for decisions to be valid
+const quorumRuleSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['fraction', 'count'],
+    default: 'fraction'
+  },
+  // With mode "fraction": share of voting members that must be present
+  fraction: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.5
+  },
+  // With mode "count": absolute number of voting members
+  count: {
+    type: Number,
+    min: 1,
+    default: 5
+  },
+  countLate: {
+    type: Boolean,
+    default: true
+  },
+  // Meeting roles ("chairperson", "minutesTaker") or council roles ("President")
+  // that must be among those present
+  requiredRoles: {
+    type: [String],
+    default: ['chairperson']
+  }
+}, { _id: false });
+
+// When a background job runs (see jobs/scheduler.js)
+const jobScheduleSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Cron expression in COUNCIL_TIMEZONE
+  cron: {
+    type: String,
+    default: '0 8 * * *',
+    validate: {
+      validator: value => cron.validate(value),
+      message: props => `"${props.value}" is not a valid cron expression`
+    }
+  }
+}, { _id: false });
+
+const settingsSchema = new mongoose.Schema({
+  // Settings are a single document per council
+  key: {
+    type: String,
+    default: 'council',
+    unique: true
+  },
+  quorum: {
+    regular: {
+      type: quorumRuleSchema,
+      default: () => ({})
+    },
+    random: {
+      type: quorumRuleSchema,
+      default: () => ({})
+    },
+    special: {
+      type: quorumRuleSchema,
+      default: () => ({ fraction: 2 / 3 })
+    },
+    committee: {
+      type: quorumRuleSchema,
+      default: () => ({})
+    }
+  },
+  attendance: {
+    // Check-ins later than this many minutes past startTime are marked late
+    lateGraceMinutes: {
+      type: Number,
+      min: 0,
+      max: 240,
+      default: 10
+    },
+    // How early before startTime self check-in opens
+    checkInOpensMinutes: {
+      type: Number,
+      min: 0,
+      max: 720,
+      default: 30
+    }
+  },
+  // Escalation for members who keep missing meetings. Steps are reached after
+  // this many consecutive unexcused absences from meetings of the listed types.
+  attendancePolicy: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    meetingTypes: {
+      type: [{
+        type: String,
+        enum: ['regular', 'random', 'special', 'committee']
+      }],
+      default: ['regular']
+    },
+    noticeAfter: {
+      type: Number,
+      min: 1,
+      max: 52,
+      default: 2
+    },
+    warningAfter: {
+      type: Number,
+      min: 1,
+      max: 52,
+      default: 3
+    },
+    referralAfter: {
+      type: Number,
+      min: 1,
+      max: 52,
+      default: 4
+    }
+  },
+  actionItems: {
+    // Assignees are reminded this many days before an item's deadline
+    reminderDaysBefore: {
+      type: Number,
+      min: 0,
+      max: 60,
+      default: 2
+    }
+  },
+  reminders: {
+    // Meeting reminder emails go out this many minutes before the start
+    meetingOffsets: {
+      type: [{
+        type: Number,
+        min: [5, 'Reminders must be at least 5 minutes before the meeting'],
+        max: [20160, 'Reminders can be at most 14 days before the meeting']
+      }],
+      default: [1440, 60]
+    }
+  },
+  archive: {
+    // Completed meetings are archived this many days after they took place; 0 turns it off
+    autoArchiveAfterDays: {
+      type: Number,
+      min: 0,
+      max: 3650,
+      default: 30
+    }
+  },
+  // Clean-up of old meetings. Approved minutes are never touched.
+  retention: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Applies to meetings that took place more than this many years ago
+    afterYears: {
+      type: Number,
+      min: 1,
+      max: 50,
+      default: 5
+    },
+    // purge: delete the files; anonymize: keep them without the uploader
+    attachments: {
+      type: String,
+      enum: ['purge', 'anonymize'],
+      default: 'purge'
+    },
+    // purge: delete the messages; anonymize: keep the text without the sender
+    chat: {
+      type: String,
+      enum: ['purge', 'anonymize'],
+      default: 'anonymize'
+    }
+  },
+  schedules: {
+    // Email meeting reminders that have come due
+    meetingReminders: {
+      type: jobScheduleSchema,
+      default: () => ({ cron: '*/5 * * * *' })
+    },
+    // Mark open action items past their deadline as overdue
+    overdueCheck: {
+      type: jobScheduleSchema,
+      default: () => ({ cron: '*/15 * * * *' })
+    },
+    // Remind assignees of upcoming deadlines
+    deadlineReminders: {
+      type: jobScheduleSchema,
+      default: () => ({ cron: '0 9 * * *' })
+    },
+    // Send each chair the overdue items of their meetings
+    overdueDigest: {
+      type: jobScheduleSchema,
+      default: () => ({ cron: '0 8 * * *' })
+    },
+    // Archive completed meetings (Settings.archive)
+    autoArchive: {
+      type: jobScheduleSchema,
+      default: () => ({ cron: '30 2 * * *' })
+    },
+    // Apply the retention policy (Settings.retention)
+    retention: {
+      type: jobScheduleSchema,
+      default: () => ({ cron: '0 3 * * 0' })
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+settingsSchema.pre('validate', function(next) {
+  const { noticeAfter, warningAfter, referralAfter } = this.attendancePolicy || {};
+  if (!(noticeAfter < warningAfter && warningAfter < referralAfter)) {
+    this.invalidate('attendancePolicy', 'Attendance policy steps must escalate: noticeAfter < warningAfter < referralAfter');
+  }
+  next();
+});
+
+// Load the council settings, creating them with defaults on first use
+settingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOne({ key: 'council' });
+  if (settings) return settings;
+
+  try {
+    return await this.create({ key: 'council' });
+  } catch (error) {
+    // Another request created them first
+    if (error.code === 11000) return this.findOne({ key: 'council' });
+    throw error;
+  }
+};
+
+settingsSchema.methods.quorumRuleFor = function(meetingType) {
+  return this.quorum[meetingType] || this.quorum.regular;
+};
+
+const Settings = mongoose.model('Settings', settingsSchema);
+module.exports = Settings;
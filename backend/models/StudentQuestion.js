@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A question sent in through the public portal for an upcoming meeting
+const studentQuestionSchema = new mongoose.Schema({
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [1000, 'Questions can be at most 1000 characters']
+  },
+  // Contact details are only shown to moderators
+  asker: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Names can be at most 100 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    studentId: {
+      type: String,
+      trim: true
+    }
+  },
+  // Hide the asker's name on the public board
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  // pending -> approved -> answered; or rejected, or merged into a duplicate
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'merged', 'answered'],
+    default: 'pending'
+  },
+  upvotes: {
+    type: Number,
+    default: 0
+  },
+  // Hashed voter ids, so each browser votes once
+  voters: {
+    type: [String],
+    select: false
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentQuestion'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationNote: String,
+  answer: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Answers can be at most 5000 characters']
+  },
+  answeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  answeredAt: Date,
+  // The asker checks on their question with a token only they were given
+  trackingTokenHash: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+studentQuestionSchema.index({ meeting: 1, status: 1, upvotes: -1 });
+studentQuestionSchema.index({ trackingTokenHash: 1 }, { sparse: true });
+studentQuestionSchema.index({ mergedInto: 1 }, { sparse: true });
+studentQuestionSchema.index({ text: 'text', answer: 'text' }, { name: 'question_search', weights: { text: 2, answer: 1 } });
+
+// server.js refuses to start without one of these
+const secret = () => process.env.QUESTION_SECRET || process.env.JWT_SECRET;
+
+/**
+ * One-way hash for voter ids and tracking tokens
+ * @param {String} value - Raw id or token
+ * @returns {String}
+ */
+studentQuestionSchema.statics.hashSecret = function(value) {
+  return crypto.createHmac('sha256', secret()).update(String(value)).digest('hex');
+};
+
+// Give the question a new tracking token; returns the raw token to hand to the asker
+studentQuestionSchema.methods.issueTrackingToken = function() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  this.trackingTokenHash = this.constructor.hashSecret(token);
+  return token;
+};
+
+// What anyone may see on the public board
+studentQuestionSchema.methods.toPublic = function() {
+  return {
+    _id: this._id,
+    meeting: this.meeting,
+    text: this.text,
+    askedBy: this.anonymous || !this.asker || !this.asker.name ? 'Anonymous' : this.asker.name,
+    upvotes: this.upvotes,
+    status: this.status,
+    answer: this.status === 'answered' ? this.answer : undefined,
+    answeredAt: this.answeredAt,
+    createdAt: this.createdAt
+  };
+};
+
+const StudentQuestion = mongoose.model('StudentQuestion', studentQuestionSchema);
+module.exports = StudentQuestion;
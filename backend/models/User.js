@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Step taken under the attendance policy (see utils/attendancePolicy.js)
+const attendanceActionSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['notice', 'warning', 'referral'],
+    required: true
+  },
+  consecutiveAbsences: {
+    type: Number,
+    required: true
+  },
+  // First missed meeting of the run of absences; one action per level and run
+  streakStart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  // Meeting whose closing triggered the action
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -82,6 +112,25 @@ const userSchema = new mongoose.Schema({
       push: {
         type: Boolean,
         default: true
+      },
+      // In-app notifications per category (see models/Notification.js)
+      categories: {
+        meetings: {
+          type: Boolean,
+          default: true
+        },
+        actionItems: {
+          type: Boolean,
+          default: true
+        },
+        attendance: {
+          type: Boolean,
+          default: true
+        },
+        general: {
+          type: Boolean,
+          default: true
+        }
       }
     },
     autoSave: {
@@ -93,10 +142,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  attendanceActions: [attendanceActionSchema],
   lastLogin: Date,
   resetPasswordToken: String,
   resetPasswordExpires: Date,
-  googleId: String
+  googleId: String,
+  // Secret used in calendar subscription URLs
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
 }, {
   timestamps: true
 });
@@ -119,6 +175,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate a new calendar feed token, invalidating the previous feed URLs
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
 // Generate avatar initials
 userSchema.methods.generateAvatar = function() {
   return this.name.split(' ').map(n => n[0]).join('').toUpperCase().substring(0, 2);
@@ -3,7 +3,10 @@ const router = express.Router();
 const PDFDocument = require('pdfkit');
 const { protect } = require('../middleware/auth');
 const Meeting = require('../models/Meeting');
+const Motion = require('../models/Motion');
+const ChatMessage = require('../models/ChatMessage');
 const User = require('../models/User');
+const { POLICY_LEVELS, LEVEL_LABELS } = require('../utils/attendancePolicy');
 
 // Generate PDF for meeting minutes
 router.get('/generate/:meetingId', protect, async (req, res) => {
@@ -15,7 +18,10 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
             .populate('chairperson', 'name role')
             .populate('minutesTaker', 'name role')
             .populate('attendees.user', 'name role')
-            .populate('minutes.actionItems.assignee', 'name');
+            .populate('minutes.actionItems.assignee', 'name')
+            .populate('speakingLog.user', 'name')
+            .populate('minutes.approvedBy', 'name role')
+            .populate('minutes.publishedBy', 'name role');
         
         if (!meeting) {
             return res.status(404).json({
@@ -77,8 +83,21 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
 
         doc.text(`Chairperson: ${meeting.chairperson?.name || 'Not specified'}`, { continued: true })
            .text(`Minutes Taker: ${meeting.minutesTaker?.name || 'Not specified'}`, { align: 'right' })
+           .moveDown(0.5);
+
+        const minutesStatus = meeting.minutes?.status || 'draft';
+        doc.text(`Minutes Status: ${minutesStatus.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}`)
            .moveDown();
 
+        // Unapproved minutes must not be mistaken for the official record
+        if (!['approved', 'published'].includes(minutesStatus)) {
+            doc.fontSize(12)
+               .fillColor('#ef4444')
+               .text('DRAFT - NOT YET APPROVED', { align: 'center' })
+               .fillColor('#000000')
+               .moveDown();
+        }
+
         // Objectives
         if (meeting.objective) {
             doc.fontSize(14)
@@ -118,7 +137,7 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
                 doc.fontSize(12)
                    .text(`${index + 1}. ${item.title}`, { indent: 20 })
                    .fontSize(10)
-                   .text(`Presenter: ${item.presenter || 'Not specified'} | Duration: ${item.duration || 15} mins | Status: ${item.status || 'pending'}`)
+                   .text(`Presenter: ${item.presenter || 'Not specified'} | Duration: ${item.duration || 15} mins${item.timeSpent ? ` (actual ${Math.round(item.timeSpent / 60)} mins)` : ''} | Status: ${item.status || 'pending'}`)
                    .moveDown(0.5);
 
                 if (item.description) {
@@ -129,6 +148,27 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
             });
         }
 
+        // Speaking time recorded in run mode
+        if (meeting.speakingLog && meeting.speakingLog.length > 0) {
+            const totals = meeting.speakingTimeByUser();
+            const names = {};
+            meeting.speakingLog.forEach(turn => {
+                names[String(turn.user?._id || turn.user)] = turn.user?.name || 'Unknown';
+            });
+
+            doc.moveDown()
+               .fontSize(14)
+               .text('SPEAKING TIME', { underline: true })
+               .moveDown(0.5);
+
+            Object.entries(totals)
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([userId, seconds]) => {
+                    doc.fontSize(10)
+                       .text(`${names[userId]}: ${Math.floor(seconds / 60)}m ${seconds % 60}s`, { indent: 20 });
+                });
+        }
+
         // Minutes Section
         if (meeting.minutes) {
             doc.addPage()
@@ -224,6 +264,41 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
             }
         }
 
+        // Motions and votes
+        const motions = await Motion.find({
+            meeting: meeting._id,
+            status: { $in: ['passed', 'failed'] }
+        }).populate('proposer', 'name')
+          .populate('seconder', 'name')
+          .populate('votes.user', 'name')
+          .sort('closedAt');
+
+        if (motions.length > 0) {
+            doc.addPage()
+               .fontSize(14)
+               .text('MOTIONS & VOTES', { underline: true })
+               .moveDown(0.5);
+
+            motions.forEach((motion, index) => {
+                doc.fontSize(12)
+                   .text(`${index + 1}. ${motion.title} - ${motion.status.toUpperCase()}`, { indent: 20 })
+                   .fontSize(10)
+                   .text(`Proposed by: ${motion.proposer?.name || 'Unknown'} | Seconded by: ${motion.seconder?.name || 'N/A'}`, { indent: 40 })
+                   .text(`Vote (${motion.mode}, ${motion.threshold} majority): ${motion.tally.yes} for, ${motion.tally.no} against, ${motion.tally.abstain} abstaining`, { indent: 40 });
+
+                if (motion.text) {
+                    doc.text(motion.text, { indent: 40 });
+                }
+
+                // Roll-call results are part of the record
+                if (motion.mode === 'roll-call' && motion.votes.length > 0) {
+                    doc.text(`Roll call: ${motion.votes.map(vote => `${vote.user?.name || 'Unknown'} (${vote.choice})`).join(', ')}`, { indent: 40 });
+                }
+
+                doc.moveDown(0.5);
+            });
+        }
+
         // Footer with signatures
         doc.addPage()
            .fontSize(12)
@@ -242,8 +317,19 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
         doc.text('Approved by:')
            .moveDown(3);
         doc.text('___________________________')
-           .text(meeting.chairperson?.name || 'Chairperson')
-           .text(meeting.chairperson?.role || 'SIT Student Council');
+           .text(meeting.minutes?.approvedBy?.name || meeting.chairperson?.name || 'Chairperson')
+           .text(meeting.minutes?.approvedBy?.role || meeting.chairperson?.role || 'SIT Student Council');
+
+        if (meeting.minutes?.approvedAt) {
+            doc.text(`Approved on ${formatDate(meeting.minutes.approvedAt)}`);
+        } else {
+            doc.text('Pending approval');
+        }
+
+        if (meeting.minutes?.publishedAt) {
+            doc.moveDown()
+               .text(`Published on ${formatDate(meeting.minutes.publishedAt)} by ${meeting.minutes.publishedBy?.name || 'Unknown'}`);
+        }
 
         // Footer information
         const pageWidth = doc.page.width;
@@ -254,6 +340,35 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
            .text(`Generated: ${formatDate(new Date())}`, pageWidth - 150, pageHeight - 50, { align: 'right' })
            .text(`Page ${doc.page.number}`, pageWidth / 2, pageHeight - 50, { align: 'center' });
 
+        // Chat transcript appendix (?includeChat=true)
+        if (req.query.includeChat === 'true') {
+            const messages = await ChatMessage.find({
+                meeting: meeting._id,
+                deletedAt: { $exists: false }
+            }).populate('sender', 'name role')
+              .sort('createdAt');
+
+            doc.addPage()
+               .fontSize(14)
+               .text('APPENDIX: MEETING CHAT', 50, 50, { underline: true })
+               .moveDown(0.5);
+
+            if (messages.length === 0) {
+                doc.fontSize(10).text('No chat messages were recorded.');
+            }
+
+            messages.forEach(message => {
+                const time = message.createdAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+                const flags = [message.pinned ? 'pinned' : null, message.editedAt ? 'edited by chair' : null]
+                    .filter(Boolean);
+
+                doc.fontSize(10)
+                   .text(`[${time}] ${message.sender?.name || 'Unknown'}${flags.length > 0 ? ` (${flags.join(', ')})` : ''}:`, { continued: false })
+                   .text(message.text, { indent: 20 })
+                   .moveDown(0.3);
+            });
+        }
+
         // Finalize PDF
         doc.end();
 
@@ -527,6 +642,44 @@ router.get('/monthly-report/:year/:month', protect, async (req, res) => {
                .text(stat.attendanceRate, 50 + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3], y, { width: colWidths[4] - 5 });
         });
 
+        // Attendance policy actions taken during the month
+        const monthStart = new Date(year, month - 1, 1);
+        const monthEnd = new Date(year, month, 1);
+        const policyMembers = await User.find({
+            attendanceActions: { $elemMatch: { issuedAt: { $gte: monthStart, $lt: monthEnd } } }
+        }).select('name role attendanceActions');
+
+        const policyActions = policyMembers
+            .flatMap(member => member.attendanceActions
+                .filter(action => action.issuedAt >= monthStart && action.issuedAt < monthEnd)
+                .map(action => ({ member, action })))
+            .sort((a, b) => a.action.issuedAt - b.action.issuedAt);
+
+        doc.addPage()
+           .fontSize(14)
+           .text('ATTENDANCE POLICY ACTIONS', { underline: true })
+           .moveDown(0.5);
+
+        if (policyActions.length === 0) {
+            doc.fontSize(12)
+               .text('No attendance policy actions were taken this month.')
+               .moveDown();
+        } else {
+            doc.fontSize(12)
+               .text(POLICY_LEVELS.map(level => {
+                   const count = policyActions.filter(({ action }) => action.level === level).length;
+                   return `${LEVEL_LABELS[level]}: ${count}`;
+               }).join(' | '))
+               .moveDown(0.5);
+
+            policyActions.forEach(({ member, action }, index) => {
+                doc.fontSize(10)
+                   .text(`${index + 1}. ${member.name} (${member.role})`, { indent: 20 })
+                   .text(`${LEVEL_LABELS[action.level]} after ${action.consecutiveAbsences} consecutive absences | Issued: ${formatDate(action.issuedAt)}`, { indent: 40 })
+                   .moveDown(0.5);
+            });
+        }
+
         // Action Items Summary
         doc.addPage()
            .fontSize(14)
@@ -549,15 +702,15 @@ router.get('/monthly-report/:year/:month', protect, async (req, res) => {
             }
         });
 
-        if (allActionItems.length > 0) {
-            // Group by status
-            const pending = allActionItems.filter(item => item.status === 'pending');
-            const inProgress = allActionItems.filter(item => item.status === 'in-progress');
-            const completed = allActionItems.filter(item => item.status === 'completed');
-            const overdue = allActionItems.filter(item => 
-                item.deadline && new Date(item.deadline) < new Date() && item.status !== 'completed'
-            );
+        // Group by status
+        const pending = allActionItems.filter(item => item.status === 'pending');
+        const inProgress = allActionItems.filter(item => item.status === 'in-progress');
+        const completed = allActionItems.filter(item => item.status === 'completed');
+        const overdue = allActionItems.filter(item => 
+            item.deadline && new Date(item.deadline) < new Date() && item.status !== 'completed'
+        );
 
+        if (allActionItems.length > 0) {
             doc.fontSize(12)
                .text(`Total Action Items: ${allActionItems.length}`)
                .text(`Pending: ${pending.length} | In Progress: ${inProgress.length} | Completed: ${completed.length}`)
@@ -607,7 +760,9 @@ router.get('/monthly-report/:year/:month', protect, async (req, res) => {
         const improvements = [
             overdue.length > 0 ? `Address ${overdue.length} overdue action items` : 'All action items are on track',
             meetings.length < 4 ? 'Consider increasing meeting frequency' : 'Meeting frequency is adequate',
-            'Continue monitoring member participation'
+            policyActions.length > 0
+                ? `Follow up on ${policyActions.length} attendance policy actions`
+                : 'Continue monitoring member participation'
         ];
 
         improvements.forEach((improvement, index) => {
@@ -658,7 +813,10 @@ const router = express.Router();
 const PDFDocument = require('pdfkit');
 const { protect } = require('../middleware/auth');
 const Meeting = require('../models/Meeting');
+const Motion = require('../models/Motion');
+const ChatMessage = require('../models/ChatMessage');
 const User = require('../models/User');
+const { POLICY_LEVELS, LEVEL_LABELS } = require('../utils/attendancePolicy');
 
 // Generate PDF for meeting minutes
 router.get('/generate/:meetingId', protect, async (req, res) => {
@@ -670,7 +828,10 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
             .populate('chairperson', 'name role')
             .populate('minutesTaker', 'name role')
             .populate('attendees.user', 'name role')
-            .populate('minutes.actionItems.assignee', 'name');
+            .populate('minutes.actionItems.assignee', 'name')
+            .populate('speakingLog.user', 'name')
+            .populate('minutes.approvedBy', 'name role')
+            .populate('minutes.publishedBy', 'name role');
         
         if (!meeting) {
             return res.status(404).json({
@@ -732,8 +893,21 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
 
         doc.text(`Chairperson: ${meeting.chairperson?.name || 'Not specified'}`, { continued: true })
            .text(`Minutes Taker: ${meeting.minutesTaker?.name || 'Not specified'}`, { align: 'right' })
+           .moveDown(0.5);
+
+        const minutesStatus = meeting.minutes?.status || 'draft';
+        doc.text(`Minutes Status: ${minutesStatus.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}`)
            .moveDown();
 
+        // Unapproved minutes must not be mistaken for the official record
+        if (!['approved', 'published'].includes(minutesStatus)) {
+            doc.fontSize(12)
+               .fillColor('#ef4444')
+               .text('DRAFT - NOT YET APPROVED', { align: 'center' })
+               .fillColor('#000000')
+               .moveDown();
+        }
+
         // Objectives
         if (meeting.objective) {
             doc.fontSize(14)
@@ -773,7 +947,7 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
                 doc.fontSize(12)
                    .text(`${index + 1}. ${item.title}`, { indent: 20 })
                    .fontSize(10)
-                   .text(`Presenter: ${item.presenter || 'Not specified'} | Duration: ${item.duration || 15} mins | Status: ${item.status || 'pending'}`)
+                   .text(`Presenter: ${item.presenter || 'Not specified'} | Duration: ${item.duration || 15} mins${item.timeSpent ? ` (actual ${Math.round(item.timeSpent / 60)} mins)` : ''} | Status: ${item.status || 'pending'}`)
                    .moveDown(0.5);
 
                 if (item.description) {
@@ -784,6 +958,27 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
             });
         }
 
+        // Speaking time recorded in run mode
+        if (meeting.speakingLog && meeting.speakingLog.length > 0) {
+            const totals = meeting.speakingTimeByUser();
+            const names = {};
+            meeting.speakingLog.forEach(turn => {
+                names[String(turn.user?._id || turn.user)] = turn.user?.name || 'Unknown';
+            });
+
+            doc.moveDown()
+               .fontSize(14)
+               .text('SPEAKING TIME', { underline: true })
+               .moveDown(0.5);
+
+            Object.entries(totals)
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([userId, seconds]) => {
+                    doc.fontSize(10)
+                       .text(`${names[userId]}: ${Math.floor(seconds / 60)}m ${seconds % 60}s`, { indent: 20 });
+                });
+        }
+
         // Minutes Section
         if (meeting.minutes) {
             doc.addPage()
@@ -879,6 +1074,41 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
             }
         }
 
+        // Motions and votes
+        const motions = await Motion.find({
+            meeting: meeting._id,
+            status: { $in: ['passed', 'failed'] }
+        }).populate('proposer', 'name')
+          .populate('seconder', 'name')
+          .populate('votes.user', 'name')
+          .sort('closedAt');
+
+        if (motions.length > 0) {
+            doc.addPage()
+               .fontSize(14)
+               .text('MOTIONS & VOTES', { underline: true })
+               .moveDown(0.5);
+
+            motions.forEach((motion, index) => {
+                doc.fontSize(12)
+                   .text(`${index + 1}. ${motion.title} - ${motion.status.toUpperCase()}`, { indent: 20 })
+                   .fontSize(10)
+                   .text(`Proposed by: ${motion.proposer?.name || 'Unknown'} | Seconded by: ${motion.seconder?.name || 'N/A'}`, { indent: 40 })
+                   .text(`Vote (${motion.mode}, ${motion.threshold} majority): ${motion.tally.yes} for, ${motion.tally.no} against, ${motion.tally.abstain} abstaining`, { indent: 40 });
+
+                if (motion.text) {
+                    doc.text(motion.text, { indent: 40 });
+                }
+
+                // Roll-call results are part of the record
+                if (motion.mode === 'roll-call' && motion.votes.length > 0) {
+                    doc.text(`Roll call: ${motion.votes.map(vote => `${vote.user?.name || 'Unknown'} (${vote.choice})`).join(', ')}`, { indent: 40 });
+                }
+
+                doc.moveDown(0.5);
+            });
+        }
+
         // Footer with signatures
         doc.addPage()
            .fontSize(12)
@@ -897,8 +1127,19 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
         doc.text('Approved by:')
            .moveDown(3);
         doc.text('___________________________')
-           .text(meeting.chairperson?.name || 'Chairperson')
-           .text(meeting.chairperson?.role || 'SIT Student Council');
+           .text(meeting.minutes?.approvedBy?.name || meeting.chairperson?.name || 'Chairperson')
+           .text(meeting.minutes?.approvedBy?.role || meeting.chairperson?.role || 'SIT Student Council');
+
+        if (meeting.minutes?.approvedAt) {
+            doc.text(`Approved on ${formatDate(meeting.minutes.approvedAt)}`);
+        } else {
+            doc.text('Pending approval');
+        }
+
+        if (meeting.minutes?.publishedAt) {
+            doc.moveDown()
+               .text(`Published on ${formatDate(meeting.minutes.publishedAt)} by ${meeting.minutes.publishedBy?.name || 'Unknown'}`);
+        }
 
         // Footer information
         const pageWidth = doc.page.width;
@@ -909,6 +1150,35 @@ router.get('/generate/:meetingId', protect, async (req, res) => {
            .text(`Generated: ${formatDate(new Date())}`, pageWidth - 150, pageHeight - 50, { align: 'right' })
            .text(`Page ${doc.page.number}`, pageWidth / 2, pageHeight - 50, { align: 'center' });
 
+        // Chat transcript appendix (?includeChat=true)
+        if (req.query.includeChat === 'true') {
+            const messages = await ChatMessage.find({
+                meeting: meeting._id,
+                deletedAt: { $exists: false }
+            }).populate('sender', 'name role')
+              .sort('createdAt');
+
+            doc.addPage()
+               .fontSize(14)
+               .text('APPENDIX: MEETING CHAT', 50, 50, { underline: true })
+               .moveDown(0.5);
+
+            if (messages.length === 0) {
+                doc.fontSize(10).text('No chat messages were recorded.');
+            }
+
+            messages.forEach(message => {
+                const time = message.createdAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+                const flags = [message.pinned ? 'pinned' : null, message.editedAt ? 'edited by chair' : null]
+                    .filter(Boolean);
+
+                doc.fontSize(10)
+                   .text(`[${time}] ${message.sender?.name || 'Unknown'}${flags.length > 0 ? ` (${flags.join(', ')})` : ''}:`, { continued: false })
+                   .text(message.text, { indent: 20 })
+                   .moveDown(0.3);
+            });
+        }
+
         // Finalize PDF
         doc.end();
 
@@ -1182,6 +1452,44 @@ router.get('/monthly-report/:year/:month', protect, async (req, res) => {
                .text(stat.attendanceRate, 50 + colWidths[0] + colWidths[1] + colWidths[2] + colWidths[3], y, { width: colWidths[4] - 5 });
         });
 
+        // Attendance policy actions taken during the month
+        const monthStart = new Date(year, month - 1, 1);
+        const monthEnd = new Date(year, month, 1);
+        const policyMembers = await User.find({
+            attendanceActions: { $elemMatch: { issuedAt: { $gte: monthStart, $lt: monthEnd } } }
+        }).select('name role attendanceActions');
+
+        const policyActions = policyMembers
+            .flatMap(member => member.attendanceActions
+                .filter(action => action.issuedAt >= monthStart && action.issuedAt < monthEnd)
+                .map(action => ({ member, action })))
+            .sort((a, b) => a.action.issuedAt - b.action.issuedAt);
+
+        doc.addPage()
+           .fontSize(14)
+           .text('ATTENDANCE POLICY ACTIONS', { underline: true })
+           .moveDown(0.5);
+
+        if (policyActions.length === 0) {
+            doc.fontSize(12)
+               .text('No attendance policy actions were taken this month.')
+               .moveDown();
+        } else {
+            doc.fontSize(12)
+               .text(POLICY_LEVELS.map(level => {
+                   const count = policyActions.filter(({ action }) => action.level === level).length;
+                   return `${LEVEL_LABELS[level]}: ${count}`;
+               }).join(' | '))
+               .moveDown(0.5);
+
+            policyActions.forEach(({ member, action }, index) => {
+                doc.fontSize(10)
+                   .text(`${index + 1}. ${member.name} (${member.role})`, { indent: 20 })
+                   .text(`${LEVEL_LABELS[action.level]} after ${action.consecutiveAbsences} consecutive absences | Issued: ${formatDate(action.issuedAt)}`, { indent: 40 })
+                   .moveDown(0.5);
+            });
+        }
+
         // Action Items Summary
         doc.addPage()
            .fontSize(14)
@@ -1204,15 +1512,15 @@ router.get('/monthly-report/:year/:month', protect, async (req, res) => {
             }
         });
 
-        if (allActionItems.length > 0) {
-            // Group by status
-            const pending = allActionItems.filter(item => item.status === 'pending');
-            const inProgress = allActionItems.filter(item => item.status === 'in-progress');
-            const completed = allActionItems.filter(item => item.status === 'completed');
-            const overdue = allActionItems.filter(item => 
-                item.deadline && new Date(item.deadline) < new Date() && item.status !== 'completed'
-            );
+        // Group by status
+        const pending = allActionItems.filter(item => item.status === 'pending');
+        const inProgress = allActionItems.filter(item => item.status === 'in-progress');
+        const completed = allActionItems.filter(item => item.status === 'completed');
+        const overdue = allActionItems.filter(item => 
+            item.deadline && new Date(item.deadline) < new Date() && item.status !== 'completed'
+        );
 
+        if (allActionItems.length > 0) {
             doc.fontSize(12)
                .text(`Total Action Items: ${allActionItems.length}`)
                .text(`Pending: ${pending.length} | In Progress: ${inProgress.length} | Completed: ${completed.length}`)
@@ -1262,7 +1570,9 @@ router.get('/monthly-report/:year/:month', protect, async (req, res) => {
         const improvements = [
             overdue.length > 0 ? `Address ${overdue.length} overdue action items` : 'All action items are on track',
             meetings.length < 4 ? 'Consider increasing meeting frequency' : 'Meeting frequency is adequate',
-            'Continue monitoring member participation'
+            policyActions.length > 0
+                ? `Follow up on ${policyActions.length} attendance policy actions`
+                : 'Continue monitoring member participation'
         ];
 
         improvements.forEach((improvement, index) => {
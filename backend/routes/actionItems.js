@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const {
+  MANAGER_ROLES,
+  ARCHIVED_MESSAGE,
+  READ_METHODS,
+  isMeetingManager,
+  canViewMeeting,
+  canReadMinutes
+} = require('../middleware/meetingAccess');
+const {
+  ACTION_ITEM_STATUSES,
+  PRIORITIES,
+  overdueFilter,
+  findActionItems,
+  findActionItem
+} = require('../utils/actionItems');
+const Meeting = require('../models/Meeting');
+
+// Assignees report progress; "overdue" is set by the system
+const UPDATABLE_STATUSES = ['pending', 'in-progress', 'completed'];
+
+const validateList = [
+  query('assignee')
+    .optional()
+    .custom(value => value === 'me' || mongoose.Types.ObjectId.isValid(value))
+    .withMessage('assignee must be a user id or "me"'),
+  query('status').optional().isIn(ACTION_ITEM_STATUSES).withMessage(`Status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}`),
+  query('priority').optional().isIn(PRIORITIES).withMessage(`Priority must be one of: ${PRIORITIES.join(', ')}`),
+  query('dueBefore').optional().isISO8601().withMessage('dueBefore must be a date'),
+  query('dueAfter').optional().isISO8601().withMessage('dueAfter must be a date'),
+  query('meeting').optional().isMongoId().withMessage('meeting must be a valid meeting id'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+const validateUpdate = [
+  check('status')
+    .optional()
+    .isIn(UPDATABLE_STATUSES).withMessage(`Status must be one of: ${UPDATABLE_STATUSES.join(', ')}`),
+  check('completionNotes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 }).withMessage('Completion notes can be at most 2000 characters')
+];
+
+const buildFilters = (req) => {
+  const { assignee, status, priority, dueBefore, dueAfter, meeting } = req.query;
+  const meetingFilter = {};
+  const itemFilter = {};
+
+  // Guests only see meetings they were invited to
+  if (req.user.role === 'Guest') meetingFilter['attendees.user'] = req.user._id;
+
+  // Items in draft minutes are limited to the meeting's attendees and officers, as the minutes are
+  if (!MANAGER_ROLES.includes(req.user.role)) {
+    meetingFilter.$or = [
+      { 'minutes.status': 'published' },
+      { 'attendees.user': req.user._id },
+      { createdBy: req.user._id },
+      { chairperson: req.user._id },
+      { minutesTaker: req.user._id }
+    ];
+  }
+  if (meeting) meetingFilter._id = new mongoose.Types.ObjectId(meeting);
+
+  if (assignee) {
+    const assigneeId = assignee === 'me' ? req.user._id : new mongoose.Types.ObjectId(assignee);
+    meetingFilter['minutes.actionItems.assignee'] = assigneeId;
+    itemFilter.assignee = assigneeId;
+  }
+
+  if (status === 'overdue') {
+    Object.assign(itemFilter, overdueFilter());
+  } else if (status) {
+    itemFilter.status = status;
+  }
+  if (priority) itemFilter.priority = priority;
+
+  if (dueBefore || dueAfter) {
+    itemFilter.deadline = {};
+    if (dueAfter) itemFilter.deadline.$gte = new Date(dueAfter);
+    if (dueBefore) itemFilter.deadline.$lte = new Date(dueBefore);
+  }
+
+  return { meetingFilter, itemFilter };
+};
+
+// Load the meeting holding :itemId into req.meeting and the item into req.actionItem
+const loadActionItem = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action item id'
+      });
+    }
+
+    const meeting = await Meeting.findOne({ 'minutes.actionItems._id': req.params.itemId });
+    if (!meeting || !canViewMeeting(req.user, meeting) || !canReadMinutes(req.user, meeting)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Action item not found'
+      });
+    }
+
+    if (meeting.isArchived && !READ_METHODS.includes(req.method)) {
+      return res.status(409).json({
+        success: false,
+        message: ARCHIVED_MESSAGE
+      });
+    }
+
+    req.meeting = meeting;
+    req.actionItem = meeting.minutes.actionItems.id(req.params.itemId);
+    next();
+  } catch (error) {
+    console.error('Load action item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load action item'
+    });
+  }
+};
+
+const handleActionItemError = (res, error, message) => {
+  if (error.status === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Action items across meetings, soonest deadline first by default
+router.get('/', protect, validateList, handleValidation, async (req, res) => {
+  try {
+    const { meetingFilter, itemFilter } = buildFilters(req);
+    const { items, nextCursor } = await findActionItems(meetingFilter, itemFilter, {
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      sort: req.query.sort
+    });
+
+    res.json({
+      success: true,
+      count: items.length,
+      actionItems: items,
+      nextCursor
+    });
+
+  } catch (error) {
+    handleActionItemError(res, error, 'Failed to fetch action items');
+  }
+});
+
+// One action item with its meeting
+router.get('/:itemId', protect, loadActionItem, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      actionItem: await findActionItem(req.params.itemId)
+    });
+
+  } catch (error) {
+    handleActionItemError(res, error, 'Failed to fetch action item');
+  }
+});
+
+// Report progress on an item. Progress is not an edit to the minutes, so it
+// is allowed after approval and does not create a minutes revision.
+router.patch('/:itemId',
+  protect,
+  loadActionItem,
+  validateUpdate,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { meeting, actionItem } = req;
+      const isAssignee = actionItem.assignee && actionItem.assignee.toString() === req.user._id.toString();
+
+      if (!isAssignee && !isMeetingManager(req.user, meeting)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the assignee or a meeting officer can update this action item'
+        });
+      }
+
+      const { status, completionNotes } = req.body;
+      if (status === undefined && completionNotes === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing to update; send status or completionNotes'
+        });
+      }
+
+      const now = new Date();
+      const set = {
+        'minutes.actionItems.$.updatedBy': req.user._id,
+        'minutes.actionItems.$.updatedAt': now
+      };
+      const unset = {};
+
+      if (completionNotes !== undefined) set['minutes.actionItems.$.completionNotes'] = completionNotes;
+      if (status !== undefined && status !== actionItem.status) {
+        set['minutes.actionItems.$.status'] = status;
+        if (status === 'completed') {
+          set['minutes.actionItems.$.completedAt'] = now;
+        } else {
+          unset['minutes.actionItems.$.completedAt'] = '';
+        }
+      }
+
+      const update = { $set: set };
+      if (Object.keys(unset).length > 0) update.$unset = unset;
+
+      // Positional update so concurrent minutes edits of other fields are not overwritten
+      await Meeting.updateOne(
+        { _id: meeting._id, 'minutes.actionItems._id': actionItem._id },
+        update,
+        { runValidators: true }
+      );
+
+      const updated = await findActionItem(actionItem._id);
+
+      const io = req.app.get('io');
+      if (io) {
+        const payload = {
+          actionItem: updated,
+          userId: req.user._id,
+          timestamp: now.toISOString()
+        };
+        io.to(`meeting-${meeting._id}`).emit('actionItemUpdated', payload);
+        if (actionItem.assignee && !isAssignee) {
+          io.to(`user-${actionItem.assignee}`).emit('actionItemUpdated', payload);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Action item updated',
+        actionItem: updated
+      });
+
+    } catch (error) {
+      handleActionItemError(res, error, 'Failed to update action item');
+    }
+  }
+);
+
+module.exports = router;
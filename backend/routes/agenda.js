@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const { loadMeeting, requireMeetingManager } = require('../middleware/meetingAccess');
+const {
+  agendaTiming,
+  agendaTimingError,
+  carryOverItem,
+  withdrawCarryOver
+} = require('../utils/agenda');
+
+const AGENDA_STATUSES = ['pending', 'in-progress', 'completed', 'deferred'];
+const ITEM_FIELDS = ['title', 'presenter', 'duration', 'description'];
+
+const validateItem = [
+  check('title')
+    .notEmpty().withMessage('Agenda item title is required'),
+  check('duration')
+    .optional()
+    .isInt({ min: 1, max: 600 }).withMessage('Duration must be between 1 and 600 minutes')
+];
+
+const validateItemUpdate = [
+  check('title')
+    .optional()
+    .notEmpty().withMessage('Agenda item title cannot be empty'),
+  check('duration')
+    .optional()
+    .isInt({ min: 1, max: 600 }).withMessage('Duration must be between 1 and 600 minutes')
+];
+
+const loadItem = (req, res, next) => {
+  const item = mongoose.Types.ObjectId.isValid(req.params.itemId)
+    ? req.meeting.agenda.id(req.params.itemId)
+    : null;
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Agenda item not found'
+    });
+  }
+
+  req.agendaItem = item;
+  next();
+};
+
+const pickItemFields = (body) => {
+  return ITEM_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// Reject agenda changes that no longer fit in the meeting's time slot
+const fitsTimeSlot = (res, meeting) => {
+  const timing = agendaTiming(meeting);
+  if (timing.fits) return true;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: [agendaTimingError(timing)],
+    timing
+  });
+  return false;
+};
+
+const sendAgenda = (req, res, message, extra = {}) => {
+  const meeting = req.meeting;
+  const agenda = meeting.orderedAgenda();
+
+  const io = req.app.get('io');
+  if (io && message) {
+    io.to(`meeting-${meeting._id}`).emit('agendaUpdated', {
+      agenda,
+      userId: req.user._id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    message,
+    agenda,
+    timing: agendaTiming(meeting),
+    ...extra
+  });
+};
+
+const handleAgendaError = (res, error, message) => {
+  if (error.status === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'The agenda was changed by someone else; reload it and try again'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Get the agenda in running order with its timing
+router.get('/:meetingId', protect, loadMeeting, (req, res) => {
+  sendAgenda(req, res);
+});
+
+// Add an item at the end of the agenda
+router.post('/:meetingId/items',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  validateItem,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      meeting.agenda.push({ ...pickItemFields(req.body), order: meeting.agenda.length });
+      meeting.renumberAgenda();
+
+      if (!fitsTimeSlot(res, meeting)) return;
+
+      await meeting.save();
+
+      res.status(201);
+      sendAgenda(req, res, 'Agenda item added');
+
+    } catch (error) {
+      handleAgendaError(res, error, 'Failed to add agenda item');
+    }
+  }
+);
+
+// Atomically put the whole agenda in a new order
+router.put('/:meetingId/order',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  check('items').isArray({ min: 1 }).withMessage('items must list the agenda item ids in their new order'),
+  check('items.*').isMongoId().withMessage('items must contain agenda item ids'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      meeting.reorderAgenda(req.body.items);
+
+      // Fails with a VersionError if the agenda changed since it was loaded
+      meeting.increment();
+      await meeting.save();
+
+      sendAgenda(req, res, 'Agenda reordered');
+
+    } catch (error) {
+      handleAgendaError(res, error, 'Failed to reorder agenda');
+    }
+  }
+);
+
+// Edit an item
+router.put('/:meetingId/items/:itemId',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  loadItem,
+  validateItemUpdate,
+  handleValidation,
+  async (req, res) => {
+    try {
+      req.agendaItem.set(pickItemFields(req.body));
+
+      if (!fitsTimeSlot(res, req.meeting)) return;
+
+      await req.meeting.save();
+
+      sendAgenda(req, res, 'Agenda item updated');
+
+    } catch (error) {
+      handleAgendaError(res, error, 'Failed to update agenda item');
+    }
+  }
+);
+
+// Change an item's status; deferred items carry over to the next meeting of the same type
+router.patch('/:meetingId/items/:itemId/status',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  loadItem,
+  check('status').isIn(AGENDA_STATUSES).withMessage(`Status must be one of: ${AGENDA_STATUSES.join(', ')}`),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      const item = req.agendaItem;
+      const previous = item.status;
+
+      item.status = req.body.status;
+
+      let carriedTo = null;
+      if (item.status === 'deferred' && previous !== 'deferred') {
+        carriedTo = await carryOverItem(meeting, item);
+      } else if (previous === 'deferred' && item.status !== 'deferred') {
+        await withdrawCarryOver(item);
+      }
+
+      await meeting.save();
+
+      sendAgenda(req, res, `Agenda item marked ${item.status}`, {
+        carriedOver: item.status === 'deferred'
+          ? {
+            meeting: carriedTo ? carriedTo._id : item.carriedTo || null,
+            // No scheduled meeting of this type has room; the item joins the next one created
+            pending: !item.carriedTo
+          }
+          : undefined
+      });
+
+    } catch (error) {
+      handleAgendaError(res, error, 'Failed to update agenda item status');
+    }
+  }
+);
+
+// Remove an item
+router.delete('/:meetingId/items/:itemId',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  loadItem,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+
+      if (req.agendaItem.status === 'deferred') await withdrawCarryOver(req.agendaItem);
+      req.agendaItem.deleteOne();
+      meeting.renumberAgenda();
+      await meeting.save();
+
+      sendAgenda(req, res, 'Agenda item removed');
+
+    } catch (error) {
+      handleAgendaError(res, error, 'Failed to remove agenda item');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,363 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { protect } = require('../middleware/auth');
+const { loadMeeting, isMeetingManager, isMeetingAttendee } = require('../middleware/meetingAccess');
+const { formatMongooseErrors } = require('../middleware/validate');
+const { getStorage, removeAttachmentFiles } = require('../utils/storage');
+const Meeting = require('../models/Meeting');
+
+const MAX_FILE_SIZE = (parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 10) * 1024 * 1024;
+const MAX_ATTACHMENTS = 20;
+
+// Accepted types and the extensions each may carry
+const ALLOWED_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'application/vnd.ms-powerpoint': ['.ppt'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx']
+};
+
+const THUMBNAIL_SIZE = 320;
+
+// Files are checksummed and handed to storage, so keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extensions = ALLOWED_TYPES[file.mimetype];
+    const allowed = Boolean(extensions) && extensions.includes(path.extname(file.originalname).toLowerCase());
+    cb(allowed ? null : new Error('File type not allowed'), allowed);
+  }
+});
+
+const attachmentUrl = (meetingId, attachmentId, file = 'download') => {
+  return `/api/meetings/${meetingId}/attachments/${attachmentId}/${file}`;
+};
+
+const withLinks = (meetingId, attachment) => {
+  const item = attachment.toObject ? attachment.toObject() : attachment;
+  return {
+    ...item,
+    url: item.key ? attachmentUrl(meetingId, item._id) : item.url,
+    thumbnailUrl: item.thumbnailKey ? attachmentUrl(meetingId, item._id, 'thumbnail') : undefined
+  };
+};
+
+// Attendees and managers may add files; guests only when invited
+const canUpload = (user, meeting) => {
+  return isMeetingManager(user, meeting) || isMeetingAttendee(user, meeting);
+};
+
+const findAttachment = (req, res) => {
+  const attachment = req.meeting.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    res.status(404).json({
+      success: false,
+      message: 'Attachment not found'
+    });
+    return null;
+  }
+  return attachment;
+};
+
+// Images get a small webp thumbnail; sharp also rejects files that only claim to be images
+const makeThumbnail = (buffer) => {
+  return sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+};
+
+const sendStored = async (res, key, headers) => {
+  const stream = await getStorage().createReadStream(key);
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  stream.on('error', (error) => {
+    console.error('Attachment stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+const handleAttachmentError = (res, error, message) => {
+  if (error.code === 'ENOENT') {
+    return res.status(404).json({
+      success: false,
+      message: 'File is missing from storage'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Files attached to the meeting
+router.get('/', protect, loadMeeting, async (req, res) => {
+  try {
+    await req.meeting.populate('attachments.uploadedBy', 'name role');
+
+    res.json({
+      success: true,
+      count: req.meeting.attachments.length,
+      attachments: req.meeting.attachments.map(attachment => withLinks(req.meeting._id, attachment))
+    });
+
+  } catch (error) {
+    handleAttachmentError(res, error, 'Failed to fetch attachments');
+  }
+});
+
+// Upload one file as multipart field "file"
+router.post('/', protect, loadMeeting, (req, res, next) => {
+  if (!canUpload(req.user, req.meeting)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to add files to this meeting'
+    });
+  }
+
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Files can be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB`,
+        LIMIT_FILE_COUNT: 'Upload one file at a time'
+      };
+      return res.status(400).json({
+        success: false,
+        message: messages[err.code] || err.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const storage = getStorage();
+  const stored = [];
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    if (req.meeting.attachments.length >= MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `A meeting can have at most ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+
+    const checksum = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+    const duplicate = req.meeting.attachments.find(attachment => attachment.checksum === checksum);
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: `This file is already attached as ${duplicate.filename}`,
+        attachment: withLinks(req.meeting._id, duplicate)
+      });
+    }
+
+    let thumbnail = null;
+    if (req.file.mimetype.startsWith('image/')) {
+      try {
+        thumbnail = await makeThumbnail(req.file.buffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'File is not a valid image'
+        });
+      }
+    }
+
+    const id = new mongoose.Types.ObjectId();
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    const key = `meetings/${req.meeting._id}/${id}${extension}`;
+
+    await storage.save(key, req.file.buffer, { contentType: req.file.mimetype });
+    stored.push(key);
+
+    let thumbnailKey;
+    if (thumbnail) {
+      thumbnailKey = `meetings/${req.meeting._id}/${id}-thumb.webp`;
+      await storage.save(thumbnailKey, thumbnail, { contentType: 'image/webp' });
+      stored.push(thumbnailKey);
+    }
+
+    const attachment = {
+      _id: id,
+      filename: path.basename(req.file.originalname),
+      url: attachmentUrl(req.meeting._id, id),
+      key,
+      thumbnailKey,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      checksum,
+      uploadedBy: req.user._id,
+      uploadDate: new Date()
+    };
+
+    // The count limit is checked again in the update so parallel uploads cannot exceed it
+    const meeting = await Meeting.findOneAndUpdate(
+      { _id: req.meeting._id, [`attachments.${MAX_ATTACHMENTS - 1}`]: { $exists: false } },
+      { $push: { attachments: attachment } },
+      { new: true, runValidators: true }
+    );
+    if (!meeting) {
+      await Promise.all(stored.map(item => storage.remove(item)));
+      return res.status(400).json({
+        success: false,
+        message: `A meeting can have at most ${MAX_ATTACHMENTS} attachments`
+      });
+    }
+
+    const saved = withLinks(meeting._id, meeting.attachments.id(id));
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`meeting-${meeting._id}`).emit('attachmentAdded', {
+        meetingId: meeting._id,
+        attachment: saved,
+        userId: req.user._id,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'File attached',
+      attachment: saved
+    });
+
+  } catch (error) {
+    await Promise.all(stored.map(item => storage.remove(item).catch(() => {})));
+    handleAttachmentError(res, error, 'Failed to upload attachment');
+  }
+});
+
+// Download a file
+router.get('/:attachmentId/download', protect, loadMeeting, async (req, res) => {
+  try {
+    const attachment = findAttachment(req, res);
+    if (!attachment) return;
+
+    // Attachments from before uploads went through storage only have a url
+    if (!attachment.key) {
+      if (!attachment.url) {
+        return res.status(404).json({
+          success: false,
+          message: 'File is missing from storage'
+        });
+      }
+      return res.redirect(attachment.url);
+    }
+
+    if (attachment.checksum && req.get('If-None-Match') === `"${attachment.checksum}"`) {
+      return res.status(304).end();
+    }
+
+    await sendStored(res, attachment.key, {
+      'Content-Type': attachment.mimeType || 'application/octet-stream',
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600',
+      ETag: `"${attachment.checksum}"`
+    });
+
+  } catch (error) {
+    handleAttachmentError(res, error, 'Failed to download attachment');
+  }
+});
+
+// Thumbnail of an image attachment
+router.get('/:attachmentId/thumbnail', protect, loadMeeting, async (req, res) => {
+  try {
+    const attachment = findAttachment(req, res);
+    if (!attachment) return;
+
+    if (!attachment.thumbnailKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'This attachment has no thumbnail'
+      });
+    }
+
+    await sendStored(res, attachment.thumbnailKey, {
+      'Content-Type': 'image/webp',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=86400'
+    });
+
+  } catch (error) {
+    handleAttachmentError(res, error, 'Failed to fetch thumbnail');
+  }
+});
+
+// Remove a file; allowed for whoever uploaded it and for meeting managers
+router.delete('/:attachmentId', protect, loadMeeting, async (req, res) => {
+  try {
+    const attachment = findAttachment(req, res);
+    if (!attachment) return;
+
+    const uploader = attachment.uploadedBy && attachment.uploadedBy.toString() === req.user._id.toString();
+    if (!uploader && !isMeetingManager(req.user, req.meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this file'
+      });
+    }
+
+    await Meeting.updateOne(
+      { _id: req.meeting._id },
+      { $pull: { attachments: { _id: attachment._id } } }
+    );
+
+    await removeAttachmentFiles([attachment]);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`meeting-${req.meeting._id}`).emit('attachmentRemoved', {
+        meetingId: req.meeting._id,
+        attachmentId: attachment._id,
+        userId: req.user._id,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'File deleted'
+    });
+
+  } catch (error) {
+    handleAttachmentError(res, error, 'Failed to delete attachment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,694 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const { check, query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const {
+  MANAGER_ROLES,
+  ARCHIVED_MESSAGE,
+  loadMeeting,
+  isMeetingChair,
+  isMeetingAttendee,
+  canRecordAttendance,
+  canViewMeeting
+} = require('../middleware/meetingAccess');
+const {
+  ROTATE_SECONDS,
+  CheckInError,
+  createCheckInCode,
+  verifyCheckInCode,
+  checkInStatus
+} = require('../utils/checkIn');
+const {
+  ATTENDANCE_STATUSES,
+  PRESENT_STATUSES,
+  RECORDABLE_STATUSES,
+  AttendanceError,
+  resolveAttendance,
+  checkAttendees,
+  applyExcuse,
+  attendanceStats
+} = require('../utils/attendance');
+const { enforceAttendancePolicy, absenceStreak, policyLevel } = require('../utils/attendancePolicy');
+const { refreshQuorum } = require('../utils/quorum');
+const { notifyUser } = require('../utils/notify');
+const { paginate } = require('../utils/pagination');
+const Meeting = require('../models/Meeting');
+const Settings = require('../models/Settings');
+const AbsenceExcuse = require('../models/AbsenceExcuse');
+const User = require('../models/User');
+
+const ATTENDEE_FIELDS = 'name email role avatar avatarColor';
+
+const requireAttendanceTaker = (req, res, next) => {
+  if (!canRecordAttendance(req.user, req.meeting)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the chair or the minutes taker can manage attendance'
+    });
+  }
+  next();
+};
+
+// Codes are only handed out for meetings that can still be attended
+const requireOpenMeeting = (req, res, next) => {
+  if (['cancelled', 'completed'].includes(req.meeting.status) || req.meeting.isArchived) {
+    return res.status(409).json({
+      success: false,
+      message: `Check-in is closed for ${req.meeting.status} meetings`
+    });
+  }
+  next();
+};
+
+// Link encoded in the QR image; the frontend check-in page posts the code back
+const checkInUrl = (code) => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${base}/check-in?code=${encodeURIComponent(code)}`;
+};
+
+const validateUpdate = (prefix) => [
+  check(`${prefix}status`)
+    .optional()
+    .isIn(RECORDABLE_STATUSES).withMessage(`Status must be one of: ${RECORDABLE_STATUSES.join(', ')}`),
+  check(`${prefix}arrivalTime`)
+    .optional({ nullable: true })
+    .matches(/^([01]?\d|2[0-3]):[0-5]\d$/).withMessage('Arrival time must be HH:MM'),
+  check(`${prefix}notes`)
+    .optional()
+    .isString().withMessage('Notes must be text')
+];
+
+const loadExcuse = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.excuseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid excuse id'
+      });
+    }
+
+    const excuse = await AbsenceExcuse.findById(req.params.excuseId);
+    const meeting = excuse && await Meeting.findById(excuse.meeting);
+    if (!excuse || !meeting || !canViewMeeting(req.user, meeting)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Excuse not found'
+      });
+    }
+
+    // Reviewing or withdrawing an excuse changes the meeting's attendance
+    if (meeting.isArchived) {
+      return res.status(409).json({
+        success: false,
+        message: ARCHIVED_MESSAGE
+      });
+    }
+
+    req.excuse = excuse;
+    req.meeting = meeting;
+    next();
+  } catch (error) {
+    console.error('Load excuse error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load excuse'
+    });
+  }
+};
+
+const findAttendee = (meeting, userId) => {
+  return meeting.attendees.find(attendee => attendee.user.toString() === userId.toString());
+};
+
+// Attendees with a count per status
+const attendanceSummary = (meeting) => {
+  const summary = ATTENDANCE_STATUSES.reduce((counts, status) => {
+    counts[status] = 0;
+    return counts;
+  }, { total: meeting.attendees.length });
+
+  meeting.attendees.forEach(attendee => {
+    summary[attendee.status] += 1;
+  });
+  return summary;
+};
+
+const handleAttendanceError = (res, error, message) => {
+  if (error instanceof AttendanceError || error.status === 400) {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'You already filed an excuse for this meeting'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Corrections to a closed meeting can change someone's run of absences
+const recheckPolicy = (req, meeting) => {
+  if (meeting.status !== 'completed') return;
+
+  enforceAttendancePolicy(meeting, req.app.get('io'))
+    .catch(error => console.error('Attendance policy error:', error));
+};
+
+const emitAttendance = (req, meeting, attendance, quorum) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.to(`meeting-${meeting._id}`).emit('attendanceUpdated', {
+    attendance,
+    userId: req.user._id,
+    timestamp: new Date().toISOString()
+  });
+  io.to(`meeting-${meeting._id}`).emit('quorumUpdated', {
+    meetingId: meeting._id,
+    quorum,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Update attendees from the request, then save and broadcast
+const recordAttendance = async (req, res, updates, message) => {
+  const meeting = req.meeting;
+  const settings = await Settings.getSettings();
+  const resolved = resolveAttendance(meeting, updates, settings.attendance);
+  await checkAttendees(meeting, resolved);
+
+  meeting.applyAttendance(resolved);
+  const quorum = await refreshQuorum(meeting);
+  await meeting.save();
+
+  emitAttendance(req, meeting, resolved, quorum);
+  recheckPolicy(req, meeting);
+
+  await meeting.populate('attendees.user', ATTENDEE_FIELDS);
+  res.json({
+    success: true,
+    message,
+    attendance: meeting.attendees,
+    summary: attendanceSummary(meeting),
+    quorum
+  });
+};
+
+// Absence excuses: members see their own, council officers see everyone's
+router.get('/excuses',
+  protect,
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Unknown excuse status'),
+  query('user').optional().isMongoId().withMessage('Invalid user id'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.status) filter.status = req.query.status;
+
+      if (!MANAGER_ROLES.includes(req.user.role)) {
+        filter.user = req.user._id;
+      } else if (req.query.user) {
+        filter.user = req.query.user;
+      }
+
+      const { items, nextCursor } = await paginate(AbsenceExcuse, filter, {
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        allowedSorts: ['createdAt'],
+        defaultSort: '-createdAt',
+        populate: [
+          { path: 'meeting', select: 'title type date startTime endTime status' },
+          { path: 'user', select: ATTENDEE_FIELDS },
+          { path: 'reviewedBy', select: 'name role' }
+        ]
+      });
+
+      res.json({
+        success: true,
+        count: items.length,
+        excuses: items,
+        nextCursor
+      });
+
+    } catch (error) {
+      handleAttendanceError(res, error, 'Failed to fetch excuses');
+    }
+  }
+);
+
+// Approve or reject an excuse; approved absences are marked excused
+router.patch('/excuses/:excuseId',
+  protect,
+  loadExcuse,
+  check('decision').isIn(['approved', 'rejected']).withMessage('Decision must be approved or rejected'),
+  check('note').optional().isString().isLength({ max: 1000 }).withMessage('Notes can be at most 1000 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { excuse, meeting } = req;
+
+      if (!isMeetingChair(req.user, meeting)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the chairperson can review absence excuses'
+        });
+      }
+
+      excuse.set({
+        status: req.body.decision,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      });
+      await excuse.save();
+
+      let quorum;
+      if (applyExcuse(meeting, excuse)) {
+        quorum = await refreshQuorum(meeting);
+        await meeting.save();
+        emitAttendance(req, meeting, [findAttendee(meeting, excuse.user)], quorum);
+        recheckPolicy(req, meeting);
+      }
+
+      await notifyUser(req.app.get('io'), excuse.user, {
+        category: 'attendance',
+        type: `excuse-${excuse.status}`,
+        title: `Absence excuse ${excuse.status}`,
+        message: `Your absence excuse for ${meeting.title} was ${excuse.status}${excuse.reviewNote ? `: ${excuse.reviewNote}` : ''}`,
+        data: { excuseId: excuse._id, meetingId: meeting._id, status: excuse.status },
+        from: req.user._id
+      });
+
+      res.json({
+        success: true,
+        message: `Excuse ${excuse.status}`,
+        excuse,
+        attendance: findAttendee(meeting, excuse.user)
+      });
+
+    } catch (error) {
+      handleAttendanceError(res, error, 'Failed to review excuse');
+    }
+  }
+);
+
+// Withdraw your own excuse while it is still pending
+router.delete('/excuses/:excuseId', protect, loadExcuse, async (req, res) => {
+  try {
+    const { excuse } = req;
+
+    if (excuse.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only withdraw your own excuses'
+      });
+    }
+    if (excuse.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `This excuse has already been ${excuse.status}`
+      });
+    }
+
+    await excuse.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Excuse withdrawn'
+    });
+
+  } catch (error) {
+    handleAttendanceError(res, error, 'Failed to withdraw excuse');
+  }
+});
+
+// Attendance record of a member with their standing under the attendance policy;
+// excused absences do not lower the rate
+router.get('/users/:userId/stats',
+  protect,
+  check('userId').isMongoId().withMessage('Invalid user id'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      if (req.params.userId !== req.user._id.toString() && !MANAGER_ROLES.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this member\'s attendance'
+        });
+      }
+
+      const member = await User.findById(req.params.userId).select('name role attendanceActions');
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const stats = await attendanceStats(member._id, {
+        from: req.query.from ? new Date(req.query.from) : undefined,
+        to: req.query.to ? new Date(req.query.to) : undefined
+      });
+
+      const { attendancePolicy } = await Settings.getSettings();
+      const streak = await absenceStreak(member._id, attendancePolicy);
+
+      res.json({
+        success: true,
+        stats,
+        policy: {
+          consecutiveAbsences: streak.count,
+          level: policyLevel(streak.count, attendancePolicy),
+          actions: member.attendanceActions
+        }
+      });
+
+    } catch (error) {
+      handleAttendanceError(res, error, 'Failed to fetch attendance stats');
+    }
+  }
+);
+
+// Current check-in code with its QR image as a data URL; refresh before expiresAt
+router.get('/:meetingId/check-in-code',
+  protect,
+  loadMeeting,
+  requireAttendanceTaker,
+  requireOpenMeeting,
+  async (req, res) => {
+    try {
+      const { code, expiresAt } = createCheckInCode(req.meeting._id.toString());
+      const url = checkInUrl(code);
+
+      res.json({
+        success: true,
+        code,
+        url,
+        expiresAt,
+        rotateSeconds: ROTATE_SECONDS,
+        qr: await QRCode.toDataURL(url, { margin: 1, width: 320 })
+      });
+
+    } catch (error) {
+      console.error('Check-in code error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create check-in code'
+      });
+    }
+  }
+);
+
+// Current check-in code as a PNG, e.g. for a projector screen
+router.get('/:meetingId/check-in-code.png',
+  protect,
+  loadMeeting,
+  requireAttendanceTaker,
+  requireOpenMeeting,
+  async (req, res) => {
+    try {
+      const { code, expiresAt } = createCheckInCode(req.meeting._id.toString());
+      const image = await QRCode.toBuffer(checkInUrl(code), { type: 'png', margin: 1, width: 480 });
+
+      res.setHeader('Content-Type', 'image/png');
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('X-Check-In-Expires', expiresAt.toISOString());
+      res.send(image);
+
+    } catch (error) {
+      console.error('Check-in QR error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create check-in code'
+      });
+    }
+  }
+);
+
+// Self check-in with a scanned code
+router.post('/check-in',
+  protect,
+  check('code').isString().notEmpty().withMessage('Check-in code is required'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meetingId = verifyCheckInCode(req.body.code);
+      const meeting = await Meeting.findById(meetingId);
+
+      if (!meeting || !canViewMeeting(req.user, meeting)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Meeting not found'
+        });
+      }
+      if (['cancelled', 'completed'].includes(meeting.status) || meeting.isArchived) {
+        return res.status(409).json({
+          success: false,
+          message: `Check-in is closed for ${meeting.status} meetings`
+        });
+      }
+
+      const existing = findAttendee(meeting, req.user._id);
+      if (existing && PRESENT_STATUSES.includes(existing.status)) {
+        return res.json({
+          success: true,
+          message: 'You are already checked in',
+          attendance: existing
+        });
+      }
+
+      const settings = await Settings.getSettings();
+      const { status, arrivalTime } = checkInStatus(meeting, settings.attendance);
+
+      const update = { user: req.user._id, status, arrivalTime };
+      const updated = await Meeting.recordCheckIn(meeting._id, req.user._id, update);
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Meeting not found'
+        });
+      }
+
+      // Quorum is worked out from the attendance as stored, including other check-ins
+      const quorum = await refreshQuorum(updated);
+      if (!updated.isMinutesLocked()) {
+        await Meeting.updateOne({ _id: updated._id }, { $set: { 'minutes.quorum': quorum } });
+      }
+
+      emitAttendance(req, updated, [update], quorum);
+
+      res.json({
+        success: true,
+        message: status === 'late' ? 'Checked in late' : 'Checked in',
+        attendance: findAttendee(updated, req.user._id)
+      });
+
+    } catch (error) {
+      if (error instanceof CheckInError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Check-in error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check in'
+      });
+    }
+  }
+);
+
+// Attendance of a meeting with a count per status
+router.get('/:meetingId', protect, loadMeeting, async (req, res) => {
+  try {
+    const meeting = req.meeting;
+    await meeting.populate('attendees.user', ATTENDEE_FIELDS);
+
+    res.json({
+      success: true,
+      attendance: meeting.attendees,
+      summary: attendanceSummary(meeting),
+      quorum: meeting.minutes && meeting.minutes.quorum
+    });
+
+  } catch (error) {
+    handleAttendanceError(res, error, 'Failed to fetch attendance');
+  }
+});
+
+// Record several attendees at once; an arrival time decides present or late
+router.put('/:meetingId',
+  protect,
+  loadMeeting,
+  requireAttendanceTaker,
+  check('attendance').isArray({ min: 1 }).withMessage('attendance must list the attendees to update'),
+  check('attendance.*.user').isMongoId().withMessage('Each entry needs a user id'),
+  validateUpdate('attendance.*.'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      if (req.meeting.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'Attendance cannot be taken for a cancelled meeting'
+        });
+      }
+
+      await recordAttendance(req, res, req.body.attendance, 'Attendance updated');
+
+    } catch (error) {
+      handleAttendanceError(res, error, 'Failed to update attendance');
+    }
+  }
+);
+
+// Record one attendee
+router.put('/:meetingId/attendees/:userId',
+  protect,
+  loadMeeting,
+  requireAttendanceTaker,
+  check('userId').isMongoId().withMessage('Invalid user id'),
+  validateUpdate(''),
+  handleValidation,
+  async (req, res) => {
+    try {
+      if (req.meeting.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'Attendance cannot be taken for a cancelled meeting'
+        });
+      }
+
+      const { status, arrivalTime, notes } = req.body;
+      await recordAttendance(req, res, [{ user: req.params.userId, status, arrivalTime, notes }], 'Attendance updated');
+
+    } catch (error) {
+      handleAttendanceError(res, error, 'Failed to update attendance');
+    }
+  }
+);
+
+// Excuses filed for a meeting; attendees only see their own
+router.get('/:meetingId/excuses', protect, loadMeeting, async (req, res) => {
+  try {
+    const filter = { meeting: req.meeting._id };
+    if (!canRecordAttendance(req.user, req.meeting)) filter.user = req.user._id;
+
+    const excuses = await AbsenceExcuse.find(filter)
+      .populate('user', ATTENDEE_FIELDS)
+      .populate('reviewedBy', 'name role')
+      .sort('createdAt');
+
+    res.json({
+      success: true,
+      count: excuses.length,
+      excuses
+    });
+
+  } catch (error) {
+    handleAttendanceError(res, error, 'Failed to fetch excuses');
+  }
+});
+
+// File an absence excuse, before or after the meeting. Filing again after a
+// rejection replaces the reason and sends it back for review.
+router.post('/:meetingId/excuses',
+  protect,
+  loadMeeting,
+  check('reason')
+    .isString().withMessage('A reason is required')
+    .trim()
+    .isLength({ min: 1, max: 1000 }).withMessage('Reasons must be between 1 and 1000 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+
+      if (!isMeetingAttendee(req.user, meeting)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only invited attendees can file an absence excuse'
+        });
+      }
+      if (meeting.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'This meeting was cancelled'
+        });
+      }
+      if (PRESENT_STATUSES.includes(findAttendee(meeting, req.user._id).status)) {
+        return res.status(409).json({
+          success: false,
+          message: 'You attended this meeting'
+        });
+      }
+
+      let excuse = await AbsenceExcuse.findOne({ meeting: meeting._id, user: req.user._id });
+      if (excuse && excuse.status === 'approved') {
+        return res.status(409).json({
+          success: false,
+          message: 'Your excuse for this meeting was already approved'
+        });
+      }
+
+      const created = !excuse;
+      if (created) {
+        excuse = new AbsenceExcuse({ meeting: meeting._id, user: req.user._id });
+      }
+      excuse.set({
+        reason: req.body.reason,
+        status: 'pending',
+        reviewedBy: undefined,
+        reviewedAt: undefined,
+        reviewNote: undefined
+      });
+      await excuse.save();
+
+      if (meeting.chairperson) {
+        await notifyUser(req.app.get('io'), meeting.chairperson, {
+          category: 'attendance',
+          type: 'excuse-filed',
+          title: 'Absence excuse to review',
+          message: `${req.user.name} filed an absence excuse for ${meeting.title}`,
+          data: { excuseId: excuse._id, meetingId: meeting._id, userId: req.user._id },
+          from: req.user._id
+        });
+      }
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Excuse submitted' : 'Excuse resubmitted',
+        excuse
+      });
+
+    } catch (error) {
+      handleAttendanceError(res, error, 'Failed to submit excuse');
+    }
+  }
+);
+
+module.exports = router;
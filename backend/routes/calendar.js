@@ -0,0 +1,364 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { protect } = require('../middleware/auth');
+const { MANAGER_ROLES } = require('../middleware/meetingAccess');
+const { formatMongooseErrors } = require('../middleware/validate');
+const { buildCalendar, parseCalendar, eventToMeetingFields } = require('../utils/ical');
+const { findConflicts } = require('../utils/meetingConflicts');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+
+// Feeds cover meetings from this many days back; everything upcoming is included
+const FEED_HISTORY_DAYS = parseInt(process.env.CALENDAR_FEED_HISTORY_DAYS, 10) || 180;
+
+// .ics files are small text files; keep them in memory
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isIcs = /\.ics$/i.test(file.originalname) || file.mimetype === 'text/calendar';
+    cb(isIcs ? null : new Error('Only .ics files are allowed'), isIcs);
+  }
+});
+
+const feedUrls = (req, token) => {
+  const base = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  return {
+    personal: `${base}/api/calendar/feed/${token}.ics`,
+    council: `${base}/api/calendar/council/${token}.ics`
+  };
+};
+
+const feedWindowStart = () => {
+  const from = new Date();
+  from.setUTCDate(from.getUTCDate() - FEED_HISTORY_DAYS);
+  return from;
+};
+
+const findFeedUser = (token) => {
+  if (!/^[a-f0-9]{48}$/.test(token)) return null;
+  return User.findOne({ calendarToken: token, isActive: true }).select('name role');
+};
+
+const sendCalendar = (res, meetings, name) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="sit-council.ics"');
+  res.setHeader('Cache-Control', 'private, max-age=900');
+  res.send(buildCalendar(meetings, { name }));
+};
+
+// Get (creating on first use) the current user's feed URLs
+router.get('/token', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      feeds: feedUrls(req, user.calendarToken)
+    });
+
+  } catch (error) {
+    console.error('Get calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar feed'
+    });
+  }
+});
+
+// Regenerate the feed token, revoking previously shared URLs
+router.post('/token/regenerate', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.generateCalendarToken();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URLs regenerated',
+      feeds: feedUrls(req, user.calendarToken)
+    });
+
+  } catch (error) {
+    console.error('Regenerate calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate calendar feed'
+    });
+  }
+});
+
+// Personal feed: meetings the user attends, chairs or takes minutes for
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const meetings = await Meeting.find({
+      date: { $gte: feedWindowStart() },
+      $or: [
+        { 'attendees.user': user._id },
+        { chairperson: user._id },
+        { minutesTaker: user._id }
+      ]
+    })
+      .populate('chairperson', 'name')
+      .sort('date')
+      .lean();
+
+    sendCalendar(res, meetings, `SIT Council - ${user.name}`);
+
+  } catch (error) {
+    console.error('Personal calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed'
+    });
+  }
+});
+
+// Council-wide feed, available to any council member's token
+router.get('/council/:token.ics', async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    if (!user || user.role === 'Guest') {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const meetings = await Meeting.find({ date: { $gte: feedWindowStart() } })
+      .populate('chairperson', 'name')
+      .sort('date')
+      .lean();
+
+    sendCalendar(res, meetings, 'SIT Student Council');
+
+  } catch (error) {
+    console.error('Council calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed'
+    });
+  }
+});
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Meeting fields for an import preview entry
+const importedMeeting = (entry) => ({
+  ...entry.meeting,
+  chairperson: entry.meeting.chairperson._id,
+  attendees: entry.meeting.attendees.map(attendee => ({ user: attendee.user })),
+  tags: ['imported']
+});
+
+// Mark an entry that would clash with meetings already scheduled
+const checkImportConflicts = async (entry) => {
+  const conflicts = await findConflicts(importedMeeting(entry));
+  if (conflicts.length === 0) return true;
+
+  entry.action = 'conflict';
+  entry.conflicts = conflicts;
+  return false;
+};
+
+/**
+ * Work out what importing each event would do, without writing anything
+ * @param {Array<Object>} events - Events from parseCalendar
+ * @param {Object} importer - User running the import
+ * @returns {Promise<Array<Object>>} - One preview entry per event
+ */
+async function previewImport(events, importer) {
+  const emails = new Set();
+  events.forEach(event => {
+    if (event.organizer) emails.add(event.organizer);
+    event.attendees.forEach(attendee => emails.add(attendee.email));
+  });
+
+  const users = await User.find({ email: { $in: [...emails] } }).select('name email role').lean();
+  const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+  const uids = events.map(event => event.uid).filter(Boolean);
+  const days = events.filter(event => event.start).map(event => eventToMeetingFields(event).date);
+  const existing = await Meeting.find({
+    $or: [
+      { icalUid: { $in: uids } },
+      { date: { $in: days } }
+    ]
+  }).select('title date icalUid').lean();
+
+  const seen = new Set();
+
+  const preview = events.map((event, index) => {
+    const entry = { index, uid: event.uid || null };
+
+    if (!event.summary || !event.start) {
+      return { ...entry, action: 'invalid', reason: 'Event needs a SUMMARY and a DTSTART' };
+    }
+
+    const fields = eventToMeetingFields(event);
+    const attendees = [];
+    const unknownAttendees = [];
+
+    event.attendees.forEach(attendee => {
+      const user = usersByEmail.get(attendee.email);
+      if (user) {
+        attendees.push({ user: user._id, name: user.name, email: user.email });
+      } else {
+        unknownAttendees.push(attendee.email);
+      }
+    });
+
+    const organizer = event.organizer ? usersByEmail.get(event.organizer) : null;
+    const chairperson = organizer || importer;
+
+    const titleKey = `${fields.title.toLowerCase()}|${dayKey(fields.date)}`;
+    const duplicateOf = existing.find(meeting => event.uid && meeting.icalUid === event.uid) ||
+      existing.find(meeting => `${meeting.title.toLowerCase()}|${dayKey(meeting.date)}` === titleKey);
+
+    let duplicate = null;
+    if (duplicateOf) {
+      duplicate = {
+        meetingId: duplicateOf._id,
+        reason: event.uid && duplicateOf.icalUid === event.uid ? 'uid' : 'title-date'
+      };
+    } else if (seen.has(event.uid || titleKey)) {
+      duplicate = { meetingId: null, reason: 'repeated-in-file' };
+    }
+    seen.add(event.uid || titleKey);
+
+    return {
+      ...entry,
+      action: duplicate ? 'skip' : 'create',
+      duplicate,
+      meeting: {
+        ...fields,
+        chairperson: { _id: chairperson._id, name: chairperson.name },
+        attendees
+      },
+      unknownAttendees,
+      unknownOrganizer: event.organizer && !organizer ? event.organizer : null
+    };
+  });
+
+  for (const entry of preview) {
+    if (entry.action === 'create') await checkImportConflicts(entry);
+  }
+
+  return preview;
+}
+
+// Import meetings from an .ics file; dry run unless dryRun=false
+router.post('/import', protect, (req, res, next) => {
+  icsUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to import meetings'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload an .ics file in the "file" field'
+      });
+    }
+
+    let events;
+    try {
+      events = parseCalendar(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const preview = await previewImport(events, req.user);
+    const dryRun = String(req.body.dryRun ?? req.query.dryRun ?? 'true') !== 'false';
+    const summary = {
+      total: preview.length,
+      toCreate: preview.filter(entry => entry.action === 'create').length,
+      duplicates: preview.filter(entry => entry.action === 'skip').length,
+      conflicts: preview.filter(entry => entry.action === 'conflict').length,
+      invalid: preview.filter(entry => entry.action === 'invalid').length,
+      unknownAttendees: [...new Set(preview.flatMap(entry => entry.unknownAttendees || []))]
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        summary,
+        events: preview
+      });
+    }
+
+    const created = [];
+    for (const entry of preview) {
+      if (entry.action !== 'create') continue;
+
+      // Checked again: events earlier in the file may have taken the slot
+      if (!(await checkImportConflicts(entry))) continue;
+
+      try {
+        const meeting = await Meeting.create({
+          ...importedMeeting(entry),
+          createdBy: req.user._id
+        });
+        entry.meetingId = meeting._id;
+        created.push(meeting._id);
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        entry.action = 'invalid';
+        entry.reason = 'Validation failed';
+        entry.errors = formatMongooseErrors(error);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      message: `${created.length} meeting(s) imported`,
+      summary: {
+        ...summary,
+        created: created.length,
+        conflicts: preview.filter(entry => entry.action === 'conflict').length
+      },
+      events: preview
+    });
+
+  } catch (error) {
+    console.error('Calendar import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { check, query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const { loadMeeting, requireMeetingChair } = require('../middleware/meetingAccess');
+const { paginate } = require('../utils/pagination');
+const ChatMessage = require('../models/ChatMessage');
+
+const SENDER_FIELDS = 'name role avatar avatarColor';
+
+const validateText = [
+  check('text')
+    .isString().withMessage('Message text is required')
+    .trim()
+    .isLength({ min: 1, max: 2000 }).withMessage('Messages must be between 1 and 2000 characters')
+];
+
+const loadMessage = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message id'
+      });
+    }
+
+    const message = await ChatMessage.findOne({ _id: req.params.messageId, meeting: req.meeting._id });
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    req.chatMessage = message;
+    next();
+  } catch (error) {
+    console.error('Load message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load message'
+    });
+  }
+};
+
+const emitChat = async (req, event, message) => {
+  await message.populate('sender', SENDER_FIELDS);
+
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.to(`meeting-${req.meeting._id}`).emit(event, {
+    meetingId: req.meeting._id,
+    message: message.toJSON(),
+    userId: req.user._id,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const handleChatError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Chat history, newest first; pass nextCursor back to page further into the past
+router.get('/',
+  protect,
+  loadMeeting,
+  query('pinned').optional().isBoolean().withMessage('pinned must be true or false'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const filter = { meeting: req.meeting._id };
+      if (req.query.pinned !== undefined) filter.pinned = req.query.pinned === 'true';
+
+      const { items, nextCursor } = await paginate(ChatMessage, filter, {
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        allowedSorts: ['createdAt'],
+        defaultSort: '-createdAt',
+        populate: [{ path: 'sender', select: SENDER_FIELDS }],
+        // Documents, so toJSON blanks the text of deleted messages
+        lean: false
+      });
+
+      res.json({
+        success: true,
+        count: items.length,
+        messages: items.map(message => message.toJSON()),
+        nextCursor
+      });
+
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      handleChatError(res, error, 'Failed to fetch chat');
+    }
+  }
+);
+
+// Post a message
+router.post('/', protect, loadMeeting, validateText, handleValidation, async (req, res) => {
+  try {
+    const message = await ChatMessage.create({
+      meeting: req.meeting._id,
+      sender: req.user._id,
+      text: req.body.text
+    });
+
+    await emitChat(req, 'newMessage', message);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      chatMessage: message
+    });
+
+  } catch (error) {
+    handleChatError(res, error, 'Failed to send message');
+  }
+});
+
+// Edit a message (chair moderation)
+router.put('/:messageId',
+  protect,
+  loadMeeting,
+  requireMeetingChair,
+  loadMessage,
+  validateText,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const message = req.chatMessage;
+
+      if (message.deletedAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'Deleted messages cannot be edited'
+        });
+      }
+
+      message.text = req.body.text;
+      message.editedBy = req.user._id;
+      message.editedAt = new Date();
+      await message.save();
+
+      await emitChat(req, 'messageUpdated', message);
+
+      res.json({
+        success: true,
+        message: 'Message updated',
+        chatMessage: message
+      });
+
+    } catch (error) {
+      handleChatError(res, error, 'Failed to update message');
+    }
+  }
+);
+
+// Pin or unpin a message
+router.put('/:messageId/pin',
+  protect,
+  loadMeeting,
+  requireMeetingChair,
+  loadMessage,
+  check('pinned').isBoolean().withMessage('pinned must be true or false'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const message = req.chatMessage;
+      const pinned = req.body.pinned === true || req.body.pinned === 'true';
+
+      if (pinned && message.deletedAt) {
+        return res.status(409).json({
+          success: false,
+          message: 'Deleted messages cannot be pinned'
+        });
+      }
+
+      message.pinned = pinned;
+      message.pinnedBy = pinned ? req.user._id : undefined;
+      message.pinnedAt = pinned ? new Date() : undefined;
+      await message.save();
+
+      await emitChat(req, 'messageUpdated', message);
+
+      res.json({
+        success: true,
+        message: pinned ? 'Message pinned' : 'Message unpinned',
+        chatMessage: message
+      });
+
+    } catch (error) {
+      handleChatError(res, error, 'Failed to pin message');
+    }
+  }
+);
+
+// Delete a message; a placeholder stays in the history
+router.delete('/:messageId', protect, loadMeeting, requireMeetingChair, loadMessage, async (req, res) => {
+  try {
+    const message = req.chatMessage;
+
+    message.deletedBy = req.user._id;
+    message.deletedAt = new Date();
+    message.pinned = false;
+    await message.save();
+
+    await emitChat(req, 'messageDeleted', message);
+
+    res.json({
+      success: true,
+      message: 'Message deleted'
+    });
+
+  } catch (error) {
+    handleChatError(res, error, 'Failed to delete message');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,546 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const {
+  MANAGER_ROLES,
+  canReadMinutes,
+  loadMeeting,
+  loadMeetingForArchiving,
+  requireMeetingManager
+} = require('../middleware/meetingAccess');
+const { paginate } = require('../utils/pagination');
+const { SCHEDULING_FIELDS, checkConflicts } = require('../utils/meetingConflicts');
+const { refreshQuorum } = require('../utils/quorum');
+const { enforceAttendancePolicy } = require('../utils/attendancePolicy');
+const { removeAttachmentFiles } = require('../utils/storage');
+const {
+  agendaTiming,
+  agendaTimingError,
+  pullDeferredItems,
+  linkCarriedItems
+} = require('../utils/agenda');
+const Meeting = require('../models/Meeting');
+const Motion = require('../models/Motion');
+const ChatMessage = require('../models/ChatMessage');
+const MinutesRevision = require('../models/MinutesRevision');
+const AbsenceExcuse = require('../models/AbsenceExcuse');
+const StudentQuestion = require('../models/StudentQuestion');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const Notification = require('../models/Notification');
+const motionRoutes = require('./motions');
+const minutesRoutes = require('./minutes');
+const chatRoutes = require('./chat');
+const studentQuestionRoutes = require('./studentQuestions');
+const attachmentRoutes = require('./attachments');
+
+const MEETING_TYPES = ['regular', 'random', 'special', 'committee'];
+const MEETING_STATUSES = ['scheduled', 'in-progress', 'completed', 'cancelled'];
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+// Fields a client may set directly on a meeting
+const EDITABLE_FIELDS = [
+  'title', 'type', 'date', 'startTime', 'endTime', 'location', 'chairperson',
+  'minutesTaker', 'objective', 'attendees', 'agenda', 'questions', 'status', 'tags',
+  'questionsOpen'
+];
+
+const MEETING_POPULATE = [
+  { path: 'chairperson', select: 'name role avatar avatarColor' },
+  { path: 'minutesTaker', select: 'name role avatar avatarColor' },
+  { path: 'createdBy', select: 'name role' },
+  { path: 'attendees.user', select: 'name role avatar avatarColor' },
+  { path: 'minutes.actionItems.assignee', select: 'name role' }
+];
+
+// Validation middleware
+const validateMeeting = [
+  check('title')
+    .notEmpty().withMessage('Meeting title is required')
+    .isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+  check('type')
+    .optional()
+    .isIn(MEETING_TYPES).withMessage(`Type must be one of: ${MEETING_TYPES.join(', ')}`),
+  check('date')
+    .isISO8601().withMessage('Please provide a valid date'),
+  check('startTime')
+    .matches(TIME_PATTERN).withMessage('Start time must be in HH:MM format'),
+  check('endTime')
+    .matches(TIME_PATTERN).withMessage('End time must be in HH:MM format'),
+  check('chairperson')
+    .isMongoId().withMessage('Chairperson must be a valid user id'),
+  check('minutesTaker')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Minutes taker must be a valid user id'),
+  check('status')
+    .optional()
+    .isIn(MEETING_STATUSES).withMessage(`Status must be one of: ${MEETING_STATUSES.join(', ')}`),
+  check('attendees')
+    .optional()
+    .isArray().withMessage('Attendees must be an array'),
+  check('agenda')
+    .optional()
+    .isArray().withMessage('Agenda must be an array'),
+  check('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array'),
+  check('questionsOpen')
+    .optional()
+    .isBoolean().withMessage('questionsOpen must be true or false')
+];
+
+const validateMeetingUpdate = [
+  check('title')
+    .optional()
+    .notEmpty().withMessage('Meeting title cannot be empty'),
+  check('type')
+    .optional()
+    .isIn(MEETING_TYPES).withMessage(`Type must be one of: ${MEETING_TYPES.join(', ')}`),
+  check('date')
+    .optional()
+    .isISO8601().withMessage('Please provide a valid date'),
+  check('startTime')
+    .optional()
+    .matches(TIME_PATTERN).withMessage('Start time must be in HH:MM format'),
+  check('endTime')
+    .optional()
+    .matches(TIME_PATTERN).withMessage('End time must be in HH:MM format'),
+  check('chairperson')
+    .optional()
+    .isMongoId().withMessage('Chairperson must be a valid user id'),
+  check('minutesTaker')
+    .optional({ nullable: true })
+    .isMongoId().withMessage('Minutes taker must be a valid user id'),
+  check('status')
+    .optional()
+    .isIn(MEETING_STATUSES).withMessage(`Status must be one of: ${MEETING_STATUSES.join(', ')}`),
+  check('questionsOpen')
+    .optional()
+    .isBoolean().withMessage('questionsOpen must be true or false')
+];
+
+const validateListQuery = [
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('type').optional().isIn(MEETING_TYPES).withMessage('Invalid meeting type'),
+  query('status').optional().isIn(MEETING_STATUSES).withMessage('Invalid meeting status'),
+  query('isArchived').optional().isBoolean().withMessage('isArchived must be true or false'),
+  query('chairperson').optional().isMongoId().withMessage('chairperson must be a valid user id'),
+  query('tags')
+    .optional()
+    .custom(value => typeof value === 'string' || (Array.isArray(value) && value.every(tag => typeof tag === 'string')))
+    .withMessage('tags must be a comma separated list'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+];
+
+const pickEditable = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+const buildListFilter = (req) => {
+  const { from, to, type, status, isArchived, tags, chairperson } = req.query;
+  const filter = {
+    isArchived: isArchived === undefined ? false : isArchived === 'true'
+  };
+
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = new Date(from);
+    if (to) filter.date.$lte = new Date(to);
+  }
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (chairperson) filter.chairperson = new mongoose.Types.ObjectId(chairperson);
+  if (tags) {
+    const tagList = (Array.isArray(tags) ? tags : tags.split(','))
+      .map(tag => tag.trim())
+      .filter(Boolean);
+    if (tagList.length > 0) filter.tags = { $all: tagList };
+  }
+
+  // Guests only see meetings they were invited to
+  if (req.user.role === 'Guest') {
+    filter['attendees.user'] = req.user._id;
+  }
+
+  return filter;
+};
+
+// Unpublished minutes only go to the people working on them; others just see the status
+const withVisibleMinutes = (user, meeting) => {
+  const data = meeting.toJSON ? meeting.toJSON() : meeting;
+  if (!data.minutes || canReadMinutes(user, data)) return data;
+
+  return {
+    ...data,
+    minutes: {
+      status: data.minutes.status,
+      quorum: data.minutes.quorum
+    }
+  };
+};
+
+const emitMeetingEvent = (req, event, meeting) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.to(`meeting-${meeting._id}`).emit(event, {
+    meetingId: meeting._id,
+    userId: req.user._id,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Remove everything recorded against a deleted meeting; notifications link to it through data.meetingId
+const removeMeetingRecords = (meetingId) => Promise.all([
+  Motion.deleteMany({ meeting: meetingId }),
+  ChatMessage.deleteMany({ meeting: meetingId }),
+  MinutesRevision.deleteMany({ meeting: meetingId }),
+  AbsenceExcuse.deleteMany({ meeting: meetingId }),
+  StudentQuestion.deleteMany({ meeting: meetingId }),
+  ReminderDelivery.deleteMany({ meeting: meetingId }),
+  Notification.deleteMany({ 'data.meetingId': meetingId })
+]);
+
+// Sends a 400 and returns false when the agenda does not fit the meeting's time slot
+const checkAgendaTiming = (res, meeting) => {
+  const timing = agendaTiming(meeting);
+  if (timing.fits) return true;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: [agendaTimingError(timing)]
+  });
+  return false;
+};
+
+// Nested resources
+router.use('/:meetingId/motions', motionRoutes);
+router.use('/:meetingId/minutes', minutesRoutes);
+router.use('/:meetingId/chat', chatRoutes);
+router.use('/:meetingId/student-questions', studentQuestionRoutes);
+router.use('/:meetingId/attachments', attachmentRoutes);
+
+// List meetings
+router.get('/', protect, validateListQuery, handleValidation, async (req, res) => {
+  try {
+    const { items, nextCursor } = await paginate(Meeting, buildListFilter(req), {
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      sort: req.query.sort,
+      allowedSorts: ['date', 'createdAt', 'updatedAt', 'title'],
+      defaultSort: '-date',
+      populate: [
+        { path: 'chairperson', select: 'name role avatar avatarColor' },
+        { path: 'minutesTaker', select: 'name role' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      count: items.length,
+      meetings: items.map(meeting => withVisibleMinutes(req.user, meeting)),
+      nextCursor
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('List meetings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch meetings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get single meeting
+router.get('/:id', protect, loadMeeting, async (req, res) => {
+  try {
+    const meeting = await req.meeting.populate(MEETING_POPULATE);
+
+    res.json({
+      success: true,
+      meeting: withVisibleMinutes(req.user, meeting)
+    });
+
+  } catch (error) {
+    console.error('Get meeting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch meeting'
+    });
+  }
+});
+
+// Live quorum state
+router.get('/:id/quorum', protect, loadMeeting, async (req, res) => {
+  try {
+    const quorum = await refreshQuorum(req.meeting);
+
+    res.json({
+      success: true,
+      quorum
+    });
+
+  } catch (error) {
+    console.error('Get quorum error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to evaluate quorum'
+    });
+  }
+});
+
+// Create meeting
+router.post('/', protect, validateMeeting, handleValidation, async (req, res) => {
+  try {
+    if (req.user.role === 'Guest') {
+      return res.status(403).json({
+        success: false,
+        message: 'Guests cannot create meetings'
+      });
+    }
+
+    const meeting = new Meeting({
+      ...pickEditable(req.body),
+      createdBy: req.user._id
+    });
+    if (req.body.minutes) meeting.editMinutes(req.body.minutes, req.user._id);
+    meeting.renumberAgenda();
+
+    // Items deferred at earlier meetings of this type join the new one, and count towards its time slot
+    if (meeting.status === 'scheduled') await pullDeferredItems(meeting);
+
+    if (!checkAgendaTiming(res, meeting)) return;
+    if (!(await checkConflicts(req, res, meeting))) return;
+
+    await meeting.save();
+    await linkCarriedItems(meeting);
+    await meeting.populate(MEETING_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: 'Meeting created successfully',
+      meeting
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      });
+    }
+
+    console.error('Create meeting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create meeting',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update meeting
+router.put('/:id',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  validateMeetingUpdate,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      meeting.set(pickEditable(req.body));
+      // Minutes content goes through the approval lock
+      if (req.body.minutes) meeting.editMinutes(req.body.minutes, req.user._id);
+
+      if (['agenda', 'date', 'startTime', 'endTime'].some(field => meeting.isModified(field))) {
+        meeting.renumberAgenda();
+        if (!checkAgendaTiming(res, meeting)) return;
+      }
+
+      const closes = meeting.isModified('status') && meeting.status === 'completed';
+      const reschedules = SCHEDULING_FIELDS.some(field => meeting.isModified(field));
+      if (reschedules && !(await checkConflicts(req, res, meeting))) return;
+
+      if (meeting.isModified('attendees') || meeting.isModified('type')) {
+        await refreshQuorum(meeting);
+      }
+
+      await meeting.save();
+
+      if (closes) {
+        enforceAttendancePolicy(meeting, req.app.get('io'))
+          .catch(error => console.error('Attendance policy error:', error));
+      }
+
+      await meeting.populate(MEETING_POPULATE);
+
+      const editor = req.app.get('minutesEditor');
+      if (editor && req.body.minutes) editor.reset(meeting);
+
+      emitMeetingEvent(req, 'meetingUpdated', meeting);
+
+      res.json({
+        success: true,
+        message: 'Meeting updated successfully',
+        meeting
+      });
+
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: formatMongooseErrors(error)
+        });
+      }
+
+      console.error('Update meeting error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update meeting',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Move a completed or cancelled meeting to the archive
+router.post('/:id/archive', protect, loadMeetingForArchiving, requireMeetingManager, async (req, res) => {
+  try {
+    const meeting = req.meeting;
+
+    if (meeting.isArchived) {
+      return res.status(409).json({
+        success: false,
+        message: 'Meeting is already archived'
+      });
+    }
+
+    if (!['completed', 'cancelled'].includes(meeting.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only completed or cancelled meetings can be archived'
+      });
+    }
+
+    meeting.isArchived = true;
+    meeting.archivedAt = new Date();
+    meeting.archivedBy = req.user._id;
+    await meeting.save();
+
+    emitMeetingEvent(req, 'meetingArchived', meeting);
+
+    res.json({
+      success: true,
+      message: 'Meeting archived',
+      meeting
+    });
+
+  } catch (error) {
+    console.error('Archive meeting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to archive meeting'
+    });
+  }
+});
+
+// Bring an archived meeting back
+router.post('/:id/restore', protect, loadMeetingForArchiving, requireMeetingManager, async (req, res) => {
+  try {
+    const meeting = req.meeting;
+
+    if (!meeting.isArchived) {
+      return res.status(409).json({
+        success: false,
+        message: 'Meeting is not archived'
+      });
+    }
+
+    meeting.isArchived = false;
+    meeting.archivedAt = undefined;
+    meeting.archivedBy = undefined;
+    await meeting.save();
+
+    emitMeetingEvent(req, 'meetingRestored', meeting);
+
+    res.json({
+      success: true,
+      message: 'Meeting restored',
+      meeting
+    });
+
+  } catch (error) {
+    console.error('Restore meeting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore meeting'
+    });
+  }
+});
+
+// Delete meeting; archived meetings are refused by loadMeeting
+router.delete('/:id', protect, loadMeeting, async (req, res) => {
+  try {
+    const meeting = req.meeting;
+
+    // Only the creator or a council officer may delete a meeting
+    if (meeting.createdBy.toString() !== req.user._id.toString() && !MANAGER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this meeting'
+      });
+    }
+
+    // Approved minutes are part of the council's record
+    if (meeting.isMinutesLocked()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Meetings with approved minutes cannot be deleted; archive the meeting instead'
+      });
+    }
+
+    await meeting.deleteOne();
+    await removeMeetingRecords(meeting._id);
+    await removeAttachmentFiles(meeting.attachments);
+    emitMeetingEvent(req, 'meetingDeleted', meeting);
+
+    res.json({
+      success: true,
+      message: 'Meeting deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete meeting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete meeting'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,480 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { check, query, param } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const {
+  loadMeeting,
+  isMeetingManager,
+  isMeetingAttendee,
+  canSeeDraftMinutes,
+  canReadMinutes,
+  requireMeetingManager,
+  requireMeetingChair
+} = require('../middleware/meetingAccess');
+const { diffMinutes } = require('../utils/minutesDiff');
+const MinutesRevision = require('../models/MinutesRevision');
+
+const MINUTES_POPULATE = [
+  { path: 'minutes.actionItems.assignee', select: 'name role' },
+  { path: 'minutes.comments.user', select: 'name role avatar avatarColor' },
+  { path: 'minutes.history.by', select: 'name role' },
+  { path: 'minutes.submittedBy', select: 'name role' },
+  { path: 'minutes.approvedBy', select: 'name role' },
+  { path: 'minutes.publishedBy', select: 'name role' }
+];
+
+const validateNote = [
+  check('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+];
+
+// Live editing sessions must pick up minutes changed here
+const resetEditor = (req, meeting) => {
+  const editor = req.app.get('minutesEditor');
+  if (editor) editor.reset(meeting);
+};
+
+const emitMinutesStatus = (req, meeting) => {
+  resetEditor(req, meeting);
+
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.to(`meeting-${meeting._id}`).emit('minutesStatusChanged', {
+    meetingId: meeting._id,
+    status: meeting.minutes.status,
+    userId: req.user._id,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const sendMinutes = async (res, meeting, message) => {
+  await meeting.populate(MINUTES_POPULATE);
+  res.json({
+    success: true,
+    message,
+    minutes: meeting.minutes
+  });
+};
+
+// Guard a workflow step on the current minutes status
+const requireMinutesStatus = (...statuses) => (req, res, next) => {
+  if (!statuses.includes(req.meeting.minutes.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `Minutes are ${req.meeting.minutes.status}; this step needs them to be ${statuses.join(' or ')}`
+    });
+  }
+  next();
+};
+
+// Revision history includes drafts, so it follows the same visibility
+const requireDraftAccess = (req, res, next) => {
+  if (!canSeeDraftMinutes(req.user, req.meeting)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only attendees and officers can view the revision history'
+    });
+  }
+  next();
+};
+
+const validateRevision = [
+  param('revision').isInt({ min: 1 }).withMessage('revision must be a revision number')
+];
+
+const findRevision = (meetingId, revision) => {
+  return MinutesRevision.findOne({ meeting: meetingId, revision: Number(revision) })
+    .populate('author', 'name role');
+};
+
+// Assignee progress is tracked outside the minutes text (routes/actionItems.js)
+const ACTION_ITEM_PROGRESS_FIELDS = ['status', 'completionNotes', 'completedAt', 'updatedBy', 'updatedAt', 'remindedFor'];
+
+// Restored action items keep the progress already reported on the current ones
+const withCurrentProgress = (items, currentItems) => {
+  return items.map(item => {
+    const current = item._id && currentItems.id(item._id);
+    if (!current) return item;
+
+    const restored = { ...item };
+    ACTION_ITEM_PROGRESS_FIELDS.forEach(field => {
+      restored[field] = current[field];
+    });
+    return restored;
+  });
+};
+
+const handleMinutesError = (res, error, message) => {
+  if (error.status === 409) {
+    return res.status(409).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Get minutes with their workflow state
+router.get('/', protect, loadMeeting, async (req, res) => {
+  try {
+    if (!canReadMinutes(req.user, req.meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Minutes have not been published yet'
+      });
+    }
+
+    await sendMinutes(res, req.meeting);
+
+  } catch (error) {
+    handleMinutesError(res, error, 'Failed to fetch minutes');
+  }
+});
+
+// Edit minutes content (minutes taker, chair or officers; locked after approval)
+router.put('/', protect, loadMeeting, requireMeetingManager, async (req, res) => {
+  try {
+    const meeting = req.meeting;
+    meeting.editMinutes(req.body, req.user._id);
+    await meeting.save();
+    resetEditor(req, meeting);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`meeting-${meeting._id}`).emit('minutesSaved', {
+        meetingId: meeting._id,
+        userId: req.user._id,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await sendMinutes(res, meeting, 'Minutes saved');
+
+  } catch (error) {
+    handleMinutesError(res, error, 'Failed to save minutes');
+  }
+});
+
+// Submit the draft for review
+router.post('/submit',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  requireMinutesStatus('draft'),
+  validateNote,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      meeting.transitionMinutes('submitted', 'in-review', req.user._id, req.body.note);
+      await meeting.save();
+
+      emitMinutesStatus(req, meeting);
+      await sendMinutes(res, meeting, 'Minutes submitted for review');
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to submit minutes');
+    }
+  }
+);
+
+// Reviewer comment
+router.post('/comments',
+  protect,
+  loadMeeting,
+  requireMinutesStatus('draft', 'in-review'),
+  check('text').notEmpty().withMessage('Comment text is required'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+
+      if (!isMeetingManager(req.user, meeting) && !isMeetingAttendee(req.user, meeting)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only attendees and officers can review these minutes'
+        });
+      }
+
+      meeting.minutes.comments.push({ user: req.user._id, text: req.body.text });
+      await meeting.save();
+
+      res.status(201);
+      await sendMinutes(res, meeting, 'Comment added');
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to add comment');
+    }
+  }
+);
+
+// Resolve or reopen a review comment
+router.patch('/comments/:commentId',
+  protect,
+  loadMeeting,
+  check('resolved').isBoolean().withMessage('resolved must be true or false'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      const comment = meeting.minutes.comments.id(req.params.commentId);
+
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      if (comment.user.toString() !== req.user._id.toString() && !isMeetingManager(req.user, meeting)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this comment'
+        });
+      }
+
+      comment.resolved = req.body.resolved === true || req.body.resolved === 'true';
+      await meeting.save();
+
+      await sendMinutes(res, meeting, 'Comment updated');
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to update comment');
+    }
+  }
+);
+
+// Chair sends the minutes back to the minutes taker
+router.post('/return',
+  protect,
+  loadMeeting,
+  requireMeetingChair,
+  requireMinutesStatus('in-review'),
+  validateNote,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      meeting.transitionMinutes('returned', 'draft', req.user._id, req.body.note);
+      await meeting.save();
+
+      emitMinutesStatus(req, meeting);
+      await sendMinutes(res, meeting, 'Minutes returned for changes');
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to return minutes');
+    }
+  }
+);
+
+// Chair approves the minutes, locking them
+router.post('/approve',
+  protect,
+  loadMeeting,
+  requireMeetingChair,
+  requireMinutesStatus('in-review'),
+  validateNote,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      meeting.transitionMinutes('approved', 'approved', req.user._id, req.body.note);
+      await meeting.save();
+
+      emitMinutesStatus(req, meeting);
+      await sendMinutes(res, meeting, 'Minutes approved');
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to approve minutes');
+    }
+  }
+);
+
+// Publish approved minutes to the council
+router.post('/publish',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  requireMinutesStatus('approved'),
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      meeting.transitionMinutes('published', 'published', req.user._id);
+      await meeting.save();
+
+      emitMinutesStatus(req, meeting);
+      await sendMinutes(res, meeting, 'Minutes published');
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to publish minutes');
+    }
+  }
+);
+
+// Reopen approved or published minutes for an amendment
+router.post('/amend',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  requireMinutesStatus('approved', 'published'),
+  check('note').notEmpty().withMessage('A reason for the amendment is required'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      meeting.transitionMinutes('amended', 'draft', req.user._id, req.body.note);
+      await meeting.save();
+
+      emitMinutesStatus(req, meeting);
+      await sendMinutes(res, meeting, 'Minutes reopened for amendment');
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to amend minutes');
+    }
+  }
+);
+
+// List revisions of the minutes, newest first
+router.get('/revisions', protect, loadMeeting, requireDraftAccess, async (req, res) => {
+  try {
+    const revisions = await MinutesRevision.find({ meeting: req.meeting._id })
+      .select('-content')
+      .populate('author', 'name role')
+      .sort('-revision');
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      revisions
+    });
+
+  } catch (error) {
+    handleMinutesError(res, error, 'Failed to fetch revisions');
+  }
+});
+
+// Field-level diff between two revisions
+router.get('/revisions/diff',
+  protect,
+  loadMeeting,
+  requireDraftAccess,
+  query('from').isInt({ min: 1 }).withMessage('from must be a revision number'),
+  query('to').isInt({ min: 1 }).withMessage('to must be a revision number'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const [from, to] = await Promise.all([
+        findRevision(req.meeting._id, req.query.from),
+        findRevision(req.meeting._id, req.query.to)
+      ]);
+
+      if (!from || !to) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        from: from.revision,
+        to: to.revision,
+        diff: diffMinutes(from.content, to.content)
+      });
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to compare revisions');
+    }
+  }
+);
+
+// View a single revision
+router.get('/revisions/:revision',
+  protect,
+  loadMeeting,
+  requireDraftAccess,
+  validateRevision,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const revision = await findRevision(req.meeting._id, req.params.revision);
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        revision
+      });
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to fetch revision');
+    }
+  }
+);
+
+// Restore an older revision; this records a new revision rather than rewriting history
+router.post('/revisions/:revision/restore',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  validateRevision,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = req.meeting;
+      const revision = await findRevision(meeting._id, req.params.revision);
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      meeting.editMinutes({
+        summary: revision.content.summary || '',
+        decisions: revision.content.decisions || [],
+        actionItems: withCurrentProgress(revision.content.actionItems || [], meeting.minutes.actionItems),
+        nextMeeting: revision.content.nextMeeting || {}
+      }, req.user._id, { reason: 'restore', restoredFrom: revision.revision });
+      await meeting.save();
+      resetEditor(req, meeting);
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`meeting-${meeting._id}`).emit('minutesSaved', {
+          meetingId: meeting._id,
+          userId: req.user._id,
+          restoredFrom: revision.revision,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      await sendMinutes(res, meeting, `Minutes restored from revision ${revision.revision}`);
+
+    } catch (error) {
+      handleMinutesError(res, error, 'Failed to restore revision');
+    }
+  }
+);
+
+module.exports = router;
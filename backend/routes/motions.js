@@ -0,0 +1,399 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { check } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const {
+  loadMeeting,
+  isMeetingManager,
+  requireMeetingChair
+} = require('../middleware/meetingAccess');
+const { refreshQuorum } = require('../utils/quorum');
+const Motion = require('../models/Motion');
+const User = require('../models/User');
+
+const PRESENT_STATUSES = ['present', 'late'];
+
+const validateMotion = [
+  check('title').notEmpty().withMessage('Motion title is required'),
+  check('mode')
+    .optional()
+    .isIn(['open', 'secret', 'roll-call']).withMessage('Mode must be one of: open, secret, roll-call'),
+  check('threshold')
+    .optional()
+    .isIn(['simple', 'two-thirds', 'unanimous']).withMessage('Threshold must be one of: simple, two-thirds, unanimous'),
+  check('agendaItem')
+    .optional()
+    .isMongoId().withMessage('Agenda item must be a valid id')
+];
+
+const validateVote = [
+  check('choice')
+    .isIn(['yes', 'no', 'abstain']).withMessage('Choice must be one of: yes, no, abstain'),
+  check('userId')
+    .optional()
+    .isMongoId().withMessage('userId must be a valid user id')
+];
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Present, voting attendees of a meeting (guests do not vote)
+const presentVoters = async (meeting) => {
+  const presentIds = meeting.attendees
+    .filter(attendee => PRESENT_STATUSES.includes(attendee.status))
+    .map(attendee => idOf(attendee.user));
+
+  const users = await User.find({ _id: { $in: presentIds }, role: { $ne: 'Guest' } }).select('_id').lean();
+  return new Set(users.map(user => user._id.toString()));
+};
+
+const loadMotion = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.motionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid motion id'
+      });
+    }
+
+    const motion = await Motion.findOne({ _id: req.params.motionId, meeting: req.meeting._id });
+    if (!motion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Motion not found'
+      });
+    }
+
+    req.motion = motion;
+    next();
+  } catch (error) {
+    console.error('Load motion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load motion'
+    });
+  }
+};
+
+// Broadcast a motion change to the meeting room
+const emitMotion = (req, event, motion) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.to(`meeting-${req.meeting._id}`).emit(event, {
+    meetingId: req.meeting._id,
+    motion: motion.toJSON(),
+    timestamp: new Date().toISOString()
+  });
+};
+
+const conflict = (res, message) => res.status(409).json({ success: false, message });
+
+// List motions of a meeting
+router.get('/', protect, loadMeeting, async (req, res) => {
+  try {
+    const motions = await Motion.find({ meeting: req.meeting._id })
+      .populate('proposer', 'name role')
+      .populate('seconder', 'name role')
+      .populate('votes.user', 'name role')
+      .sort('createdAt');
+
+    res.json({
+      success: true,
+      count: motions.length,
+      motions
+    });
+
+  } catch (error) {
+    console.error('List motions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch motions'
+    });
+  }
+});
+
+// Propose a motion
+router.post('/', protect, loadMeeting, validateMotion, handleValidation, async (req, res) => {
+  try {
+    const meeting = req.meeting;
+    const voters = await presentVoters(meeting);
+
+    if (!voters.has(req.user._id.toString()) && !isMeetingManager(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only members present at the meeting can propose motions'
+      });
+    }
+
+    if (req.body.agendaItem && !meeting.agenda.id(req.body.agendaItem)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Agenda item does not belong to this meeting'
+      });
+    }
+
+    const motion = await Motion.create({
+      meeting: meeting._id,
+      agendaItem: req.body.agendaItem,
+      title: req.body.title,
+      text: req.body.text,
+      mode: req.body.mode,
+      threshold: req.body.threshold,
+      proposer: req.user._id
+    });
+
+    emitMotion(req, 'motionProposed', motion);
+
+    res.status(201).json({
+      success: true,
+      message: 'Motion proposed',
+      motion
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      });
+    }
+
+    console.error('Propose motion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to propose motion'
+    });
+  }
+});
+
+// Second a motion
+router.post('/:motionId/second', protect, loadMeeting, loadMotion, async (req, res) => {
+  try {
+    const motion = req.motion;
+
+    if (motion.status !== 'proposed') {
+      return conflict(res, 'Motion has already been seconded or closed');
+    }
+    if (idOf(motion.proposer) === req.user._id.toString()) {
+      return conflict(res, 'The proposer cannot second their own motion');
+    }
+
+    const voters = await presentVoters(req.meeting);
+    if (!voters.has(req.user._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only members present at the meeting can second motions'
+      });
+    }
+
+    motion.seconder = req.user._id;
+    motion.status = 'seconded';
+    await motion.save();
+
+    emitMotion(req, 'motionUpdated', motion);
+
+    res.json({
+      success: true,
+      message: 'Motion seconded',
+      motion
+    });
+
+  } catch (error) {
+    console.error('Second motion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to second motion'
+    });
+  }
+});
+
+// Open voting (chair only; the meeting must be quorate)
+router.post('/:motionId/open', protect, loadMeeting, requireMeetingChair, loadMotion, async (req, res) => {
+  try {
+    const motion = req.motion;
+
+    if (motion.status !== 'seconded') {
+      return conflict(res, 'Only seconded motions can be put to a vote');
+    }
+
+    const quorum = await refreshQuorum(req.meeting);
+    await req.meeting.save();
+    if (!quorum.met) {
+      return res.status(409).json({
+        success: false,
+        message: 'Quorum is not met; the motion cannot be put to a vote',
+        quorum
+      });
+    }
+
+    const voters = await presentVoters(req.meeting);
+    motion.status = 'voting';
+    motion.eligibleVoters = voters.size;
+    motion.openedAt = new Date();
+    await motion.save();
+
+    emitMotion(req, 'votingOpened', motion);
+
+    res.json({
+      success: true,
+      message: 'Voting opened',
+      motion
+    });
+
+  } catch (error) {
+    console.error('Open voting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open voting'
+    });
+  }
+});
+
+// Cast a vote; the chair may record roll-call votes for others via userId
+router.post('/:motionId/vote', protect, loadMeeting, loadMotion, validateVote, handleValidation, async (req, res) => {
+  try {
+    const motion = req.motion;
+    const voterId = req.body.userId || req.user._id.toString();
+    const onBehalf = voterId !== req.user._id.toString();
+
+    if (motion.status !== 'voting') {
+      return conflict(res, 'Voting is not open for this motion');
+    }
+    if (onBehalf && (motion.mode !== 'roll-call' || !isMeetingManager(req.user, req.meeting))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the chair or minutes taker can record roll-call votes for others'
+      });
+    }
+
+    const voters = await presentVoters(req.meeting);
+    if (!voters.has(voterId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only members present at the meeting can vote'
+      });
+    }
+
+    const updated = await Motion.recordVote(motion, voterId, req.body.choice, req.user._id);
+    if (!updated) {
+      const current = await Motion.findById(motion._id).select('status');
+      return conflict(res, current && current.status !== 'voting'
+        ? 'Voting is not open for this motion'
+        : 'This member has already voted');
+    }
+
+    // Secret ballots only show totals once voting closes
+    const tally = updated.mode === 'secret' ? undefined : updated.tally;
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`meeting-${req.meeting._id}`).emit('voteCast', {
+        meetingId: req.meeting._id,
+        motionId: updated._id,
+        tally,
+        votesCast: updated.voters.length,
+        eligibleVoters: updated.eligibleVoters,
+        // Roll-call and open votes are public
+        vote: updated.mode === 'secret' ? undefined : { user: voterId, choice: req.body.choice },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Vote recorded',
+      tally,
+      votesCast: updated.voters.length
+    });
+
+  } catch (error) {
+    console.error('Cast vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record vote'
+    });
+  }
+});
+
+// Close voting and record the result; carried motions go into the minutes
+router.post('/:motionId/close', protect, loadMeeting, requireMeetingChair, loadMotion, async (req, res) => {
+  try {
+    // A vote landing while the chair closes is either counted or rejected, never lost
+    const motion = await Motion.closeVoting(req.motion, req.user._id);
+    if (!motion) {
+      return conflict(res, 'Voting is not open for this motion');
+    }
+
+    // Approved minutes only change through an amendment
+    if (motion.status === 'passed' && !req.meeting.isMinutesLocked()) {
+      await motion.populate([
+        { path: 'proposer', select: 'name' },
+        { path: 'seconder', select: 'name' }
+      ]);
+
+      const meeting = req.meeting;
+      const decision = motion.toDecision({
+        proposer: motion.proposer?.name,
+        seconder: motion.seconder?.name
+      });
+      meeting.editMinutes({ decisions: [...meeting.minutes.decisions, decision] }, req.user._id, { reason: 'motion' });
+      await meeting.save();
+    }
+
+    emitMotion(req, 'votingClosed', motion);
+
+    res.json({
+      success: true,
+      message: `Motion ${motion.status}`,
+      motion
+    });
+
+  } catch (error) {
+    console.error('Close voting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close voting'
+    });
+  }
+});
+
+// Withdraw a motion before it is decided
+router.post('/:motionId/withdraw', protect, loadMeeting, loadMotion, async (req, res) => {
+  try {
+    const motion = req.motion;
+    const isProposer = idOf(motion.proposer) === req.user._id.toString();
+
+    if (!isProposer && !isMeetingManager(req.user, req.meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the proposer or the chair can withdraw a motion'
+      });
+    }
+    if (!['proposed', 'seconded'].includes(motion.status)) {
+      return conflict(res, 'Motions cannot be withdrawn once voting has started');
+    }
+
+    motion.status = 'withdrawn';
+    await motion.save();
+
+    emitMotion(req, 'motionUpdated', motion);
+
+    res.json({
+      success: true,
+      message: 'Motion withdrawn',
+      motion
+    });
+
+  } catch (error) {
+    console.error('Withdraw motion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw motion'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check, query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const { paginate } = require('../utils/pagination');
+const { NOTIFICATION_CATEGORIES, emitUnreadCount } = require('../utils/notify');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+const validateCategory = (location) => location('category')
+  .optional()
+  .isIn(NOTIFICATION_CATEGORIES).withMessage(`Category must be one of: ${NOTIFICATION_CATEGORIES.join(', ')}`);
+
+// Only the owner ever sees a notification; others get a 404
+const loadNotification = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification id'
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    req.notification = notification;
+    next();
+  } catch (error) {
+    console.error('Load notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load notification'
+    });
+  }
+};
+
+const handleNotificationError = (res, error, message) => {
+  if (error.status === 400) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Your notifications, newest first
+router.get('/',
+  protect,
+  query('unread').optional().isBoolean().withMessage('unread must be true or false'),
+  validateCategory(query),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const filter = { user: req.user._id };
+      if (req.query.unread !== undefined) filter.read = req.query.unread !== 'true';
+      if (req.query.category) filter.category = req.query.category;
+
+      const { items, nextCursor } = await paginate(Notification, filter, {
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        allowedSorts: ['createdAt'],
+        defaultSort: '-createdAt',
+        populate: [{ path: 'from', select: 'name role avatar avatarColor' }]
+      });
+
+      res.json({
+        success: true,
+        count: items.length,
+        notifications: items,
+        nextCursor,
+        unread: await Notification.countDocuments({ user: req.user._id, read: false })
+      });
+
+    } catch (error) {
+      handleNotificationError(res, error, 'Failed to fetch notifications');
+    }
+  }
+);
+
+// Number of unread notifications, e.g. for the bell badge
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      unread: await Notification.countDocuments({ user: req.user._id, read: false })
+    });
+
+  } catch (error) {
+    handleNotificationError(res, error, 'Failed to count notifications');
+  }
+});
+
+// Your notification preferences
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('preferences.notifications');
+
+    res.json({
+      success: true,
+      preferences: user.preferences.notifications
+    });
+
+  } catch (error) {
+    handleNotificationError(res, error, 'Failed to fetch notification preferences');
+  }
+});
+
+// Change notification preferences; fields left out keep their value
+router.put('/preferences',
+  protect,
+  check('email').optional().isBoolean().withMessage('email must be true or false'),
+  check('push').optional().isBoolean().withMessage('push must be true or false'),
+  check('categories').optional().isObject().withMessage('categories must map categories to true or false'),
+  check('categories.*').optional().isBoolean().withMessage('Each category must be true or false'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const unknown = Object.keys(req.body.categories || {})
+        .filter(category => !NOTIFICATION_CATEGORIES.includes(category));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown notification categories: ${unknown.join(', ')}`
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+      ['email', 'push'].forEach(channel => {
+        if (req.body[channel] !== undefined) user.set(`preferences.notifications.${channel}`, req.body[channel]);
+      });
+      Object.entries(req.body.categories || {}).forEach(([category, enabled]) => {
+        user.set(`preferences.notifications.categories.${category}`, enabled);
+      });
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Notification preferences updated',
+        preferences: user.preferences.notifications
+      });
+
+    } catch (error) {
+      handleNotificationError(res, error, 'Failed to update notification preferences');
+    }
+  }
+);
+
+// Mark everything (or one category) read
+router.put('/read-all',
+  protect,
+  validateCategory(check),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const filter = { user: req.user._id, read: false };
+      if (req.body.category) filter.category = req.body.category;
+
+      const result = await Notification.updateMany(filter, { read: true, readAt: new Date() });
+      const unread = await emitUnreadCount(req.app.get('io'), req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Notifications marked read',
+        updated: result.modifiedCount,
+        unread
+      });
+
+    } catch (error) {
+      handleNotificationError(res, error, 'Failed to mark notifications read');
+    }
+  }
+);
+
+// Mark one notification read or unread
+router.patch('/:id',
+  protect,
+  loadNotification,
+  check('read').isBoolean().withMessage('read must be true or false'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const notification = req.notification;
+      const read = req.body.read === true || req.body.read === 'true';
+
+      notification.read = read;
+      notification.readAt = read ? new Date() : undefined;
+      await notification.save();
+
+      const unread = await emitUnreadCount(req.app.get('io'), req.user._id);
+
+      res.json({
+        success: true,
+        message: read ? 'Notification marked read' : 'Notification marked unread',
+        notification,
+        unread
+      });
+
+    } catch (error) {
+      handleNotificationError(res, error, 'Failed to update notification');
+    }
+  }
+);
+
+// Delete one notification
+router.delete('/:id', protect, loadNotification, async (req, res) => {
+  try {
+    await req.notification.deleteOne();
+    const unread = await emitUnreadCount(req.app.get('io'), req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Notification deleted',
+      unread
+    });
+
+  } catch (error) {
+    handleNotificationError(res, error, 'Failed to delete notification');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const { check, query } = require('express-validator');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const { getMeetingStart } = require('../utils/meetingTime');
+const { notifyUser } = require('../utils/notify');
+const Meeting = require('../models/Meeting');
+const StudentQuestion = require('../models/StudentQuestion');
+
+/**
+ * Public student question portal.
+ *
+ * No login: students ask questions for upcoming meetings that the chair
+ * opened to questions (Meeting.questionsOpen), upvote approved ones and
+ * follow their own with the tracking token handed out on submission.
+ * Moderation and answers live under /api/meetings/:meetingId/student-questions.
+ */
+
+const PUBLIC_MEETING_FIELDS = 'title date startTime endTime location type objective';
+
+const submitLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: { success: false, message: 'Too many questions from this IP, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const voteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: { success: false, message: 'Too many votes from this IP, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Meetings still taking questions: opened by the chair, scheduled and not started yet
+const isAcceptingQuestions = (meeting, now = new Date()) => {
+  return meeting.questionsOpen && meeting.status === 'scheduled' && getMeetingStart(meeting) > now;
+};
+
+const handleQuestionError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Upcoming meetings that accept questions
+router.get('/public/meetings', async (req, res) => {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const now = new Date();
+    const meetings = await Meeting.find({
+      questionsOpen: true,
+      status: 'scheduled',
+      date: { $gte: today }
+    })
+      .select(`${PUBLIC_MEETING_FIELDS} questionsOpen status`)
+      .sort({ date: 1, startTime: 1 });
+
+    res.json({
+      success: true,
+      meetings: meetings
+        .filter(meeting => isAcceptingQuestions(meeting, now))
+        .map(meeting => ({
+          _id: meeting._id,
+          title: meeting.title,
+          date: meeting.date,
+          startTime: meeting.startTime,
+          endTime: meeting.endTime,
+          location: meeting.location,
+          type: meeting.type,
+          objective: meeting.objective
+        }))
+    });
+
+  } catch (error) {
+    handleQuestionError(res, error, 'Failed to fetch meetings');
+  }
+});
+
+// Published questions for a meeting, most upvoted first
+router.get('/public',
+  query('meeting').isMongoId().withMessage('A valid meeting id is required'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = await Meeting.findOne({ _id: req.query.meeting, questionsOpen: true })
+        .select(PUBLIC_MEETING_FIELDS);
+      if (!meeting) {
+        return res.status(404).json({
+          success: false,
+          message: 'Meeting not found'
+        });
+      }
+
+      const questions = await StudentQuestion.find({
+        meeting: meeting._id,
+        status: { $in: ['approved', 'answered'] }
+      }).sort({ upvotes: -1, createdAt: 1 });
+
+      res.json({
+        success: true,
+        meeting,
+        count: questions.length,
+        questions: questions.map(question => question.toPublic())
+      });
+
+    } catch (error) {
+      handleQuestionError(res, error, 'Failed to fetch questions');
+    }
+  }
+);
+
+// Ask a question; keep the returned trackingToken to follow it later
+router.post('/public',
+  submitLimiter,
+  check('meeting').isMongoId().withMessage('A valid meeting id is required'),
+  check('text')
+    .isString().withMessage('Question text is required')
+    .trim()
+    .isLength({ min: 5, max: 1000 }).withMessage('Questions must be between 5 and 1000 characters'),
+  check('name').optional({ checkFalsy: true }).isString().trim().isLength({ max: 100 }).withMessage('Names can be at most 100 characters'),
+  check('email').optional({ checkFalsy: true }).isEmail().withMessage('Please enter a valid email').normalizeEmail(),
+  check('studentId').optional({ checkFalsy: true }).isString().trim().isLength({ max: 50 }).withMessage('Student ids can be at most 50 characters'),
+  check('anonymous').optional().isBoolean().withMessage('anonymous must be true or false'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const meeting = await Meeting.findById(req.body.meeting);
+      if (!meeting || !meeting.questionsOpen) {
+        return res.status(404).json({
+          success: false,
+          message: 'Meeting not found'
+        });
+      }
+
+      if (!isAcceptingQuestions(meeting)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This meeting no longer accepts questions'
+        });
+      }
+
+      const question = new StudentQuestion({
+        meeting: meeting._id,
+        text: req.body.text,
+        asker: {
+          name: req.body.name || undefined,
+          email: req.body.email || undefined,
+          studentId: req.body.studentId || undefined
+        },
+        anonymous: req.body.anonymous === true || req.body.anonymous === 'true'
+      });
+      const trackingToken = question.issueTrackingToken();
+      await question.save();
+
+      if (meeting.chairperson) {
+        await notifyUser(req.app.get('io'), meeting.chairperson, {
+          category: 'meetings',
+          type: 'question-submitted',
+          title: 'New student question',
+          message: `A student asked a question for "${meeting.title}". It is waiting for moderation.`,
+          data: { meetingId: meeting._id, questionId: question._id }
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Question submitted. It will appear once a moderator approves it.',
+        question: question.toPublic(),
+        trackingToken
+      });
+
+    } catch (error) {
+      handleQuestionError(res, error, 'Failed to submit question');
+    }
+  }
+);
+
+// Follow your own question, including the answer once it is published
+router.get('/public/track/:token', async (req, res) => {
+  try {
+    const question = await StudentQuestion.findOne({
+      trackingTokenHash: StudentQuestion.hashSecret(req.params.token)
+    });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    // A merged question is answered through the one it was merged into
+    const mergedInto = question.mergedInto
+      ? await StudentQuestion.findById(question.mergedInto)
+      : null;
+    const meeting = await Meeting.findById(question.meeting).select(PUBLIC_MEETING_FIELDS);
+
+    res.json({
+      success: true,
+      meeting,
+      question: {
+        ...question.toPublic(),
+        moderationNote: question.status === 'rejected' ? question.moderationNote : undefined
+      },
+      mergedInto: mergedInto ? mergedInto.toPublic() : null
+    });
+
+  } catch (error) {
+    handleQuestionError(res, error, 'Failed to fetch question');
+  }
+});
+
+// One vote per question from each address and browser; the key is derived
+// here so clients cannot mint new voters by sending a different id
+const voterKey = (req) => {
+  return StudentQuestion.hashSecret(`vote:${req.ip}:${req.get('user-agent') || ''}`);
+};
+
+// Upvote a published question
+router.post('/public/:id/upvote',
+  voteLimiter,
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid question id'
+        });
+      }
+
+      const voter = voterKey(req);
+      const result = await StudentQuestion.updateOne({
+        _id: req.params.id,
+        status: { $in: ['approved', 'answered'] },
+        voters: { $ne: voter }
+      }, {
+        $push: { voters: voter },
+        $inc: { upvotes: 1 }
+      });
+
+      const question = await StudentQuestion.findOne({
+        _id: req.params.id,
+        status: { $in: ['approved', 'answered'] }
+      });
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          message: 'Question not found'
+        });
+      }
+
+      if (result.modifiedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already upvoted this question',
+          upvotes: question.upvotes
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Question upvoted',
+        upvotes: question.upvotes
+      });
+
+    } catch (error) {
+      handleQuestionError(res, error, 'Failed to upvote question');
+    }
+  }
+);
+
+module.exports = router;
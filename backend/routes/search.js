@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validate');
+const { searchMeetings } = require('../utils/search');
+
+const MEETING_TYPES = ['regular', 'random', 'special', 'committee'];
+const ARCHIVE_MODES = ['exclude', 'include', 'only'];
+
+const validateSearch = [
+  query('q')
+    .isString().withMessage('Search text is required')
+    .trim()
+    .isLength({ min: 2, max: 200 }).withMessage('Search text must be between 2 and 200 characters'),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('type').optional().isIn(MEETING_TYPES).withMessage('Invalid meeting type'),
+  query('tags')
+    .optional()
+    .custom(value => typeof value === 'string' || (Array.isArray(value) && value.every(tag => typeof tag === 'string')))
+    .withMessage('tags must be a comma separated list'),
+  query('archived').optional().isIn(ARCHIVE_MODES).withMessage(`archived must be one of: ${ARCHIVE_MODES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+];
+
+// Search meetings, agendas, minutes, action items and student questions, best match first
+router.get('/', protect, validateSearch, handleValidation, async (req, res) => {
+  try {
+    const tags = req.query.tags
+      ? (Array.isArray(req.query.tags) ? req.query.tags : req.query.tags.split(','))
+        .map(tag => tag.trim())
+        .filter(Boolean)
+      : [];
+
+    const results = await searchMeetings(req.user, req.query.q, {
+      from: req.query.from,
+      to: req.query.to,
+      type: req.query.type,
+      tags,
+      archived: req.query.archived,
+      limit: parseInt(req.query.limit, 10) || 20
+    });
+
+    res.json({
+      success: true,
+      query: req.query.q,
+      count: results.length,
+      results
+    });
+
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed'
+    });
+  }
+});
+
+module.exports = router;
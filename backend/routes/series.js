@@ -0,0 +1,717 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { check } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const { ARCHIVED_MESSAGE, isMeetingManager } = require('../middleware/meetingAccess');
+const {
+  RecurrenceError,
+  parseRRule,
+  formatRRule,
+  startOfDay,
+  addDays,
+  toDateKey,
+  fromDateKey
+} = require('../utils/recurrence');
+const { pullDeferredItems, linkCarriedItems } = require('../utils/agenda');
+const { SCHEDULING_FIELDS, findConflicts, checkConflicts } = require('../utils/meetingConflicts');
+const MeetingSeries = require('../models/MeetingSeries');
+const Meeting = require('../models/Meeting');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+// How far ahead occurrences are turned into Meeting documents when a series is created
+const MATERIALIZE_DAYS = parseInt(process.env.SERIES_MATERIALIZE_DAYS, 10) || 28;
+
+// Furthest ahead a single materialize request may generate meetings
+const MAX_MATERIALIZE_DAYS = 366;
+
+// Template fields shared by a series and the meetings it generates
+const TEMPLATE_FIELDS = [
+  'title', 'type', 'startTime', 'endTime', 'location', 'chairperson',
+  'minutesTaker', 'objective', 'attendees', 'agenda', 'tags'
+];
+
+// HH:MM start and end times; optional when only some fields are being updated
+const validateTimes = ({ optional = false } = {}) => {
+  return [['startTime', 'Start time'], ['endTime', 'End time']].map(([field, label]) => {
+    const chain = check(field);
+    if (optional) chain.optional();
+    return chain.matches(TIME_PATTERN).withMessage(`${label} must be in HH:MM format`);
+  });
+};
+
+const validateSeries = [
+  check('title').notEmpty().withMessage('Series title is required'),
+  check('rrule').notEmpty().withMessage('Recurrence rule is required'),
+  check('dtstart').isISO8601().withMessage('dtstart must be a valid date'),
+  ...validateTimes(),
+  check('chairperson').isMongoId().withMessage('Chairperson must be a valid user id'),
+  check('attendees').optional().isArray().withMessage('Attendees must be an array'),
+  check('agenda').optional().isArray().withMessage('Agenda must be an array')
+];
+
+// The same checks for fields present in an update
+const validateSeriesUpdate = [
+  check('title').optional().notEmpty().withMessage('Series title cannot be empty'),
+  check('dtstart').optional().isISO8601().withMessage('dtstart must be a valid date'),
+  ...validateTimes({ optional: true }),
+  check('chairperson').optional().isMongoId().withMessage('Chairperson must be a valid user id'),
+  check('attendees').optional().isArray().withMessage('Attendees must be an array'),
+  check('agenda').optional().isArray().withMessage('Agenda must be an array')
+];
+
+const validateMaterialize = [
+  check('until')
+    .optional()
+    .isISO8601().withMessage('until must be a valid date')
+    .bail()
+    .custom(value => new Date(value) <= addDays(startOfDay(new Date()), MAX_MATERIALIZE_DAYS))
+    .withMessage(`until can be at most ${MAX_MATERIALIZE_DAYS} days ahead`)
+];
+
+const validateScope = (scopes) => [
+  check('scope')
+    .optional()
+    .isIn(scopes).withMessage(`Scope must be one of: ${scopes.join(', ')}`)
+];
+
+const pickTemplate = (body) => {
+  return TEMPLATE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+// Translate series template fields into Meeting fields
+const templateToMeeting = (template) => {
+  const fields = { ...template };
+
+  if (template.attendees) {
+    fields.attendees = template.attendees.map(user => ({ user }));
+  }
+  if (template.agenda) {
+    fields.agenda = template.agenda.map((item, index) => ({ ...item, order: index }));
+  }
+
+  return fields;
+};
+
+const loadSeries = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid series id'
+      });
+    }
+
+    const series = await MeetingSeries.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting series not found'
+      });
+    }
+
+    req.series = series;
+    next();
+  } catch (error) {
+    console.error('Load series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load meeting series'
+    });
+  }
+};
+
+const requireSeriesManager = (req, res, next) => {
+  if (!isMeetingManager(req.user, req.series)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this series'
+    });
+  }
+  next();
+};
+
+// Why an occurrence's meeting can no longer be changed through the series, or null
+const occurrenceLockReason = (meeting) => {
+  if (meeting.isArchived) return ARCHIVED_MESSAGE;
+  if (meeting.isMinutesLocked()) return 'This occurrence has approved minutes and can no longer be changed';
+  if (['completed', 'in-progress'].includes(meeting.status)) {
+    return `This occurrence is ${meeting.status} and can no longer be changed`;
+  }
+  return null;
+};
+
+// Resolve :date to an occurrence of req.series
+const loadOccurrence = (req, res, next) => {
+  const date = fromDateKey(req.params.date);
+
+  if (!date) {
+    return res.status(400).json({
+      success: false,
+      message: 'Occurrence date must be in YYYY-MM-DD format'
+    });
+  }
+
+  if (!req.series.hasOccurrence(date)) {
+    return res.status(404).json({
+      success: false,
+      message: `${req.params.date} is not an occurrence of this series`
+    });
+  }
+
+  req.occurrenceDate = date;
+  next();
+};
+
+const handleSeriesError = (res, error, message) => {
+  if (error instanceof RecurrenceError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Get the Meeting for an occurrence. When none exists yet it is built from the
+ * series template but not saved; use saveOccurrence once it has been checked.
+ * @param {MeetingSeries} series - Series document
+ * @param {Date} date - Occurrence date
+ * @returns {Promise<Meeting>}
+ */
+async function materializeOccurrence(series, date) {
+  const existing = await Meeting.findOne({ series: series._id, occurrenceDate: startOfDay(date) });
+  if (existing) return existing;
+
+  const meeting = series.buildMeeting(date);
+  const exception = series.findException(date);
+  if (exception && exception.status === 'cancelled') {
+    meeting.status = 'cancelled';
+  } else {
+    await pullDeferredItems(meeting);
+  }
+
+  return meeting;
+}
+
+// New meetings also claim the deferred items they pulled in
+async function saveOccurrence(meeting) {
+  const isNew = meeting.isNew;
+  await meeting.save();
+  if (isNew) await linkCarriedItems(meeting);
+}
+
+/**
+ * Create Meeting documents for every live occurrence in a window.
+ * Occurrences that would clash with other meetings are not created.
+ * @returns {Promise<{ meetings: Array<Meeting>, skipped: Array<Object> }>} - skipped: [{ date, conflicts }]
+ */
+async function materializeRange(series, from, to) {
+  const meetings = [];
+  const skipped = [];
+
+  for (const date of series.occurrencesBetween(from, to)) {
+    const exception = series.findException(date);
+    if (exception && exception.status === 'cancelled') continue;
+
+    const meeting = await materializeOccurrence(series, date);
+    if (meeting.isNew) {
+      const conflicts = await findConflicts(meeting);
+      if (conflicts.length > 0) {
+        skipped.push({ date: toDateKey(date), conflicts });
+        continue;
+      }
+      await saveOccurrence(meeting);
+    }
+    meetings.push(meeting);
+  }
+
+  return { meetings, skipped };
+}
+
+/**
+ * Push template changes onto generated meetings that have not been edited on their own.
+ * Meetings are updated even when the new time or place clashes; the clashes are reported.
+ * @returns {Promise<Array<Object>>} - [{ date, meeting, conflicts }]
+ */
+async function applyTemplate(series, fromDate, template) {
+  const clashes = [];
+  if (Object.keys(template).length === 0) return clashes;
+
+  const modified = series.exceptions
+    .filter(exception => exception.status === 'modified')
+    .map(exception => toDateKey(exception.occurrenceDate));
+
+  const meetings = await Meeting.find({
+    series: series._id,
+    occurrenceDate: { $gte: startOfDay(fromDate) },
+    status: 'scheduled'
+  });
+
+  for (const meeting of meetings) {
+    if (modified.includes(toDateKey(meeting.occurrenceDate))) continue;
+    meeting.set(templateToMeeting(template));
+
+    if (SCHEDULING_FIELDS.some(field => meeting.isModified(field))) {
+      const conflicts = await findConflicts(meeting);
+      if (conflicts.length > 0) {
+        clashes.push({ date: toDateKey(meeting.occurrenceDate), meeting: meeting._id, conflicts });
+      }
+    }
+    await meeting.save();
+  }
+
+  return clashes;
+}
+
+// Remove untouched generated meetings that no longer match the series rule
+async function pruneStaleMeetings(series, fromDate) {
+  const meetings = await Meeting.find({
+    series: series._id,
+    occurrenceDate: { $gte: startOfDay(fromDate) },
+    status: 'scheduled'
+  });
+
+  for (const meeting of meetings) {
+    if (series.hasOccurrence(meeting.occurrenceDate)) continue;
+
+    const exception = series.findException(meeting.occurrenceDate);
+    if (exception && exception.status === 'modified') {
+      // Keep meetings someone edited by hand, but detach them from the series
+      meeting.series = undefined;
+      meeting.occurrenceDate = undefined;
+      await meeting.save();
+    } else {
+      await meeting.deleteOne();
+    }
+  }
+
+  series.exceptions = series.exceptions.filter(exception => series.hasOccurrence(exception.occurrenceDate));
+}
+
+/**
+ * End a series just before a date and continue it as a new series from that date
+ * @param {MeetingSeries} series - Series being split
+ * @param {Date} date - First occurrence of the new series
+ * @param {Object} template - Template changes for the new series
+ * @returns {Promise<{ series: MeetingSeries, conflicts: Array }>} - The new series and
+ *   clashes from applyTemplate
+ */
+async function splitSeries(series, date, template, rrule) {
+  const day = startOfDay(date);
+  const oldRule = parseRRule(series.rrule);
+  const newRule = parseRRule(rrule || series.rrule);
+
+  if (!rrule && oldRule.count) {
+    const before = series.occurrencesBetween(null, addDays(day, -1)).length;
+    newRule.count = oldRule.count - before;
+  }
+
+  oldRule.count = null;
+  oldRule.until = addDays(day, -1);
+
+  const next = new MeetingSeries({
+    ...pickTemplate(series.toObject()),
+    ...template,
+    rrule: formatRRule(newRule),
+    dtstart: day,
+    parentSeries: series._id,
+    createdBy: series.createdBy,
+    exceptions: rrule ? [] : series.exceptions.filter(exception => exception.occurrenceDate >= day)
+  });
+  await next.validate();
+
+  series.rrule = formatRRule(oldRule);
+  series.exceptions = series.exceptions.filter(exception => exception.occurrenceDate < day);
+
+  await series.save();
+  await next.save();
+
+  await Meeting.updateMany(
+    { series: series._id, occurrenceDate: { $gte: day } },
+    { $set: { series: next._id } }
+  );
+
+  const conflicts = await applyTemplate(next, day, template);
+  if (rrule) await pruneStaleMeetings(next, day);
+  await next.save();
+
+  return { series: next, conflicts };
+}
+
+// Cancel every generated meeting from a date onwards
+async function cancelMeetingsFrom(seriesId, date) {
+  await Meeting.updateMany(
+    { series: seriesId, occurrenceDate: { $gte: startOfDay(date) }, status: 'scheduled' },
+    { $set: { status: 'cancelled' }, $inc: { icalSequence: 1 } }
+  );
+}
+
+// List series
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = req.query.all === 'true' ? {} : { isActive: true };
+    const series = await MeetingSeries.find(filter)
+      .populate('chairperson', 'name role')
+      .sort('-createdAt')
+      .lean();
+
+    res.json({
+      success: true,
+      count: series.length,
+      series
+    });
+
+  } catch (error) {
+    handleSeriesError(res, error, 'Failed to fetch meeting series');
+  }
+});
+
+// Create series
+router.post('/', protect, validateSeries, handleValidation, async (req, res) => {
+  try {
+    if (req.user.role === 'Guest') {
+      return res.status(403).json({
+        success: false,
+        message: 'Guests cannot create meeting series'
+      });
+    }
+
+    // Surface rule errors with their specific message
+    parseRRule(req.body.rrule);
+
+    const series = new MeetingSeries({
+      ...pickTemplate(req.body),
+      rrule: req.body.rrule,
+      dtstart: req.body.dtstart,
+      createdBy: req.user._id
+    });
+    await series.save();
+
+    const today = startOfDay(new Date());
+    const { meetings, skipped } = await materializeRange(series, today, addDays(today, MATERIALIZE_DAYS));
+
+    res.status(201).json({
+      success: true,
+      message: 'Meeting series created successfully',
+      series,
+      meetings,
+      skipped
+    });
+
+  } catch (error) {
+    handleSeriesError(res, error, 'Failed to create meeting series');
+  }
+});
+
+// Get series with its occurrences in a window (defaults to the next 90 days)
+router.get('/:id', protect, loadSeries, async (req, res) => {
+  try {
+    const series = req.series;
+    const from = req.query.from ? new Date(req.query.from) : startOfDay(new Date());
+    const to = req.query.to ? new Date(req.query.to) : addDays(from, 90);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    const meetings = await Meeting.find({ series: series._id })
+      .select('title date startTime endTime location status occurrenceDate')
+      .lean();
+    const byDate = new Map(meetings.map(meeting => [toDateKey(meeting.occurrenceDate), meeting]));
+
+    const occurrences = series.occurrencesBetween(from, to).map(date => {
+      const exception = series.findException(date);
+      const meeting = byDate.get(toDateKey(date));
+
+      return {
+        occurrenceDate: toDateKey(date),
+        status: exception ? exception.status : 'scheduled',
+        meeting: meeting || null
+      };
+    });
+
+    res.json({
+      success: true,
+      series,
+      occurrences
+    });
+
+  } catch (error) {
+    handleSeriesError(res, error, 'Failed to fetch meeting series');
+  }
+});
+
+// Update the whole series (template and/or rule)
+router.put('/:id',
+  protect,
+  loadSeries,
+  requireSeriesManager,
+  validateSeriesUpdate,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const series = req.series;
+      const template = pickTemplate(req.body);
+      const ruleChanged = req.body.rrule !== undefined || req.body.dtstart !== undefined;
+
+      if (req.body.rrule !== undefined) {
+        parseRRule(req.body.rrule);
+        series.rrule = req.body.rrule;
+      }
+      if (req.body.dtstart !== undefined) series.dtstart = req.body.dtstart;
+      series.set(template);
+      // Meetings are only pruned once the new rule and template are known to be valid
+      await series.validate();
+
+      const today = startOfDay(new Date());
+      if (ruleChanged) await pruneStaleMeetings(series, today);
+      await series.save();
+      const conflicts = await applyTemplate(series, today, template);
+
+      res.json({
+        success: true,
+        message: 'Meeting series updated successfully',
+        series,
+        conflicts
+      });
+
+    } catch (error) {
+      handleSeriesError(res, error, 'Failed to update meeting series');
+    }
+  }
+);
+
+// Materialize occurrences up to a date
+router.post('/:id/materialize',
+  protect,
+  loadSeries,
+  requireSeriesManager,
+  validateMaterialize,
+  handleValidation,
+  async (req, res) => {
+    try {
+      if (!req.series.isActive) {
+        return res.status(409).json({
+          success: false,
+          message: 'This series has ended; no more meetings can be generated'
+        });
+      }
+
+      const today = startOfDay(new Date());
+      const until = req.body.until ? new Date(req.body.until) : addDays(today, MATERIALIZE_DAYS);
+      const { meetings, skipped } = await materializeRange(req.series, today, until);
+
+      res.json({
+        success: true,
+        count: meetings.length,
+        meetings,
+        skipped
+      });
+
+    } catch (error) {
+      handleSeriesError(res, error, 'Failed to generate meetings');
+    }
+  }
+);
+
+// Edit one occurrence, or this and all following occurrences
+router.put('/:id/occurrences/:date',
+  protect,
+  loadSeries,
+  requireSeriesManager,
+  loadOccurrence,
+  validateScope(['this', 'following']),
+  validateSeriesUpdate,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const series = req.series;
+      const date = req.occurrenceDate;
+      const scope = req.body.scope || 'this';
+
+      if (scope === 'this') {
+        const meeting = await materializeOccurrence(series, date);
+        const locked = occurrenceLockReason(meeting);
+        if (locked) {
+          return res.status(409).json({
+            success: false,
+            message: locked
+          });
+        }
+
+        const changes = templateToMeeting(pickTemplate(req.body));
+
+        // A single occurrence may also be moved to another day
+        if (req.body.date !== undefined) changes.date = req.body.date;
+        if (req.body.status !== undefined) changes.status = req.body.status;
+
+        meeting.set(changes);
+
+        const reschedules = meeting.isNew || SCHEDULING_FIELDS.some(field => meeting.isModified(field));
+        if (reschedules && !(await checkConflicts(req, res, meeting))) return;
+        await saveOccurrence(meeting);
+
+        series.setException(date, meeting.status === 'cancelled' ? 'cancelled' : 'modified', meeting._id);
+        await series.save();
+
+        return res.json({
+          success: true,
+          message: 'Occurrence updated successfully',
+          meeting
+        });
+      }
+
+      const template = pickTemplate(req.body);
+      const isFirst = series.occurrencesBetween(null, addDays(date, -1)).length === 0;
+
+      if (isFirst) {
+        // "This and following" from the first occurrence is the whole series
+        if (req.body.rrule !== undefined) {
+          parseRRule(req.body.rrule);
+          series.rrule = req.body.rrule;
+        }
+        series.set(template);
+        await series.validate();
+
+        if (req.body.rrule !== undefined) await pruneStaleMeetings(series, date);
+        await series.save();
+        const conflicts = await applyTemplate(series, date, template);
+
+        return res.json({
+          success: true,
+          message: 'Meeting series updated successfully',
+          series,
+          conflicts
+        });
+      }
+
+      if (req.body.rrule !== undefined) parseRRule(req.body.rrule);
+      const { series: next, conflicts } = await splitSeries(series, date, template, req.body.rrule);
+
+      res.json({
+        success: true,
+        message: 'Series split and following occurrences updated',
+        series,
+        newSeries: next,
+        conflicts
+      });
+
+    } catch (error) {
+      handleSeriesError(res, error, 'Failed to update occurrence');
+    }
+  }
+);
+
+// Cancel one occurrence, or this and all following occurrences
+router.delete('/:id/occurrences/:date',
+  protect,
+  loadSeries,
+  requireSeriesManager,
+  loadOccurrence,
+  async (req, res) => {
+    try {
+      const series = req.series;
+      const date = req.occurrenceDate;
+      const scope = req.query.scope || 'this';
+
+      if (!['this', 'following'].includes(scope)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scope must be one of: this, following'
+        });
+      }
+
+      if (scope === 'this') {
+        const meeting = await Meeting.findOne({ series: series._id, occurrenceDate: date });
+        const locked = meeting && occurrenceLockReason(meeting);
+        if (locked) {
+          return res.status(409).json({
+            success: false,
+            message: locked
+          });
+        }
+
+        if (meeting) {
+          meeting.status = 'cancelled';
+          await meeting.save();
+        }
+
+        series.setException(date, 'cancelled', meeting ? meeting._id : undefined);
+        await series.save();
+
+        return res.json({
+          success: true,
+          message: 'Occurrence cancelled'
+        });
+      }
+
+      const rule = parseRRule(series.rrule);
+      const isFirst = series.occurrencesBetween(null, addDays(date, -1)).length === 0;
+
+      if (isFirst) {
+        series.isActive = false;
+      } else {
+        rule.count = null;
+        rule.until = addDays(date, -1);
+        series.rrule = formatRRule(rule);
+        series.exceptions = series.exceptions.filter(exception => exception.occurrenceDate < date);
+      }
+
+      await series.save();
+      await cancelMeetingsFrom(series._id, date);
+
+      res.json({
+        success: true,
+        message: 'Occurrence and all following occurrences cancelled',
+        series
+      });
+
+    } catch (error) {
+      handleSeriesError(res, error, 'Failed to cancel occurrence');
+    }
+  }
+);
+
+// End a series: cancel every upcoming occurrence
+router.delete('/:id', protect, loadSeries, requireSeriesManager, async (req, res) => {
+  try {
+    const series = req.series;
+    series.isActive = false;
+    await series.save();
+    await cancelMeetingsFrom(series._id, startOfDay(new Date()));
+
+    res.json({
+      success: true,
+      message: 'Meeting series ended'
+    });
+
+  } catch (error) {
+    handleSeriesError(res, error, 'Failed to end meeting series');
+  }
+});
+
+module.exports = router;
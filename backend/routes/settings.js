@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { MANAGER_ROLES } = require('../middleware/meetingAccess');
+const { formatMongooseErrors } = require('../middleware/validate');
+const Settings = require('../models/Settings');
+
+// Top-level settings sections that can be changed through the API
+const EDITABLE_SECTIONS = [
+  'quorum', 'attendance', 'attendancePolicy', 'actionItems', 'reminders', 'archive', 'retention', 'schedules'
+];
+
+// Flatten { a: { b: 1 } } into [['a.b', 1]] so partial updates merge deeply
+const leafPaths = (value, prefix) => {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return [[prefix, value]];
+  }
+  return Object.keys(value).flatMap(key => leafPaths(value[key], `${prefix}.${key}`));
+};
+
+// Get council settings
+router.get('/', protect, async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      settings
+    });
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get settings'
+    });
+  }
+});
+
+// Update council settings; sections are merged, not replaced
+router.put('/', protect, authorize(...MANAGER_ROLES), async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const unknown = Object.keys(req.body).filter(key => !EDITABLE_SECTIONS.includes(key));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown settings: ${unknown.join(', ')}`
+      });
+    }
+
+    EDITABLE_SECTIONS.forEach(section => {
+      if (req.body[section] === undefined) return;
+      leafPaths(req.body[section], section).forEach(([path, value]) => settings.set(path, value));
+    });
+    settings.updatedBy = req.user._id;
+
+    await settings.save();
+
+    const scheduler = req.app.get('scheduler');
+    if (scheduler && req.body.schedules !== undefined) scheduler.apply(settings.schedules);
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      settings
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: formatMongooseErrors(error)
+      });
+    }
+
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update settings'
+    });
+  }
+});
+
+module.exports = router;
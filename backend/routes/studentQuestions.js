@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const { check, query } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { handleValidation, formatMongooseErrors } = require('../middleware/validate');
+const { loadMeeting, isMeetingManager, requireMeetingManager } = require('../middleware/meetingAccess');
+const { sendMail } = require('../utils/mailer');
+const { questionAnsweredEmail } = require('../utils/emailTemplates');
+const StudentQuestion = require('../models/StudentQuestion');
+
+const QUESTION_STATUSES = ['pending', 'approved', 'rejected', 'merged', 'answered'];
+const MODERATION_ACTIONS = ['approve', 'reject', 'merge'];
+
+// Questions that can still be published, merged into or answered
+const OPEN_STATUSES = ['pending', 'approved', 'answered'];
+
+const loadQuestion = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.questionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid question id'
+      });
+    }
+
+    const question = await StudentQuestion.findOne({ _id: req.params.questionId, meeting: req.meeting._id });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    req.question = question;
+    next();
+  } catch (error) {
+    console.error('Load question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load question'
+    });
+  }
+};
+
+const emitQuestion = (req, question) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.to(`meeting-${req.meeting._id}`).emit('studentQuestionUpdated', {
+    meetingId: req.meeting._id,
+    question: question.toPublic(),
+    userId: req.user._id,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Email the asker of an answered question and everyone whose question was merged into it
+const emailAskers = async (meeting, question) => {
+  const merged = await StudentQuestion.find({ mergedInto: question._id, 'asker.email': { $exists: true } });
+  const recipients = [
+    question.asker && question.asker.email ? { asker: question.asker } : null,
+    ...merged.map(item => ({ asker: item.asker, asked: item.text }))
+  ].filter(Boolean);
+
+  let sent = 0;
+  for (const { asker, asked } of recipients) {
+    try {
+      const { subject, text, html } = questionAnsweredEmail({ question, meeting, name: asker.name, asked });
+      await sendMail({ to: asker.email, subject, text, html });
+      sent += 1;
+    } catch (error) {
+      console.error(`Question answer email to ${asker.email} failed:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+const handleQuestionError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: formatMongooseErrors(error)
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// Student questions for the meeting; managers also see the moderation queue and askers
+router.get('/',
+  protect,
+  loadMeeting,
+  query('status').optional().isIn(QUESTION_STATUSES).withMessage(`Status must be one of: ${QUESTION_STATUSES.join(', ')}`),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const manager = isMeetingManager(req.user, req.meeting);
+      const filter = { meeting: req.meeting._id };
+
+      if (manager) {
+        if (req.query.status) filter.status = req.query.status;
+      } else {
+        filter.status = req.query.status && ['approved', 'answered'].includes(req.query.status)
+          ? req.query.status
+          : { $in: ['approved', 'answered'] };
+      }
+
+      const questions = await StudentQuestion.find(filter)
+        .populate('moderatedBy answeredBy', 'name role')
+        .sort({ upvotes: -1, createdAt: 1 });
+
+      const counts = await StudentQuestion.aggregate([
+        { $match: { meeting: req.meeting._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+
+      res.json({
+        success: true,
+        count: questions.length,
+        questions: manager ? questions : questions.map(question => question.toPublic()),
+        counts: manager
+          ? Object.fromEntries(QUESTION_STATUSES.map(status => [
+            status,
+            (counts.find(item => item._id === status) || { count: 0 }).count
+          ]))
+          : undefined
+      });
+
+    } catch (error) {
+      handleQuestionError(res, error, 'Failed to fetch student questions');
+    }
+  }
+);
+
+// Approve, reject, or merge a duplicate into another question of the same meeting
+router.patch('/:questionId/moderate',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  loadQuestion,
+  check('action').isIn(MODERATION_ACTIONS).withMessage(`Action must be one of: ${MODERATION_ACTIONS.join(', ')}`),
+  check('into')
+    .if(check('action').equals('merge'))
+    .isMongoId().withMessage('Merging needs the id of the question to merge into'),
+  check('note').optional().isString().isLength({ max: 500 }).withMessage('Notes can be at most 500 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const question = req.question;
+      const { action, note } = req.body;
+
+      if (['merged', 'answered'].includes(question.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Question is already ${question.status}`
+        });
+      }
+
+      question.moderatedBy = req.user._id;
+      question.moderatedAt = new Date();
+      if (note !== undefined) question.moderationNote = note;
+
+      let target = null;
+      if (action === 'merge') {
+        if (req.body.into === question._id.toString()) {
+          return res.status(400).json({
+            success: false,
+            message: 'Cannot merge a question into itself'
+          });
+        }
+
+        target = await StudentQuestion.findOne({
+          _id: req.body.into,
+          meeting: req.meeting._id,
+          status: { $in: OPEN_STATUSES }
+        }).select('+voters');
+        if (!target) {
+          return res.status(404).json({
+            success: false,
+            message: 'Question to merge into not found'
+          });
+        }
+
+        // Votes carry over, counting anyone who voted for both once
+        const source = await StudentQuestion.findById(question._id).select('voters').lean();
+        const voters = new Set([...(target.voters || []), ...(source.voters || [])]);
+        target.voters = [...voters];
+        target.upvotes = voters.size;
+        if (target.status === 'pending') {
+          target.status = 'approved';
+          target.moderatedBy = req.user._id;
+          target.moderatedAt = question.moderatedAt;
+        }
+
+        question.status = 'merged';
+        question.mergedInto = target._id;
+
+        await target.save();
+        await question.save();
+        // Earlier duplicates of this question now point at the new target
+        await StudentQuestion.updateMany({ mergedInto: question._id }, { mergedInto: target._id });
+
+        // Already answered: let the merged asker know straight away
+        if (target.status === 'answered' && question.asker && question.asker.email) {
+          try {
+            const { subject, text, html } = questionAnsweredEmail({
+              question: target,
+              meeting: req.meeting,
+              name: question.asker.name,
+              asked: question.text
+            });
+            await sendMail({ to: question.asker.email, subject, text, html });
+          } catch (error) {
+            console.error(`Question answer email to ${question.asker.email} failed:`, error.message);
+          }
+        }
+
+        emitQuestion(req, target);
+      } else {
+        question.status = action === 'approve' ? 'approved' : 'rejected';
+        await question.save();
+      }
+
+      emitQuestion(req, question);
+
+      res.json({
+        success: true,
+        message: {
+          approve: 'Question approved',
+          reject: 'Question rejected',
+          merge: 'Question merged'
+        }[action],
+        question,
+        mergedInto: target ? target.toPublic() : undefined
+      });
+
+    } catch (error) {
+      handleQuestionError(res, error, 'Failed to moderate question');
+    }
+  }
+);
+
+// Publish (or edit) the answer; askers are emailed the first time
+router.put('/:questionId/answer',
+  protect,
+  loadMeeting,
+  requireMeetingManager,
+  loadQuestion,
+  check('answer')
+    .isString().withMessage('Answer text is required')
+    .trim()
+    .isLength({ min: 1, max: 5000 }).withMessage('Answers must be between 1 and 5000 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const question = req.question;
+
+      if (!OPEN_STATUSES.includes(question.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot answer a ${question.status} question`
+        });
+      }
+
+      const firstAnswer = question.status !== 'answered';
+      if (question.status === 'pending') {
+        question.moderatedBy = req.user._id;
+        question.moderatedAt = new Date();
+      }
+
+      question.answer = req.body.answer;
+      question.answeredBy = req.user._id;
+      question.answeredAt = new Date();
+      question.status = 'answered';
+      await question.save();
+
+      emitQuestion(req, question);
+
+      res.json({
+        success: true,
+        message: firstAnswer ? 'Answer published' : 'Answer updated',
+        question
+      });
+
+      // Mail goes out after responding so a slow SMTP server does not hold up the moderator
+      if (firstAnswer) {
+        emailAskers(req.meeting, question)
+          .catch(error => console.error('Question answer emails error:', error));
+      }
+
+    } catch (error) {
+      handleQuestionError(res, error, 'Failed to answer question');
+    }
+  }
+);
+
+module.exports = router;
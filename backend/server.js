@@ -16,6 +16,8 @@ const morgan = require('morgan');
 // Import routes
 const authRoutes = require('./routes/auth');
 const meetingRoutes = require('./routes/meetings');
+const seriesRoutes = require('./routes/series');
+const calendarRoutes = require('./routes/calendar');
 const userRoutes = require('./routes/users');
 const performanceRoutes = require('./routes/performance');
 const pdfRoutes = require('./routes/pdf');
@@ -23,6 +25,19 @@ const notificationRoutes = require('./routes/notifications');
 const agendaRoutes = require('./routes/agenda');
 const attendanceRoutes = require('./routes/attendance');
 const settingsRoutes = require('./routes/settings');
+const actionItemRoutes = require('./routes/actionItems');
+const questionRoutes = require('./routes/questions');
+const searchRoutes = require('./routes/search');
+
+// Import socket handlers
+const { authenticateSocket } = require('./socket/access');
+const { setupMeetingEvents } = require('./socket/meeting');
+const { setupMinutesEditor } = require('./socket/minutesEditor');
+const { setupChat } = require('./socket/chat');
+const { setupRunMeeting } = require('./socket/runMeeting');
+
+// Import background jobs
+const { JobScheduler } = require('./jobs/scheduler');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
@@ -45,6 +60,36 @@ const io = socketio(server, {
 // Store io instance for use in routes
 app.set('io', io);
 
+// Sockets use the same JWT as the REST API; event handlers check the caller's role
+io.use(authenticateSocket);
+setupMeetingEvents(io);
+
+// Collaborative minutes editing; routes reset it when minutes change over REST
+const minutesEditor = setupMinutesEditor(io);
+app.set('minutesEditor', minutesEditor);
+
+// Stored meeting chat with history replay
+setupChat(io);
+
+// Live run mode: agenda timer and speaker queue
+setupRunMeeting(io);
+
+// Cron jobs (overdue action items, reminders, archiving); schedules live in Settings
+const scheduler = new JobScheduler(io);
+app.set('scheduler', scheduler);
+
+// Tracking tokens and voter keys hashed with a well-known key could be guessed
+if (!process.env.QUESTION_SECRET && !process.env.JWT_SECRET) {
+  console.error('❌ QUESTION_SECRET or JWT_SECRET must be set to hash question tokens');
+  process.exit(1);
+}
+
+// A well-known key would let anyone forge check-in codes
+if (!process.env.CHECKIN_SECRET && !process.env.JWT_SECRET) {
+  console.error('❌ CHECKIN_SECRET or JWT_SECRET must be set to sign check-in codes');
+  process.exit(1);
+}
+
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sit-council', {
   useNewUrlParser: true,
@@ -52,7 +97,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sit-counc
   serverSelectionTimeoutMS: 5000,
   socketTimeoutMS: 45000,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  return scheduler.start();
+})
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
   process.exit(1);
@@ -183,6 +231,8 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/meetings', meetingRoutes);
+app.use('/api/meeting-series', seriesRoutes);
+app.use('/api/calendar', calendarRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/performance', performanceRoutes);
 app.use('/api/pdf', pdfRoutes);
@@ -190,86 +240,9 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/agenda', agendaRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/settings', settingsRoutes);
-
-// Socket.io event handlers
-io.on('connection', (socket) => {
-  console.log('🔌 New client connected:', socket.id);
-  
-  // Join user to their room
-  socket.on('joinUser', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`👤 User ${userId} joined their room`);
-  });
-  
-  // Join meeting room
-  socket.on('joinMeeting', ({ meetingId, userId }) => {
-    socket.join(`meeting-${meetingId}`);
-    console.log(`📅 User ${userId} joined meeting ${meetingId}`);
-    
-    // Notify others in the meeting
-    socket.to(`meeting-${meetingId}`).emit('userJoined', {
-      userId,
-      timestamp: new Date().toISOString()
-    });
-  });
-  
-  // Real-time minutes editing
-  socket.on('updateMinutes', (data) => {
-    const { meetingId, minutes, userId } = data;
-    io.to(`meeting-${meetingId}`).emit('minutesUpdated', {
-      minutes,
-      userId,
-      timestamp: new Date().toISOString()
-    });
-  });
-  
-  // Real-time attendance updates
-  socket.on('updateAttendance', (data) => {
-    const { meetingId, attendance, userId } = data;
-    io.to(`meeting-${meetingId}`).emit('attendanceUpdated', {
-      attendance,
-      userId,
-      timestamp: new Date().toISOString()
-    });
-  });
-  
-  // Chat messages
-  socket.on('sendMessage', (data) => {
-    const { meetingId, message, user } = data;
-    const messageData = {
-      ...message,
-      timestamp: new Date().toISOString(),
-      id: Date.now().toString()
-    };
-    
-    io.to(`meeting-${meetingId}`).emit('newMessage', messageData);
-  });
-  
-  // Notifications
-  socket.on('sendNotification', (data) => {
-    const { userId, notification } = data;
-    io.to(`user-${userId}`).emit('newNotification', {
-      ...notification,
-      timestamp: new Date().toISOString(),
-      read: false
-    });
-  });
-  
-  // Live agenda updates
-  socket.on('updateAgenda', (data) => {
-    const { meetingId, agenda, userId } = data;
-    io.to(`meeting-${meetingId}`).emit('agendaUpdated', {
-      agenda,
-      userId,
-      timestamp: new Date().toISOString()
-    });
-  });
-  
-  // Disconnect handler
-  socket.on('disconnect', () => {
-    console.log('🔌 Client disconnected:', socket.id);
-  });
-});
+app.use('/api/action-items', actionItemRoutes);
+app.use('/api/questions', questionRoutes);
+app.use('/api/search', searchRoutes);
 
 // Error handling
 app.use(notFound);
@@ -285,13 +258,14 @@ process.on('unhandledRejection', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Closing server gracefully...');
-  server.close(() => {
+  scheduler.stop();
+  minutesEditor.flushAll().finally(() => server.close(() => {
     console.log('Server closed.');
     mongoose.connection.close(false, () => {
       console.log('MongoDB connection closed.');
       process.exit(0);
     });
-  });
+  }));
 });
 
 const PORT = process.env.PORT || 5000;
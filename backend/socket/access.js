@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const { userFromToken } = require('../middleware/auth');
+const { ARCHIVED_MESSAGE } = require('../middleware/meetingAccess');
+
+// Events that only read the meeting; every other event is refused on archived meetings
+const READ_EVENTS = ['joinMeeting', 'joinMinutes'];
+
+// Find the JWT in the handshake: auth payload, Authorization header or the auth cookie
+const handshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+
+  const header = handshake.headers.authorization;
+  if (header && header.startsWith('Bearer')) return header.split(' ')[1];
+
+  const cookie = (handshake.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith('token='));
+  return cookie ? decodeURIComponent(cookie.slice('token='.length)) : null;
+};
+
+const handshakeError = (message) => {
+  const error = new Error(message);
+  error.data = { code: 'UNAUTHENTICATED', message };
+  return error;
+};
+
+/**
+ * Socket.io middleware: require the REST API's JWT during the handshake.
+ * The user is stored on socket.data.user and joins their personal room.
+ */
+const authenticateSocket = async (socket, next) => {
+  const token = handshakeToken(socket.handshake);
+  if (!token) return next(handshakeError('Not authorized, no token'));
+
+  try {
+    const user = await userFromToken(token);
+    if (!user || user.isActive === false) return next(handshakeError('User not found'));
+
+    socket.data.user = user;
+    socket.join(`user-${user._id}`);
+    next();
+  } catch (error) {
+    next(handshakeError('Not authorized'));
+  }
+};
+
+/**
+ * Reject a socket event
+ * @param {Socket} socket - Client socket
+ * @param {String} event - Event that was rejected
+ * @param {String} code - FORBIDDEN, NOT_FOUND, INVALID or SERVER_ERROR
+ * @param {String} message - Human readable reason
+ * @param {Object} details - Extra fields, e.g. { meetingId }
+ */
+const rejectEvent = (socket, event, code, message, details = {}) => {
+  socket.emit('eventError', {
+    event,
+    code,
+    message,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Load a meeting for a socket event and check the caller may act on it.
+ * Archived meetings only accept READ_EVENTS.
+ * @param {Socket} socket - Client socket
+ * @param {String} event - Event being handled
+ * @param {String} meetingId - Meeting named in the event
+ * @param {Function} allowed - (user, meeting) => Boolean
+ * @param {String} deniedMessage - Message when allowed() fails
+ * @returns {Promise<Meeting|null>} - null when the event was rejected
+ */
+const authorizeMeetingEvent = async (socket, event, meetingId, allowed, deniedMessage) => {
+  if (!mongoose.Types.ObjectId.isValid(meetingId)) {
+    rejectEvent(socket, event, 'INVALID', 'Invalid meeting id', { meetingId });
+    return null;
+  }
+
+  const meeting = await Meeting.findById(meetingId);
+  if (!meeting) {
+    rejectEvent(socket, event, 'NOT_FOUND', 'Meeting not found', { meetingId });
+    return null;
+  }
+
+  if (!allowed(socket.data.user, meeting)) {
+    rejectEvent(socket, event, 'FORBIDDEN', deniedMessage || 'Not authorized for this meeting', { meetingId });
+    return null;
+  }
+
+  if (meeting.isArchived && !READ_EVENTS.includes(event)) {
+    rejectEvent(socket, event, 'FORBIDDEN', ARCHIVED_MESSAGE, { meetingId });
+    return null;
+  }
+
+  return meeting;
+};
+
+module.exports = {
+  authenticateSocket,
+  rejectEvent,
+  authorizeMeetingEvent
+};
@@ -0,0 +1,80 @@
+const ChatMessage = require('../models/ChatMessage');
+const { canViewMeeting } = require('../middleware/meetingAccess');
+const { paginate } = require('../utils/pagination');
+const { rejectEvent, authorizeMeetingEvent } = require('./access');
+
+const SENDER_FIELDS = 'name role avatar avatarColor';
+const REPLAY_LIMIT = Number(process.env.CHAT_REPLAY_LIMIT) || 50;
+
+/**
+ * Send recent chat history to a socket that just joined a meeting.
+ * Emits chatHistory { meetingId, messages (oldest first), nextCursor }; older pages
+ * come from GET /api/meetings/:meetingId/chat?cursor=
+ * @param {Socket} socket - Client socket, already authorized for the meeting
+ * @param {String} meetingId - Meeting id
+ */
+async function replayChat(socket, meetingId) {
+  const { items, nextCursor } = await paginate(ChatMessage, { meeting: meetingId }, {
+    limit: REPLAY_LIMIT,
+    defaultSort: '-createdAt',
+    populate: [{ path: 'sender', select: SENDER_FIELDS }],
+    // Documents, so toJSON blanks the text of deleted messages
+    lean: false
+  });
+
+  socket.emit('chatHistory', {
+    meetingId,
+    messages: items.reverse().map(message => message.toJSON()),
+    nextCursor
+  });
+}
+
+/**
+ * Stored meeting chat over Socket.io
+ *
+ * Client events:
+ *   sendMessage { meetingId, message: { text } }
+ * Server events:
+ *   newMessage, chatError
+ *
+ * @param {Server} io - Socket.io server
+ */
+function setupChat(io) {
+  io.on('connection', (socket) => {
+    socket.on('sendMessage', async (data = {}) => {
+      const { meetingId, message = {} } = data;
+      const text = typeof message === 'string' ? message : message.text;
+
+      try {
+        const meeting = await authorizeMeetingEvent(socket, 'sendMessage', meetingId, canViewMeeting);
+        if (!meeting) return;
+
+        const chatMessage = await ChatMessage.create({
+          meeting: meeting._id,
+          sender: socket.data.user._id,
+          text
+        });
+        await chatMessage.populate('sender', SENDER_FIELDS);
+
+        io.to(`meeting-${meetingId}`).emit('newMessage', {
+          meetingId,
+          message: chatMessage.toJSON(),
+          userId: socket.data.user._id,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          return rejectEvent(socket, 'sendMessage', 'INVALID', Object.values(error.errors)[0].message, { meetingId });
+        }
+
+        console.error('Send message error:', error);
+        socket.emit('chatError', { meetingId, message: 'Failed to send message' });
+      }
+    });
+  });
+}
+
+module.exports = {
+  replayChat,
+  setupChat
+};
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const {
+  MANAGER_ROLES,
+  isMeetingManager,
+  canRecordAttendance,
+  canViewMeeting
+} = require('../middleware/meetingAccess');
+const { refreshQuorum } = require('../utils/quorum');
+const { notifyUser } = require('../utils/notify');
+const { AttendanceError, resolveAttendance, checkAttendees } = require('../utils/attendance');
+const Settings = require('../models/Settings');
+const { rejectEvent, authorizeMeetingEvent } = require('./access');
+const { replayChat } = require('./chat');
+const { sendRunState } = require('./runMeeting');
+
+/**
+ * Meeting room events. The caller is always socket.data.user (see socket/access.js);
+ * user ids sent in event payloads are ignored.
+ *
+ * @param {Server} io - Socket.io server
+ */
+function setupMeetingEvents(io) {
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+    console.log('🔌 New client connected:', socket.id, user.name);
+
+    // Users are put in their own room on connect; kept for older clients
+    socket.on('joinUser', (userId) => {
+      if (userId && String(userId) !== user._id.toString()) {
+        return rejectEvent(socket, 'joinUser', 'FORBIDDEN', 'You can only join your own room');
+      }
+      socket.join(`user-${user._id}`);
+    });
+
+    // Join meeting room
+    socket.on('joinMeeting', async ({ meetingId } = {}) => {
+      try {
+        const meeting = await authorizeMeetingEvent(socket, 'joinMeeting', meetingId, canViewMeeting);
+        if (!meeting) return;
+
+        socket.join(`meeting-${meetingId}`);
+        console.log(`📅 User ${user._id} joined meeting ${meetingId}`);
+
+        // Notify others in the meeting
+        socket.to(`meeting-${meetingId}`).emit('userJoined', {
+          userId: user._id,
+          name: user.name,
+          timestamp: new Date().toISOString()
+        });
+
+        sendRunState(io, socket, meeting);
+        await replayChat(socket, meetingId);
+      } catch (error) {
+        console.error('Join meeting error:', error);
+        rejectEvent(socket, 'joinMeeting', 'SERVER_ERROR', 'Failed to join meeting', { meetingId });
+      }
+    });
+
+    // Real-time attendance updates; persisted so quorum can be evaluated
+    socket.on('updateAttendance', async (data = {}) => {
+      const { meetingId, attendance } = data;
+
+      try {
+        const meeting = await authorizeMeetingEvent(
+          socket,
+          'updateAttendance',
+          meetingId,
+          canRecordAttendance,
+          'Only the chair or the minutes taker can record attendance'
+        );
+        if (!meeting) return;
+
+        const settings = await Settings.getSettings();
+        const updates = resolveAttendance(
+          meeting,
+          Array.isArray(attendance) ? attendance : [attendance],
+          settings.attendance
+        );
+        await checkAttendees(meeting, updates);
+
+        meeting.applyAttendance(updates);
+        const quorum = await refreshQuorum(meeting);
+        await meeting.save();
+
+        io.to(`meeting-${meetingId}`).emit('attendanceUpdated', {
+          attendance: updates,
+          userId: user._id,
+          timestamp: new Date().toISOString()
+        });
+        io.to(`meeting-${meetingId}`).emit('quorumUpdated', {
+          meetingId,
+          quorum,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error instanceof AttendanceError) {
+          const code = error.status === 404 ? 'NOT_FOUND' : 'INVALID';
+          return rejectEvent(socket, 'updateAttendance', code, error.message, { meetingId });
+        }
+        console.error('Attendance update error:', error);
+        socket.emit('attendanceError', { meetingId, message: 'Failed to update attendance' });
+      }
+    });
+
+    // Notifications sent by council officers; stored so offline users see them later
+    socket.on('sendNotification', async (data = {}) => {
+      const { userId, notification = {} } = data;
+
+      if (!MANAGER_ROLES.includes(user.role)) {
+        return rejectEvent(socket, 'sendNotification', 'FORBIDDEN', 'Only council officers can send notifications');
+      }
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return rejectEvent(socket, 'sendNotification', 'INVALID', 'Invalid user id');
+      }
+
+      try {
+        await notifyUser(io, userId, {
+          category: notification.category,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          data: notification.data,
+          from: user._id
+        });
+      } catch (error) {
+        if (error.name === 'ValidationError') {
+          return rejectEvent(socket, 'sendNotification', 'INVALID', 'Notifications need a title', { userId });
+        }
+        console.error('Send notification error:', error);
+        rejectEvent(socket, 'sendNotification', 'SERVER_ERROR', 'Failed to send notification', { userId });
+      }
+    });
+
+    // Live agenda updates
+    socket.on('updateAgenda', async (data = {}) => {
+      const { meetingId, agenda } = data;
+
+      try {
+        const meeting = await authorizeMeetingEvent(
+          socket,
+          'updateAgenda',
+          meetingId,
+          isMeetingManager,
+          'Only the chair, minutes taker or council officers can change the agenda'
+        );
+        if (!meeting) return;
+
+        io.to(`meeting-${meetingId}`).emit('agendaUpdated', {
+          agenda,
+          userId: user._id,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Agenda update error:', error);
+        rejectEvent(socket, 'updateAgenda', 'SERVER_ERROR', 'Failed to update agenda', { meetingId });
+      }
+    });
+
+    // Disconnect handler
+    socket.on('disconnect', () => {
+      console.log('🔌 Client disconnected:', socket.id);
+    });
+  });
+}
+
+module.exports = {
+  setupMeetingEvents
+};
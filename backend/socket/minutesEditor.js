@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Meeting = require('../models/Meeting');
+const textOperation = require('../utils/textOperation');
+const { isMeetingManager, isMeetingAttendee } = require('../middleware/meetingAccess');
+const { rejectEvent, authorizeMeetingEvent } = require('./access');
+const MinutesRevision = require('../models/MinutesRevision');
+
+const HISTORY_LIMIT = 500;
+const AUTOSAVE_MS = Number(process.env.MINUTES_AUTOSAVE_MS) || 5000;
+
+const editorError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const loadSummary = async (meetingId) => {
+  const meeting = await Meeting.findById(meetingId).select('minutes');
+  if (!meeting) throw editorError('Meeting not found', 404);
+
+  return {
+    text: meeting.minutes.summary || '',
+    locked: meeting.isMinutesLocked()
+  };
+};
+
+// Goes through editMinutes so the save is locked after approval. Autosaves pass
+// revision: false; the revision is recorded once the session is flushed for good.
+const saveSummary = async (meetingId, text, userId, { revision = true } = {}) => {
+  const meeting = await Meeting.findById(meetingId);
+  if (!meeting) throw editorError('Meeting not found', 404);
+
+  // Text already written by an autosave still needs its revision
+  const autosaved = (meeting.minutes.summary || '') === text;
+  meeting.editMinutes({ summary: text }, userId, { revision });
+  await meeting.save();
+
+  if (revision && autosaved) await MinutesRevision.record(meeting, { author: userId });
+};
+
+/**
+ * Server side of collaborative editing of the minutes summary.
+ *
+ * Each meeting being edited has one in-memory session holding the authoritative
+ * text and a numbered log of the operations applied to it. Clients send operations
+ * made against the version they last saw; the server transforms them past anything
+ * applied since, applies them and hands the result back for broadcasting.
+ * The text is written to the Meeting document in the background; a revision is
+ * only recorded when the session is flushed for good (last client leaves, shutdown),
+ * not on every autosave.
+ *
+ * Sessions get a fresh id whenever their text is replaced from outside (REST edits,
+ * restores, workflow changes), so clients holding an older session resync from a snapshot.
+ *
+ * Events: 'reset' (meetingId, snapshot), 'saveError' (meetingId, error)
+ */
+class MinutesEditor extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.load = options.load || loadSummary;
+    this.save = options.save || saveSummary;
+    this.persistDelay = options.persistDelay !== undefined ? options.persistDelay : AUTOSAVE_MS;
+    this.historyLimit = options.historyLimit || HISTORY_LIMIT;
+    this.sessions = new Map();
+    this.loading = new Map();
+  }
+
+  /**
+   * Get the editing session of a meeting, loading it on first use
+   * @param {String} meetingId - Meeting id
+   * @returns {Promise<Object>} - Session
+   */
+  async open(meetingId) {
+    const key = meetingId.toString();
+    if (this.sessions.has(key)) return this.sessions.get(key);
+
+    // Clients joining at the same time share one load
+    if (!this.loading.has(key)) {
+      this.loading.set(key, this.load(key)
+        .then(({ text, locked }) => {
+          const session = this.createSession(key, text, locked);
+          this.sessions.set(key, session);
+          return session;
+        })
+        .finally(() => this.loading.delete(key)));
+    }
+
+    return this.loading.get(key);
+  }
+
+  createSession(meetingId, text, locked) {
+    return {
+      meetingId,
+      id: crypto.randomUUID(),
+      text,
+      locked: Boolean(locked),
+      version: 0,
+      history: [],
+      clients: new Set(),
+      dirty: false,
+      // Autosaved edits not yet recorded as a revision
+      unrecorded: false,
+      lastAuthor: null,
+      timer: null,
+      saving: null
+    };
+  }
+
+  snapshot(session) {
+    return {
+      meetingId: session.meetingId,
+      sessionId: session.id,
+      version: session.version,
+      text: session.text,
+      locked: session.locked
+    };
+  }
+
+  /**
+   * Operations a reconnecting client missed
+   * @param {Object} session - Session from open()
+   * @param {String} sessionId - Session the client was editing
+   * @param {Number} version - Last version the client saw
+   * @returns {Array|null} - [{ version, operation }] or null when the client needs a snapshot
+   */
+  operationsSince(session, sessionId, version) {
+    const oldest = session.version - session.history.length;
+    if (sessionId !== session.id || !Number.isInteger(version) || version < oldest || version > session.version) {
+      return null;
+    }
+
+    return session.history.slice(version - oldest).map((operation, index) => ({
+      version: version + index + 1,
+      operation
+    }));
+  }
+
+  /**
+   * Apply a client operation
+   * @param {Object} session - Session from open()
+   * @param {Object} edit - { sessionId, version, operation, userId }
+   * @returns {Object} - { version, operation } as applied, to broadcast to other clients
+   * @throws {Error} - status 400 for malformed operations, 409 when the client must resync
+   */
+  submit(session, { sessionId, version, operation, userId }) {
+    if (session.locked) {
+      throw editorError('Minutes are locked after approval; file an amendment to change them', 409);
+    }
+    if (!textOperation.isValid(operation)) {
+      throw editorError('Invalid operation', 400);
+    }
+
+    const missed = this.operationsSince(session, sessionId, version);
+    if (!missed) {
+      throw editorError('Editor is out of date; resync required', 409);
+    }
+
+    let transformed = operation;
+    try {
+      missed.forEach(applied => {
+        [transformed] = textOperation.transform(transformed, applied.operation);
+      });
+      session.text = textOperation.apply(session.text, transformed);
+    } catch (error) {
+      if (error instanceof textOperation.OperationError) throw editorError(error.message, 400);
+      throw error;
+    }
+
+    session.version += 1;
+    session.history.push(transformed);
+    if (session.history.length > this.historyLimit) session.history.shift();
+
+    session.dirty = true;
+    session.lastAuthor = userId;
+    this.schedule(session);
+
+    return { version: session.version, operation: transformed };
+  }
+
+  // Save at most once per persistDelay while edits keep coming
+  schedule(session) {
+    if (session.timer) return;
+
+    session.timer = setTimeout(() => {
+      session.timer = null;
+      this.flush(session.meetingId, { revision: false }).catch(() => {});
+    }, this.persistDelay);
+    if (session.timer.unref) session.timer.unref();
+  }
+
+  /**
+   * Write pending edits to the database
+   * @param {String} meetingId - Meeting id
+   * @param {Object} options - revision: false for autosaves that should not add to the history
+   */
+  async flush(meetingId, { revision = true } = {}) {
+    const session = this.sessions.get(meetingId.toString());
+    if (!session) return;
+
+    if (session.saving) await session.saving.catch(() => {});
+    if (!session.dirty && !(revision && session.unrecorded)) return;
+
+    if (session.timer) {
+      clearTimeout(session.timer);
+      session.timer = null;
+    }
+
+    const { text, lastAuthor } = session;
+    session.dirty = false;
+    session.saving = this.save(session.meetingId, text, lastAuthor, { revision });
+
+    try {
+      await session.saving;
+      session.unrecorded = !revision;
+    } catch (error) {
+      if (error.status === 409) {
+        session.locked = true;
+      } else if (this.sessions.get(session.meetingId) === session) {
+        // Try again with the next round of edits
+        session.dirty = true;
+        this.schedule(session);
+      }
+      this.emit('saveError', session.meetingId, error);
+      throw error;
+    } finally {
+      session.saving = null;
+    }
+  }
+
+  /**
+   * Replace the session text after the minutes changed outside the editor
+   * @param {Meeting} meeting - Saved meeting document
+   */
+  reset(meeting) {
+    const key = meeting._id.toString();
+    const session = this.sessions.get(key);
+    if (!session) return;
+
+    if (session.timer) clearTimeout(session.timer);
+
+    const fresh = this.createSession(key, meeting.minutes.summary || '', meeting.isMinutesLocked());
+    fresh.clients = session.clients;
+    this.sessions.set(key, fresh);
+
+    this.emit('reset', key, this.snapshot(fresh));
+  }
+
+  /**
+   * Remove a client; the session is saved and dropped once nobody is editing
+   * @param {String} meetingId - Meeting id
+   * @param {String} clientId - Socket id
+   */
+  async leave(meetingId, clientId) {
+    const key = meetingId.toString();
+    const session = this.sessions.get(key);
+    if (!session) return;
+
+    session.clients.delete(clientId);
+    if (session.clients.size > 0) return;
+
+    await this.flush(key);
+    if (this.sessions.get(key) === session && session.clients.size === 0 && !session.dirty) {
+      this.sessions.delete(key);
+    }
+  }
+
+  // Save every session, e.g. on shutdown
+  async flushAll() {
+    await Promise.allSettled([...this.sessions.keys()].map(key => this.flush(key)));
+  }
+}
+
+/**
+ * Wire the minutes editor to Socket.io
+ *
+ * Attendees and officers may follow the minutes; only meeting managers may edit them.
+ *
+ * Client events:
+ *   joinMinutes { meetingId, sessionId?, version? } - start or resume editing
+ *   minutesOperation { meetingId, sessionId, version, operation }
+ *   leaveMinutes { meetingId }
+ * Server events:
+ *   minutesSnapshot - full text; replaces the client's document
+ *   minutesOperation - someone else's edit, in version order
+ *   minutesAck - the sender's edit was applied as { version }
+ *   minutesError, eventError
+ *
+ * @param {Server} io - Socket.io server
+ * @param {MinutesEditor} editor - Editor instance, a new one by default
+ * @returns {MinutesEditor}
+ */
+function setupMinutesEditor(io, editor = new MinutesEditor()) {
+  const room = (meetingId) => `minutes-${meetingId}`;
+
+  editor.on('reset', (meetingId, snapshot) => {
+    io.to(room(meetingId)).emit('minutesSnapshot', snapshot);
+  });
+
+  editor.on('saveError', (meetingId, error) => {
+    console.error('Minutes autosave error:', error);
+    io.to(room(meetingId)).emit('minutesError', {
+      meetingId,
+      message: error.status === 409 ? error.message : 'Failed to save minutes'
+    });
+  });
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+    // Meetings this socket follows, and whether it may edit them
+    const editing = new Map();
+
+    socket.on('joinMinutes', async (data = {}) => {
+      const { meetingId, sessionId, version } = data;
+
+      try {
+        const meeting = await authorizeMeetingEvent(
+          socket,
+          'joinMinutes',
+          meetingId,
+          (caller, found) => isMeetingManager(caller, found) || isMeetingAttendee(caller, found),
+          'Only attendees and officers can open draft minutes'
+        );
+        if (!meeting) return;
+
+        const session = await editor.open(meetingId);
+        session.clients.add(socket.id);
+        editing.set(session.meetingId, isMeetingManager(user, meeting) && !meeting.isArchived);
+        socket.join(room(session.meetingId));
+
+        // Resume from where the client dropped off when the log still covers it
+        const missed = editor.operationsSince(session, sessionId, version);
+        if (!missed) {
+          return socket.emit('minutesSnapshot', editor.snapshot(session));
+        }
+
+        missed.forEach(({ version: applied, operation }) => {
+          socket.emit('minutesOperation', { meetingId, sessionId: session.id, version: applied, operation });
+        });
+      } catch (error) {
+        if (!error.status) console.error('Join minutes error:', error);
+        socket.emit('minutesError', {
+          meetingId,
+          message: error.status ? error.message : 'Failed to open minutes'
+        });
+      }
+    });
+
+    socket.on('minutesOperation', async (data = {}) => {
+      const { meetingId, sessionId, version, operation } = data;
+      const userId = user._id;
+
+      if (!editing.get(String(meetingId))) {
+        return rejectEvent(
+          socket,
+          'minutesOperation',
+          'FORBIDDEN',
+          'Join the minutes as the chair, minutes taker or an officer to edit them',
+          { meetingId }
+        );
+      }
+
+      try {
+        const session = await editor.open(meetingId);
+        const applied = editor.submit(session, { sessionId, version, operation, userId });
+
+        socket.emit('minutesAck', { meetingId, sessionId, version: applied.version });
+        socket.to(room(session.meetingId)).emit('minutesOperation', {
+          meetingId,
+          sessionId,
+          version: applied.version,
+          operation: applied.operation,
+          userId
+        });
+      } catch (error) {
+        if (!error.status) console.error('Minutes operation error:', error);
+        socket.emit('minutesError', {
+          meetingId,
+          message: error.status ? error.message : 'Failed to apply edit'
+        });
+
+        // Anything the client has pending is now unusable; start it over from the server text
+        const session = editor.sessions.get(String(meetingId));
+        if (session) socket.emit('minutesSnapshot', editor.snapshot(session));
+      }
+    });
+
+    const leave = (meetingId) => {
+      const key = String(meetingId);
+      editing.delete(key);
+      socket.leave(room(key));
+      editor.leave(key, socket.id).catch(() => {});
+    };
+
+    socket.on('leaveMinutes', ({ meetingId } = {}) => leave(meetingId));
+
+    socket.on('disconnect', () => {
+      [...editing.keys()].forEach(leave);
+    });
+  });
+
+  return editor;
+}
+
+module.exports = {
+  MinutesEditor,
+  setupMinutesEditor
+};
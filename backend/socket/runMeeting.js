@@ -0,0 +1,237 @@
+const {
+  isMeetingChair,
+  isMeetingManager,
+  isMeetingAttendee
+} = require('../middleware/meetingAccess');
+const { carryOverItem } = require('../utils/agenda');
+const { enforceAttendancePolicy } = require('../utils/attendancePolicy');
+const { rejectEvent, authorizeMeetingEvent } = require('./access');
+
+// Warn this long before the current item's time runs out
+const WARNING_SECONDS = Number(process.env.RUN_WARNING_SECONDS) || 60;
+
+const canJoinQueue = (user, meeting) => isMeetingAttendee(user, meeting) || isMeetingManager(user, meeting);
+
+// Pending countdown timers per meeting
+const timers = new Map();
+// Run mode events for one meeting are applied one at a time
+const pending = new Map();
+
+const serialize = (meetingId, task) => {
+  const key = meetingId.toString();
+  const run = (pending.get(key) || Promise.resolve()).then(task, task);
+  pending.set(key, run.catch(() => {}));
+  return run;
+};
+
+const itemEndsAt = (item) => {
+  if (!item || !item.startedAt) return null;
+  return new Date(item.startedAt.getTime() + (item.duration || 0) * 60000);
+};
+
+/**
+ * Public run mode state of a meeting
+ * @param {Meeting} meeting - Meeting document
+ * @returns {Object}
+ */
+function runState(meeting) {
+  const now = new Date();
+  const item = meeting.currentAgendaItem();
+  const endsAt = itemEndsAt(item);
+  const live = meeting.live || {};
+
+  return {
+    meetingId: meeting._id,
+    running: meeting.isRunning(),
+    startedAt: live.startedAt,
+    endedAt: live.endedAt,
+    currentItem: item
+      ? {
+        _id: item._id,
+        title: item.title,
+        presenter: item.presenter,
+        duration: item.duration,
+        startedAt: item.startedAt,
+        endsAt,
+        remainingSeconds: Math.round((endsAt - now) / 1000),
+        overrun: endsAt < now
+      }
+      : null,
+    agenda: meeting.orderedAgenda().map(entry => ({
+      _id: entry._id,
+      title: entry.title,
+      duration: entry.duration,
+      status: entry.status,
+      timeSpent: entry.timeSpent
+    })),
+    speaker: live.speaker && live.speaker.user ? live.speaker : null,
+    queue: live.queue || [],
+    serverTime: now.toISOString()
+  };
+}
+
+const clearTimers = (meetingId) => {
+  (timers.get(meetingId.toString()) || []).forEach(clearTimeout);
+  timers.delete(meetingId.toString());
+};
+
+// Schedule the overrun warning and overrun notice for the current item
+const scheduleTimers = (io, meeting) => {
+  clearTimers(meeting._id);
+
+  const item = meeting.currentAgendaItem();
+  const endsAt = itemEndsAt(item);
+  if (!meeting.isRunning() || !endsAt) return;
+
+  const room = `meeting-${meeting._id}`;
+  const now = Date.now();
+  const scheduled = [];
+
+  const warnAt = endsAt.getTime() - WARNING_SECONDS * 1000;
+  if (warnAt > now) {
+    scheduled.push(setTimeout(() => {
+      io.to(room).emit('agendaItemWarning', {
+        meetingId: meeting._id,
+        itemId: item._id,
+        remainingSeconds: WARNING_SECONDS,
+        timestamp: new Date().toISOString()
+      });
+    }, warnAt - now));
+  }
+
+  if (endsAt.getTime() > now) {
+    scheduled.push(setTimeout(() => {
+      io.to(room).emit('agendaItemOverrun', {
+        meetingId: meeting._id,
+        itemId: item._id,
+        title: item.title,
+        duration: item.duration,
+        timestamp: new Date().toISOString()
+      });
+    }, endsAt.getTime() - now));
+  }
+
+  scheduled.forEach(timer => timer.unref && timer.unref());
+  timers.set(meeting._id.toString(), scheduled);
+};
+
+/**
+ * Send the run state to a socket that just joined the meeting room
+ * @param {Server} io - Socket.io server
+ * @param {Socket} socket - Client socket
+ * @param {Meeting} meeting - Meeting document
+ */
+function sendRunState(io, socket, meeting) {
+  if (!meeting.isRunning()) return;
+
+  // Timers do not survive a restart; pick them up again when someone rejoins
+  if (!timers.has(meeting._id.toString())) scheduleTimers(io, meeting);
+  socket.emit('runState', runState(meeting));
+}
+
+/**
+ * Live "run meeting" mode: the chair walks through the agenda with a countdown
+ * per item while attendees queue to speak. Time spent per item and per speaker
+ * is stored on the Meeting (agenda[].timeSpent, speakingLog).
+ *
+ * Chair events: runStart, runNext { status?, itemId? }, runEnd, giveFloor { userId? }, endSpeaker
+ * Attendee events: raiseHand, lowerHand (the chair may pass userId to remove someone)
+ * Server events: runState, agendaItemWarning, agendaItemOverrun, eventError
+ *
+ * @param {Server} io - Socket.io server
+ */
+function setupRunMeeting(io) {
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+
+    // Load, check, change and save the meeting, then broadcast the new state
+    const handle = (event, allowed, deniedMessage, change, afterSave) => {
+      socket.on(event, async (data = {}) => {
+        const { meetingId } = data;
+
+        try {
+          await serialize(meetingId || 'invalid', async () => {
+            const meeting = await authorizeMeetingEvent(socket, event, meetingId, allowed, deniedMessage);
+            if (!meeting) return;
+
+            const problem = await change(meeting, data);
+            if (problem) {
+              return rejectEvent(socket, event, 'INVALID', problem, { meetingId });
+            }
+
+            await meeting.save();
+            scheduleTimers(io, meeting);
+            io.to(`meeting-${meeting._id}`).emit('runState', runState(meeting));
+
+            if (afterSave) afterSave(meeting);
+          });
+        } catch (error) {
+          console.error(`Run meeting ${event} error:`, error);
+          rejectEvent(socket, event, 'SERVER_ERROR', 'Failed to update the running meeting', { meetingId });
+        }
+      });
+    };
+
+    const chairOnly = 'Only the chair can run the meeting';
+
+    handle('runStart', isMeetingChair, chairOnly, (meeting) => {
+      if (meeting.isRunning()) return 'The meeting is already running';
+      meeting.startRun();
+      return null;
+    });
+
+    handle('runNext', isMeetingChair, chairOnly, async (meeting, { status = 'completed', itemId }) => {
+      if (!meeting.isRunning()) return 'The meeting is not running';
+      if (!['completed', 'deferred'].includes(status)) return 'Status must be completed or deferred';
+      if (itemId && !meeting.agenda.id(itemId)) return 'Agenda item not found';
+
+      const finished = meeting.stopAgendaItem(status);
+      if (finished && status === 'deferred') await carryOverItem(meeting, finished);
+
+      meeting.startAgendaItem(itemId);
+      return null;
+    });
+
+    handle('runEnd', isMeetingChair, chairOnly, (meeting) => {
+      if (!meeting.isRunning()) return 'The meeting is not running';
+      meeting.endRun();
+      return null;
+    }, (meeting) => {
+      enforceAttendancePolicy(meeting, io)
+        .catch(error => console.error('Attendance policy error:', error));
+    });
+
+    handle('raiseHand', canJoinQueue, 'Only attendees can join the speaker queue', (meeting) => {
+      if (!meeting.isRunning()) return 'The meeting is not running';
+      if (!meeting.raiseHand(user._id)) return 'You are already in the speaker queue';
+      return null;
+    });
+
+    handle('lowerHand', canJoinQueue, 'Only attendees can use the speaker queue', (meeting, { userId }) => {
+      const target = userId || user._id;
+      if (target.toString() !== user._id.toString() && !isMeetingChair(user, meeting)) {
+        return 'Only the chair can remove someone else from the queue';
+      }
+      if (!meeting.isRunning() || !meeting.lowerHand(target)) return 'Not in the speaker queue';
+      return null;
+    });
+
+    handle('giveFloor', isMeetingChair, chairOnly, (meeting, { userId }) => {
+      if (!meeting.isRunning()) return 'The meeting is not running';
+      if (!meeting.giveFloor(userId)) return 'Nobody matching is waiting to speak';
+      return null;
+    });
+
+    handle('endSpeaker', isMeetingChair, chairOnly, (meeting) => {
+      if (!meeting.isRunning()) return 'The meeting is not running';
+      if (!meeting.endSpeakingTurn()) return 'Nobody has the floor';
+      return null;
+    });
+  });
+}
+
+module.exports = {
+  runState,
+  sendRunState,
+  setupRunMeeting
+};
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const ChatMessage = require('../models/ChatMessage');
+const Settings = require('../models/Settings');
+
+jest.mock('../utils/storage', () => ({
+  removeAttachmentFiles: jest.fn(async () => {})
+}));
+
+const { removeAttachmentFiles } = require('../utils/storage');
+const { archiveCompletedMeetings, applyRetention } = require('../jobs/archive');
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+
+const withSettings = (settings) => {
+  jest.spyOn(Settings, 'getSettings').mockResolvedValue(settings);
+};
+
+// Meeting.find is used with .select().lean() and with .distinct()
+const withMeetings = ({ withAttachments = [], expiredIds = [] }) => {
+  jest.spyOn(Meeting, 'find').mockImplementation(() => ({
+    select: () => ({ lean: async () => withAttachments }),
+    distinct: async () => expiredIds
+  }));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  removeAttachmentFiles.mockClear();
+});
+
+describe('archiveCompletedMeetings', () => {
+  test('archives completed meetings past the configured age', async () => {
+    withSettings({ archive: { autoArchiveAfterDays: 30 } });
+    const updateMany = jest.spyOn(Meeting, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+    expect(await archiveCompletedMeetings(NOW)).toBe(4);
+
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter).toEqual({
+      status: 'completed',
+      isArchived: { $ne: true },
+      date: { $lt: new Date('2026-09-19T12:00:00.000Z') }
+    });
+    expect(update.$set).toEqual({ isArchived: true, archivedAt: NOW });
+  });
+
+  test('does nothing when auto-archiving is off', async () => {
+    withSettings({ archive: { autoArchiveAfterDays: 0 } });
+    const updateMany = jest.spyOn(Meeting, 'updateMany');
+
+    expect(await archiveCompletedMeetings(NOW)).toBe(0);
+    expect(updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('applyRetention', () => {
+  const policy = (fields) => ({ retention: { enabled: true, afterYears: 5, ...fields } });
+
+  test('does nothing while the policy is disabled', async () => {
+    withSettings({ retention: { enabled: false } });
+    const find = jest.spyOn(Meeting, 'find');
+
+    expect(await applyRetention(NOW)).toEqual({ meetings: 0, attachments: 0, messages: 0 });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('purges attachment files and chat of expired meetings', async () => {
+    const expired = { _id: new mongoose.Types.ObjectId(), attachments: [{ key: 'a' }, { key: 'b' }] };
+    withSettings(policy({ attachments: 'purge', chat: 'purge' }));
+    withMeetings({ withAttachments: [expired], expiredIds: [expired._id] });
+    const updateOne = jest.spyOn(Meeting, 'updateOne').mockResolvedValue({});
+    const deleteMany = jest.spyOn(ChatMessage, 'deleteMany').mockResolvedValue({ deletedCount: 12 });
+
+    expect(await applyRetention(NOW)).toEqual({ meetings: 1, attachments: 2, messages: 12 });
+
+    expect(removeAttachmentFiles).toHaveBeenCalledWith(expired.attachments);
+    expect(updateOne).toHaveBeenCalledWith({ _id: expired._id }, { $set: { attachments: [] } });
+    expect(deleteMany).toHaveBeenCalledWith({ meeting: { $in: [expired._id] } });
+
+    // Meetings still running are never cleaned up
+    const [filter] = Meeting.find.mock.calls[0];
+    expect(filter.date).toEqual({ $lt: new Date('2021-10-19T12:00:00.000Z') });
+    expect(filter.status).toEqual({ $ne: 'in-progress' });
+  });
+
+  test('anonymizes uploaders and chat senders instead of deleting', async () => {
+    const expiredId = new mongoose.Types.ObjectId();
+    const uploader = new mongoose.Types.ObjectId();
+    withSettings(policy({ attachments: 'anonymize', chat: 'anonymize' }));
+    withMeetings({
+      withAttachments: [{ _id: expiredId, attachments: [{ uploadedBy: uploader }, {}] }],
+      expiredIds: [expiredId]
+    });
+    const updateMany = jest.spyOn(Meeting, 'updateMany').mockResolvedValue({});
+    const chatUpdate = jest.spyOn(ChatMessage, 'updateMany').mockResolvedValue({ modifiedCount: 7 });
+
+    expect(await applyRetention(NOW)).toEqual({ meetings: 1, attachments: 1, messages: 7 });
+
+    expect(removeAttachmentFiles).not.toHaveBeenCalled();
+    expect(updateMany.mock.calls[0][1]).toEqual({ $unset: { 'attachments.$[].uploadedBy': '' } });
+
+    const [chatFilter, chatChange] = chatUpdate.mock.calls[0];
+    expect(chatFilter).toEqual({ meeting: { $in: [expiredId] }, anonymizedAt: { $exists: false } });
+    expect(chatChange.$set).toEqual({ anonymizedAt: NOW });
+    expect(Object.keys(chatChange.$unset)).toEqual(['sender', 'pinnedBy', 'editedBy', 'deletedBy']);
+  });
+});
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { resolveAttendance, applyExcuse, AttendanceError } = require('../utils/attendance');
+const { getMeetingStart } = require('../utils/meetingTime');
+
+const POLICY = { lateGraceMinutes: 10 };
+
+const member = new mongoose.Types.ObjectId();
+
+const meeting = (fields = {}) => ({
+  date: new Date('2026-10-19T00:00:00.000Z'),
+  startTime: '18:00',
+  endTime: '19:00',
+  status: 'scheduled',
+  attendees: [{ user: member, status: 'pending' }],
+  ...fields
+});
+
+describe('resolveAttendance', () => {
+  test('arrival times decide between present and late after the grace period', () => {
+    const [onTime, grace, late] = resolveAttendance(meeting(), [
+      { user: member, arrivalTime: '17:55' },
+      { user: member, arrivalTime: '18:10', status: 'late' },
+      { user: member, arrivalTime: '6:11 pm' }
+    ], POLICY);
+
+    expect(onTime).toMatchObject({ status: 'present', arrivalTime: '17:55' });
+    expect(grace).toMatchObject({ status: 'present', arrivalTime: '18:10' });
+    expect(late).toMatchObject({ status: 'late', arrivalTime: '18:11' });
+  });
+
+  test('updates without an arrival time, and absences, are left as sent', () => {
+    const updates = [{ user: member, status: 'absent', arrivalTime: '18:30' }, { user: member, status: 'pending' }];
+    expect(resolveAttendance(meeting(), updates, POLICY)).toEqual(updates);
+  });
+
+  test('a meeting without a start time counts every arrival as present', () => {
+    const [update] = resolveAttendance(meeting({ startTime: null }), [{ user: member, arrivalTime: '23:00' }], POLICY);
+    expect(update.status).toBe('present');
+  });
+
+  test('rejects excused, unknown statuses and unreadable times', () => {
+    expect(() => resolveAttendance(meeting(), [{ user: member, status: 'excused' }], POLICY))
+      .toThrow(/absence excuse/);
+    expect(() => resolveAttendance(meeting(), [{ user: member, status: 'asleep' }], POLICY))
+      .toThrow(AttendanceError);
+    expect(() => resolveAttendance(meeting(), [{ user: member, arrivalTime: 'soon' }], POLICY))
+      .toThrow('Invalid arrival time "soon"');
+  });
+});
+
+describe('applyExcuse', () => {
+  const end = getMeetingStart({ date: new Date('2026-10-19T00:00:00.000Z'), startTime: '19:00' });
+  const before = new Date(end.getTime() - 60 * 60000);
+  const after = new Date(end.getTime() + 60 * 60000);
+
+  test('an approved excuse marks the member excused', () => {
+    const target = meeting();
+
+    expect(applyExcuse(target, { user: member, status: 'approved' }, before)).toBe(true);
+    expect(target.attendees[0].status).toBe('excused');
+    expect(applyExcuse(target, { user: member, status: 'approved' }, before)).toBe(false);
+  });
+
+  test('withdrawing an excuse puts the member back to pending or absent', () => {
+    const upcoming = meeting({ attendees: [{ user: member, status: 'excused' }] });
+    expect(applyExcuse(upcoming, { user: member, status: 'withdrawn' }, before)).toBe(true);
+    expect(upcoming.attendees[0].status).toBe('pending');
+
+    const over = meeting({ attendees: [{ user: member, status: 'excused' }] });
+    expect(applyExcuse(over, { user: member, status: 'rejected' }, after)).toBe(true);
+    expect(over.attendees[0].status).toBe('absent');
+  });
+
+  test('members who turned up keep their status', () => {
+    const target = meeting({ attendees: [{ user: member, status: 'late' }] });
+
+    expect(applyExcuse(target, { user: member, status: 'approved' }, before)).toBe(false);
+    expect(target.attendees[0].status).toBe('late');
+  });
+
+  test('excuses from people not on the list change nothing', () => {
+    expect(applyExcuse(meeting(), { user: new mongoose.Types.ObjectId(), status: 'approved' }, before)).toBe(false);
+  });
+});
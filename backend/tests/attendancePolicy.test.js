@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { policyLevel, absenceStreak } = require('../utils/attendancePolicy');
+const Meeting = require('../models/Meeting');
+
+const POLICY = { noticeAfter: 2, warningAfter: 3, referralAfter: 5, meetingTypes: ['regular'] };
+
+describe('policyLevel', () => {
+  test('returns the highest step the absences reach', () => {
+    expect(policyLevel(1, POLICY)).toBeNull();
+    expect(policyLevel(2, POLICY)).toBe('notice');
+    expect(policyLevel(4, POLICY)).toBe('warning');
+    expect(policyLevel(9, POLICY)).toBe('referral');
+  });
+});
+
+describe('absenceStreak', () => {
+  const member = new mongoose.Types.ObjectId();
+
+  // Completed meetings, newest first, with the member's status in each
+  const history = (...statuses) => statuses.map(status => ({
+    _id: new mongoose.Types.ObjectId(),
+    attendees: [{ user: member, status }]
+  }));
+
+  const withHistory = (meetings) => {
+    jest.spyOn(Meeting, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ select: () => ({ lean: async () => meetings }) }) })
+    });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts absences back to the last meeting attended', async () => {
+    const meetings = history('absent', 'absent', 'late', 'absent');
+    withHistory(meetings);
+
+    expect(await absenceStreak(member, POLICY)).toEqual({
+      count: 2,
+      streakStart: meetings[1]._id,
+      meetings: [meetings[0]._id, meetings[1]._id]
+    });
+  });
+
+  test('excused and unmarked meetings neither count nor break the streak', async () => {
+    const meetings = history('absent', 'excused', 'pending', 'absent', 'present');
+    withHistory(meetings);
+
+    const streak = await absenceStreak(member, POLICY);
+    expect(streak.count).toBe(2);
+    expect(streak.streakStart).toBe(meetings[3]._id);
+  });
+
+  test('a member who attended the last meeting has no streak', async () => {
+    withHistory(history('present', 'absent'));
+    expect(await absenceStreak(member, POLICY)).toEqual({ count: 0, streakStart: null, meetings: [] });
+  });
+});
@@ -0,0 +1,85 @@
+const express = require('express');
+const ChatMessage = require('../models/ChatMessage');
+const { replayChat } = require('../socket/chat');
+
+jest.mock('../middleware/auth', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: '64b000000000000000000003', role: 'Member' };
+    next();
+  }
+}));
+
+jest.mock('../middleware/meetingAccess', () => ({
+  ...jest.requireActual('../middleware/meetingAccess'),
+  loadMeeting: (req, res, next) => {
+    req.meeting = { _id: req.params.meetingId };
+    next();
+  }
+}));
+
+const chatRoutes = require('../routes/chat');
+
+const MEETING_ID = '64b000000000000000000001';
+const SENDER_ID = '64b000000000000000000002';
+
+// Stand-in for ChatMessage.find(...).sort().limit().populate()[.lean()]
+const stubFind = (docs) => {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    populate: () => query,
+    lean: () => Promise.resolve(docs.map(doc => doc.toObject())),
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return jest.spyOn(ChatMessage, 'find').mockReturnValue(query);
+};
+
+const message = (text, fields = {}) => ChatMessage.hydrate({
+  _id: new ChatMessage()._id,
+  meeting: MEETING_ID,
+  sender: SENDER_ID,
+  text,
+  createdAt: new Date(),
+  ...fields
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('chat history', () => {
+  test('replay on join blanks the text of deleted messages', async () => {
+    stubFind([
+      message('Deleted by the chair', { deletedAt: new Date(), deletedBy: SENDER_ID }),
+      message('Welcome everyone')
+    ]);
+
+    const emitted = [];
+    await replayChat({ emit: (event, payload) => emitted.push({ event, payload }) }, MEETING_ID);
+
+    expect(emitted).toHaveLength(1);
+    const { messages } = emitted[0].payload;
+    expect(messages.map(item => item.text)).toEqual(['Welcome everyone', '']);
+    expect(JSON.stringify(messages)).not.toContain('Deleted by the chair');
+  });
+
+  test('the history API blanks the text of deleted messages', async () => {
+    stubFind([
+      message('Deleted by the chair', { deletedAt: new Date(), deletedBy: SENDER_ID }),
+      message('Welcome everyone')
+    ]);
+
+    const app = express();
+    app.use('/api/meetings/:meetingId/chat', chatRoutes);
+    const server = app.listen(0);
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/meetings/${MEETING_ID}/chat`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.messages.map(item => item.text)).toEqual(['', 'Welcome everyone']);
+      expect(JSON.stringify(body)).not.toContain('Deleted by the chair');
+    } finally {
+      server.close();
+    }
+  });
+});
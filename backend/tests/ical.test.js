@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const {
+  escapeText,
+  foldLine,
+  buildEvent,
+  buildCalendar,
+  parseCalendar,
+  eventToMeetingFields
+} = require('../utils/ical');
+const { getMeetingStart } = require('../utils/meetingTime');
+const Meeting = require('../models/Meeting');
+
+const meeting = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'General meeting; budget, events',
+  date: new Date('2026-10-19T00:00:00.000Z'),
+  startTime: '18:00',
+  endTime: '19:30',
+  location: 'Room 2.14',
+  objective: 'Approve the budget\nPlan the winter events',
+  type: 'regular',
+  status: 'scheduled',
+  chairperson: { name: 'Council Chair', email: 'chair@example.edu' },
+  icalSequence: 3,
+  updatedAt: new Date('2026-10-01T09:00:00.000Z'),
+  ...fields
+});
+
+describe('text encoding', () => {
+  test('escapes TEXT values', () => {
+    expect(escapeText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'é'.repeat(60)}`;
+    const folded = foldLine(line).split('\r\n');
+
+    expect(folded.length).toBeGreaterThan(1);
+    folded.forEach(part => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+    expect(folded.map((part, index) => (index === 0 ? part : part.slice(1))).join('')).toBe(line);
+  });
+});
+
+describe('buildEvent', () => {
+  test('uses the stored sequence and never publishes the chair\'s email', () => {
+    const lines = buildEvent(meeting());
+
+    expect(lines).toContain('SEQUENCE:3');
+    expect(lines.join('\n')).not.toContain('chair@example.edu');
+    expect(lines.find(line => line.startsWith('ORGANIZER'))).toMatch(/^ORGANIZER;CN="Council Chair":mailto:\S+@\S+$/);
+  });
+
+  test('falls back to an all-day event without a usable start time', () => {
+    const lines = buildEvent(meeting({ startTime: undefined }));
+    expect(lines).toContain('DTSTART;VALUE=DATE:20261019');
+  });
+});
+
+describe('buildCalendar and parseCalendar', () => {
+  test('round-trip a meeting', () => {
+    const source = meeting({ icalUid: 'abc-123@example.edu' });
+    const [event] = parseCalendar(buildCalendar([source], { name: 'SIT Council' }));
+
+    expect(event).toMatchObject({
+      uid: 'abc-123@example.edu',
+      summary: source.title,
+      location: source.location,
+      status: 'CONFIRMED',
+      allDay: false
+    });
+    expect(event.description).toContain('Plan the winter events');
+
+    expect(eventToMeetingFields(event)).toMatchObject({
+      title: source.title,
+      date: source.date,
+      startTime: '18:00',
+      endTime: '19:30',
+      location: source.location,
+      status: 'scheduled',
+      icalUid: 'abc-123@example.edu'
+    });
+  });
+
+  test('round-trip a cancelled all-day meeting', () => {
+    const [event] = parseCalendar(buildCalendar([meeting({ status: 'cancelled', startTime: null })]));
+    const fields = eventToMeetingFields(event);
+
+    expect(event.allDay).toBe(true);
+    expect(fields).toMatchObject({ status: 'cancelled', startTime: '00:00', endTime: '23:59' });
+    expect(fields.date).toEqual(new Date('2026-10-19T00:00:00.000Z'));
+  });
+
+  test('reads floating and TZID times, organizers and attendees, and skips alarms', () => {
+    const text = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:imported-1',
+      'SUMMARY:Joint commit',
+      ' tee meeting',
+      'DTSTART;TZID=Unknown/Zone:20261020T100000',
+      'DTEND:20261020T110000',
+      'ORGANIZER;CN=Someone:mailto:Someone@Example.edu',
+      'ATTENDEE;CN="Doe, Jane":mailto:jane@example.edu',
+      'BEGIN:VALARM',
+      'SUMMARY:Reminder',
+      'END:VALARM',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const [event] = parseCalendar(text);
+
+    expect(event.summary).toBe('Joint committee meeting');
+    expect(event.start).toEqual(getMeetingStart({ date: new Date('2026-10-20T00:00:00.000Z'), startTime: '10:00' }));
+    expect(event.organizer).toBe('someone@example.edu');
+    expect(event.attendees).toEqual([{ email: 'jane@example.edu', name: 'Doe, Jane' }]);
+  });
+
+  test('rejects text that is not a calendar', () => {
+    expect(() => parseCalendar('hello')).toThrow('Not an iCalendar file');
+  });
+});
+
+describe('Meeting icalSequence', () => {
+  // A meeting as loaded from the database
+  const saved = () => Meeting.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'General meeting',
+    date: new Date('2026-10-19'),
+    startTime: '18:00',
+    endTime: '19:00',
+    chairperson: new mongoose.Types.ObjectId(),
+    createdBy: new mongoose.Types.ObjectId()
+  });
+
+  // Run the pre('save') hooks without a database
+  const runSaveHooks = (doc) => new Promise((resolve, reject) => {
+    Meeting.schema.s.hooks.execPre('save', doc, [], error => (error ? reject(error) : resolve()));
+  });
+
+  test('is bumped when the schedule changes but not for other edits', async () => {
+    const doc = saved();
+
+    doc.objective = 'New objective';
+    await runSaveHooks(doc);
+    expect(doc.icalSequence).toBe(0);
+
+    doc.startTime = '18:30';
+    await runSaveHooks(doc);
+    expect(doc.icalSequence).toBe(1);
+  });
+});
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { findConflicts, checkConflicts } = require('../utils/meetingConflicts');
+const Meeting = require('../models/Meeting');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const chair = id();
+const secretary = id();
+const member = id();
+
+const meeting = (fields = {}) => ({
+  _id: id(),
+  title: 'General meeting',
+  type: 'regular',
+  date: new Date('2026-10-19T00:00:00.000Z'),
+  startTime: '18:00',
+  endTime: '19:00',
+  location: 'Room 2.14',
+  chairperson: chair,
+  attendees: [],
+  status: 'scheduled',
+  ...fields
+});
+
+// Stand in for the candidate query; the filter itself is MongoDB's job
+const withExisting = (...existing) => {
+  jest.spyOn(Meeting, 'find').mockReturnValue({
+    select: () => ({ lean: async () => existing })
+  });
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findConflicts', () => {
+  test('reports shared rooms and people in overlapping meetings', async () => {
+    const other = meeting({
+      title: 'Events committee',
+      startTime: '18:30',
+      endTime: '20:00',
+      location: '  room 2.14 ',
+      chairperson: secretary,
+      attendees: [{ user: chair }]
+    });
+    withExisting(other);
+
+    const [conflict] = await findConflicts(meeting({ minutesTaker: secretary }));
+
+    expect(conflict.meeting._id).toBe(other._id);
+    expect(conflict.reasons).toEqual([
+      { type: 'location', location: '  room 2.14 ' },
+      { type: 'participant', user: secretary.toString(), roles: ['minutesTaker'], conflictingRoles: ['chairperson'] },
+      { type: 'participant', user: chair.toString(), roles: ['chairperson'], conflictingRoles: ['attendee'] }
+    ]);
+  });
+
+  test('back-to-back meetings do not overlap', async () => {
+    withExisting(meeting({ startTime: '19:00', endTime: '20:00' }));
+    expect(await findConflicts(meeting())).toEqual([]);
+  });
+
+  test('overlapping meetings with nothing in common do not conflict', async () => {
+    withExisting(meeting({ location: 'Hall', chairperson: member }));
+    expect(await findConflicts(meeting())).toEqual([]);
+  });
+
+  test('cancelled meetings and meetings without times are never checked', async () => {
+    withExisting(meeting());
+
+    expect(await findConflicts(meeting({ status: 'cancelled' }))).toEqual([]);
+    expect(await findConflicts(meeting({ startTime: undefined }))).toEqual([]);
+    expect(Meeting.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('checkConflicts', () => {
+  const req = (body = {}) => ({ body, user: { _id: chair } });
+
+  test('passes when nothing clashes', async () => {
+    withExisting();
+    const res = mockResponse();
+
+    expect(await checkConflicts(req(), res, meeting())).toBe(true);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('answers 409 with the clashes', async () => {
+    withExisting(meeting());
+    const res = mockResponse();
+
+    expect(await checkConflicts(req(), res, meeting())).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].conflicts).toHaveLength(1);
+  });
+
+  test('only urgent meetings may override, and the override is recorded', async () => {
+    const existing = meeting();
+    withExisting(existing);
+
+    const regular = mockResponse();
+    expect(await checkConflicts(req({ override: true }), regular, meeting())).toBe(false);
+    expect(regular.json.mock.calls[0][0].message).toMatch(/Only urgent/);
+
+    const urgent = meeting({ type: 'random' });
+    expect(await checkConflicts(req({ override: 'true' }), mockResponse(), urgent)).toBe(true);
+    expect(urgent.conflictOverride).toMatchObject({ by: chair, meetings: [existing._id] });
+  });
+});
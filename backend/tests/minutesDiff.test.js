@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { diffLines, diffMinutes } = require('../utils/minutesDiff');
+
+describe('diffLines', () => {
+  test('marks inserted and removed lines between unchanged ones', () => {
+    expect(diffLines('Call to order\nBudget\nAdjourn', 'Call to order\nBudget approved\nEvents\nAdjourn')).toEqual([
+      { type: 'same', line: 'Call to order' },
+      { type: 'removed', line: 'Budget' },
+      { type: 'added', line: 'Budget approved' },
+      { type: 'added', line: 'Events' },
+      { type: 'same', line: 'Adjourn' }
+    ]);
+  });
+
+  test('treats empty text as no lines', () => {
+    expect(diffLines('', 'Quorum present')).toEqual([{ type: 'added', line: 'Quorum present' }]);
+    expect(diffLines('Quorum present', undefined)).toEqual([{ type: 'removed', line: 'Quorum present' }]);
+  });
+
+  test('reports a very large changed block as removed and re-added', () => {
+    const before = Array.from({ length: 1001 }, (_, i) => `old ${i}`);
+    const after = Array.from({ length: 1001 }, (_, i) => `new ${i}`);
+    const lines = diffLines(['Header', ...before, 'Footer'].join('\n'), ['Header', ...after, 'Footer'].join('\n'));
+
+    expect(lines).toHaveLength(2004);
+    expect(lines[0]).toEqual({ type: 'same', line: 'Header' });
+    expect(lines.slice(1, 1002).every(line => line.type === 'removed')).toBe(true);
+    expect(lines.slice(1002, 2003).every(line => line.type === 'added')).toBe(true);
+    expect(lines[2003]).toEqual({ type: 'same', line: 'Footer' });
+  });
+});
+
+describe('diffMinutes', () => {
+  test('returns nothing for identical content', () => {
+    const content = { summary: 'Budget approved', decisions: ['Approve budget'], actionItems: [], nextMeeting: {} };
+    expect(diffMinutes(content, { ...content })).toEqual({});
+  });
+
+  test('reports decisions and next meeting changes', () => {
+    const diff = diffMinutes(
+      { decisions: ['Approve budget'], nextMeeting: { date: new Date('2026-11-02'), location: 'Room 1' } },
+      { decisions: ['Approve budget', 'Hold election'], nextMeeting: { date: new Date('2026-11-09'), location: 'Room 1' } }
+    );
+
+    expect(diff.decisions).toEqual({ added: ['Hold election'], removed: [] });
+    expect(diff.nextMeeting).toEqual([
+      { field: 'date', before: '2026-11-02T00:00:00.000Z', after: '2026-11-09T00:00:00.000Z' }
+    ]);
+    expect(diff.summary).toBeUndefined();
+  });
+
+  test('matches action items by id and lists changed fields', () => {
+    const kept = new mongoose.Types.ObjectId();
+    const dropped = new mongoose.Types.ObjectId();
+    const added = new mongoose.Types.ObjectId();
+
+    const diff = diffMinutes(
+      {
+        actionItems: [
+          { _id: kept, task: 'Book venue', priority: 'medium', status: 'pending' },
+          { _id: dropped, task: 'Order shirts' }
+        ]
+      },
+      {
+        actionItems: [
+          { _id: kept, task: 'Book venue', priority: 'high', status: 'pending' },
+          { _id: added, task: 'Send invitations' }
+        ]
+      }
+    );
+
+    expect(diff.actionItems.added.map(item => item.task)).toEqual(['Send invitations']);
+    expect(diff.actionItems.removed.map(item => item.task)).toEqual(['Order shirts']);
+    expect(diff.actionItems.changed).toEqual([
+      { id: kept.toString(), task: 'Book venue', fields: [{ field: 'priority', before: 'medium', after: 'high' }] }
+    ]);
+  });
+});
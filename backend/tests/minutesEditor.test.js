@@ -0,0 +1,242 @@
+const textOperation = require('../utils/textOperation');
+const { MinutesEditor } = require('../socket/minutesEditor');
+
+// Small seeded generator so failures can be replayed
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const randomEdit = (random, text) => {
+  const position = Math.floor(random() * (text.length + 1));
+  const operation = [position];
+
+  if (text.length > position && random() < 0.4) {
+    const length = 1 + Math.floor(random() * Math.min(5, text.length - position));
+    operation.push(-length, text.length - position - length);
+  } else {
+    const word = ['motion ', 'budget ', 'agreed ', 'x', '\n'][Math.floor(random() * 5)];
+    operation.push(word, text.length - position);
+  }
+
+  return textOperation.normalize(operation);
+};
+
+// Client side of the protocol: one edit in flight, later edits buffered until it is acknowledged
+class SimulatedClient {
+  constructor(name) {
+    this.name = name;
+    this.outbox = [];
+    this.inbox = [];
+    this.outstanding = null;
+    this.buffer = null;
+    this.online = true;
+  }
+
+  load(snapshot) {
+    this.sessionId = snapshot.sessionId;
+    this.version = snapshot.version;
+    this.text = snapshot.text;
+    this.outstanding = null;
+    this.buffer = null;
+  }
+
+  edit(operation) {
+    this.text = textOperation.apply(this.text, operation);
+
+    if (this.outstanding) {
+      this.buffer = this.buffer ? textOperation.compose(this.buffer, operation) : operation;
+    } else {
+      this.send(operation);
+    }
+  }
+
+  send(operation) {
+    this.outstanding = operation;
+    this.outbox.push({ sessionId: this.sessionId, version: this.version, operation, userId: this.name });
+  }
+
+  receive(message) {
+    if (message.type === 'ack') {
+      this.version = message.version;
+      const next = this.buffer;
+      this.outstanding = null;
+      this.buffer = null;
+      if (next) this.send(next);
+      return;
+    }
+
+    let operation = message.operation;
+    if (this.outstanding) {
+      [this.outstanding, operation] = textOperation.transform(this.outstanding, operation);
+    }
+    if (this.buffer) {
+      [this.buffer, operation] = textOperation.transform(this.buffer, operation);
+    }
+    this.version = message.version;
+    this.text = textOperation.apply(this.text, operation);
+  }
+}
+
+// Deliver one client message to the editor and route the results like the socket layer does
+const deliver = (editor, session, clients, sender) => {
+  const applied = editor.submit(session, sender.outbox.shift());
+
+  sender.inbox.push({ type: 'ack', version: applied.version });
+  clients
+    .filter(client => client !== sender && client.online)
+    .forEach(client => client.inbox.push({ type: 'operation', ...applied }));
+};
+
+const createEditor = (initialText = '') => {
+  const saved = [];
+  const editor = new MinutesEditor({
+    load: async () => ({ text: initialText, locked: false }),
+    save: async (meetingId, text, userId, { revision } = {}) => {
+      saved.push({ meetingId, text, userId, revision });
+    },
+    persistDelay: 60000,
+    historyLimit: 50
+  });
+  return { editor, saved };
+};
+
+describe('textOperation', () => {
+  test('transform makes concurrent operations converge', () => {
+    const text = 'Budget approved';
+    const a = [6, ' was', 9];
+    const b = ['Funding', -6, 9];
+    const [aPrime, bPrime] = textOperation.transform(a, b);
+
+    const viaA = textOperation.apply(textOperation.apply(text, a), bPrime);
+    const viaB = textOperation.apply(textOperation.apply(text, b), aPrime);
+
+    expect(viaA).toBe('Funding was approved');
+    expect(viaB).toBe(viaA);
+  });
+
+  test('compose has the same effect as applying both operations', () => {
+    const text = 'Minutes';
+    const first = [7, ' draft'];
+    const second = [-7, 'Notes', 6];
+
+    expect(textOperation.apply(text, textOperation.compose(first, second)))
+      .toBe(textOperation.apply(textOperation.apply(text, first), second));
+  });
+
+  test('apply rejects operations for a different document length', () => {
+    expect(() => textOperation.apply('abc', [5])).toThrow(textOperation.OperationError);
+  });
+});
+
+describe('MinutesEditor', () => {
+  test('concurrent edits from several clients converge', async () => {
+    const random = seededRandom(42);
+    const { editor } = createEditor('Meeting called to order.\n');
+    const session = await editor.open('meeting-1');
+    const clients = ['secretary', 'vice', 'president'].map(name => new SimulatedClient(name));
+    clients.forEach(client => client.load(editor.snapshot(session)));
+
+    for (let step = 0; step < 2000; step += 1) {
+      const client = clients[Math.floor(random() * clients.length)];
+      const action = random();
+
+      if (action < 0.4) {
+        client.edit(randomEdit(random, client.text));
+      } else if (action < 0.7 && client.outbox.length > 0) {
+        deliver(editor, session, clients, client);
+      } else if (client.inbox.length > 0) {
+        client.receive(client.inbox.shift());
+      }
+    }
+
+    // Let the network go quiet
+    while (clients.some(client => client.outbox.length > 0 || client.inbox.length > 0)) {
+      clients.forEach(client => {
+        while (client.outbox.length > 0) deliver(editor, session, clients, client);
+        while (client.inbox.length > 0) client.receive(client.inbox.shift());
+      });
+    }
+
+    clients.forEach(client => {
+      expect(client.text).toBe(session.text);
+      expect(client.version).toBe(session.version);
+    });
+    expect(session.version).toBeGreaterThan(0);
+  });
+
+  test('a reconnecting client catches up from the operation log', async () => {
+    const { editor } = createEditor('Agenda');
+    const session = await editor.open('meeting-2');
+    const online = new SimulatedClient('online');
+    const dropped = new SimulatedClient('dropped');
+    online.load(editor.snapshot(session));
+    dropped.load(editor.snapshot(session));
+
+    dropped.online = false;
+    online.edit([6, ' item one']);
+    deliver(editor, session, [online, dropped], online);
+    online.receive(online.inbox.shift());
+
+    const missed = editor.operationsSince(session, dropped.sessionId, dropped.version);
+    missed.forEach(message => dropped.receive({ type: 'operation', ...message }));
+
+    expect(dropped.text).toBe('Agenda item one');
+    expect(dropped.version).toBe(session.version);
+  });
+
+  test('clients from an older session need a snapshot', async () => {
+    const { editor } = createEditor('Agenda');
+    const session = await editor.open('meeting-3');
+    const stale = editor.snapshot(session);
+
+    editor.reset({
+      _id: 'meeting-3',
+      minutes: { summary: 'Replaced over REST' },
+      isMinutesLocked: () => false
+    });
+    const fresh = await editor.open('meeting-3');
+
+    expect(editor.operationsSince(fresh, stale.sessionId, stale.version)).toBeNull();
+    expect(() => editor.submit(fresh, { ...stale, operation: [6, '!'] })).toThrow('resync');
+  });
+
+  test('edits are saved to the meeting and locked minutes reject edits', async () => {
+    const { editor, saved } = createEditor('');
+    const session = await editor.open('meeting-4');
+
+    editor.submit(session, { sessionId: session.id, version: 0, operation: ['Quorum present'], userId: 'secretary' });
+    await editor.flush('meeting-4');
+
+    expect(saved).toEqual([{ meetingId: 'meeting-4', text: 'Quorum present', userId: 'secretary', revision: true }]);
+
+    session.locked = true;
+    expect(() => editor.submit(session, {
+      sessionId: session.id,
+      version: 1,
+      operation: [14, '.'],
+      userId: 'secretary'
+    })).toThrow('locked');
+  });
+
+  test('autosaves do not record revisions; closing the session records one', async () => {
+    const { editor, saved } = createEditor('');
+    const session = await editor.open('meeting-5');
+    session.clients.add('socket-1');
+
+    editor.submit(session, { sessionId: session.id, version: 0, operation: ['Budget'], userId: 'secretary' });
+    await editor.flush('meeting-5', { revision: false });
+    editor.submit(session, { sessionId: session.id, version: 1, operation: [6, ' approved'], userId: 'secretary' });
+    await editor.flush('meeting-5', { revision: false });
+
+    expect(saved.map(save => save.revision)).toEqual([false, false]);
+
+    await editor.leave('meeting-5', 'socket-1');
+
+    expect(saved).toHaveLength(3);
+    expect(saved[2]).toEqual({ meetingId: 'meeting-5', text: 'Budget approved', userId: 'secretary', revision: true });
+    expect(editor.sessions.has('meeting-5')).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Motion = require('../models/Motion');
+
+const buildMotion = (fields = {}) => new Motion({
+  meeting: new mongoose.Types.ObjectId(),
+  title: 'Approve the event budget',
+  proposer: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+describe('Motion.isCarried', () => {
+  const carried = (threshold, yes, no, abstain = 0) => {
+    return buildMotion({ threshold, tally: { yes, no, abstain } }).isCarried();
+  };
+
+  test('simple majority needs more yes than no votes', () => {
+    expect(carried('simple', 5, 4)).toBe(true);
+    expect(carried('simple', 4, 4)).toBe(false);
+    expect(carried('simple', 1, 0, 10)).toBe(true);
+  });
+
+  test('two-thirds counts only yes and no votes', () => {
+    expect(carried('two-thirds', 6, 3)).toBe(true);
+    expect(carried('two-thirds', 5, 3)).toBe(false);
+    expect(carried('two-thirds', 2, 1, 5)).toBe(true);
+  });
+
+  test('unanimous fails on a single no vote', () => {
+    expect(carried('unanimous', 7, 0, 2)).toBe(true);
+    expect(carried('unanimous', 7, 1)).toBe(false);
+  });
+
+  test('a motion without yes votes is never carried', () => {
+    expect(carried('simple', 0, 0, 3)).toBe(false);
+    expect(carried('unanimous', 0, 0)).toBe(false);
+  });
+});
+
+describe('Motion toJSON', () => {
+  const voter = new mongoose.Types.ObjectId();
+
+  test('secret ballots hide voters, and the tally while voting is open', () => {
+    const voting = buildMotion({ mode: 'secret', status: 'voting', voters: [voter], tally: { yes: 1 } }).toJSON();
+
+    expect(voting.votesCast).toBe(1);
+    expect(voting.voters).toBeUndefined();
+    expect(voting.votes).toBeUndefined();
+    expect(voting.tally).toBeUndefined();
+
+    const closed = buildMotion({ mode: 'secret', status: 'passed', voters: [voter], tally: { yes: 1 } }).toJSON();
+
+    expect(closed.voters).toBeUndefined();
+    expect(closed.tally).toEqual({ yes: 1, no: 0, abstain: 0 });
+  });
+
+  test('open votes keep who voted how', () => {
+    const motion = buildMotion({
+      mode: 'open',
+      status: 'voting',
+      voters: [voter],
+      votes: [{ user: voter, choice: 'yes' }],
+      tally: { yes: 1 }
+    }).toJSON();
+
+    expect(motion.votes).toHaveLength(1);
+    expect(motion.votes[0].choice).toBe('yes');
+    expect(motion.tally.yes).toBe(1);
+  });
+});
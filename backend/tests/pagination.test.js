@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const {
+  parseSort,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+} = require('../utils/pagination');
+
+const rawCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64');
+
+describe('parseSort and parseLimit', () => {
+  test('only whitelisted fields are sortable', () => {
+    expect(parseSort('-date', ['date', 'title'], 'date')).toEqual({ field: 'date', direction: -1 });
+    expect(parseSort('password', ['date', 'title'], '-date')).toEqual({ field: 'date', direction: -1 });
+  });
+
+  test('limits fall back to the default and are capped', () => {
+    expect(parseLimit(undefined)).toBe(DEFAULT_LIMIT);
+    expect(parseLimit('0')).toBe(DEFAULT_LIMIT);
+    expect(parseLimit('5000')).toBe(MAX_LIMIT);
+  });
+});
+
+describe('cursors', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  test('round-trip dates, strings and numbers', () => {
+    const date = new Date('2026-10-19T18:00:00.000Z');
+
+    expect(decodeCursor(encodeCursor({ _id: id, date }, 'date'))).toEqual({ value: date, id });
+    expect(decodeCursor(encodeCursor({ _id: id, title: 'Budget' }, 'title'))).toEqual({ value: 'Budget', id });
+    expect(decodeCursor(encodeCursor({ _id: id, rank: 2 }, 'rank'))).toEqual({ value: 2, id });
+  });
+
+  test('a missing sort value is encoded as null', () => {
+    expect(decodeCursor(encodeCursor({ _id: id }, 'deadline'))).toEqual({ value: null, id });
+  });
+
+  test('reject query operators and malformed input', () => {
+    expect(decodeCursor(rawCursor({ v: { $gt: '' }, id: id.toString() }))).toBeNull();
+    expect(decodeCursor(rawCursor({ v: { $date: 'not a date' }, id: id.toString() }))).toBeNull();
+    expect(decodeCursor(rawCursor({ v: ['a'], id: id.toString() }))).toBeNull();
+    expect(decodeCursor(rawCursor({ v: 'a', id: { $ne: null } }))).toBeNull();
+    expect(decodeCursor(rawCursor({ id: id.toString() }))).toBeNull();
+    expect(decodeCursor('not base64 json')).toBeNull();
+    expect(decodeCursor(['array', 'cursor'])).toBeNull();
+  });
+});
+
+describe('cursorFilter', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  test('continues past the last value, breaking ties on _id', () => {
+    expect(cursorFilter('date', 1, { value: 5, id })).toEqual({
+      $or: [{ date: { $gt: 5 } }, { date: 5, _id: { $gt: id } }]
+    });
+  });
+
+  test('descending order ends with the documents missing the field', () => {
+    expect(cursorFilter('date', -1, { value: 5, id })).toEqual({
+      $or: [{ date: { $lt: 5 } }, { date: 5, _id: { $lt: id } }, { date: null }]
+    });
+  });
+
+  test('a null cursor value continues into the set values when ascending', () => {
+    expect(cursorFilter('date', 1, { value: null, id })).toEqual({
+      $or: [{ date: { $ne: null } }, { date: null, _id: { $gt: id } }]
+    });
+    expect(cursorFilter('date', -1, { value: null, id })).toEqual({ date: null, _id: { $lt: id } });
+  });
+});
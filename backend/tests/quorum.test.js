@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { evaluateQuorum, refreshQuorum } = require('../utils/quorum');
+const Meeting = require('../models/Meeting');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const RULE = { mode: 'fraction', fraction: 0.5, count: 0, countLate: true, requiredRoles: [] };
+
+const rolesOf = (entries) => new Map(entries.map(([user, role]) => [user.toString(), role]));
+
+describe('evaluateQuorum', () => {
+  const chair = id();
+  const member = id();
+  const late = id();
+  const guest = id();
+
+  const meeting = {
+    chairperson: chair,
+    attendees: [
+      { user: chair, status: 'present' },
+      { user: member, status: 'absent' },
+      { user: late, status: 'late' },
+      { user: guest, status: 'present' }
+    ]
+  };
+  const roles = rolesOf([[chair, 'President'], [member, 'Member'], [late, 'Member'], [guest, 'Guest']]);
+
+  test('guests do not count towards the voting members', () => {
+    expect(evaluateQuorum(meeting, RULE, roles)).toEqual({
+      met: true,
+      present: 2,
+      required: 2,
+      votingMembers: 3,
+      missingRoles: []
+    });
+  });
+
+  test('late arrivals only count when the rule says so', () => {
+    const result = evaluateQuorum(meeting, { ...RULE, countLate: false }, roles);
+    expect(result.present).toBe(1);
+    expect(result.met).toBe(false);
+  });
+
+  test('a fixed count rule ignores the size of the meeting', () => {
+    expect(evaluateQuorum(meeting, { ...RULE, mode: 'count', count: 3 }, roles).met).toBe(false);
+  });
+
+  test('required roles must be among those present', () => {
+    const result = evaluateQuorum(meeting, { ...RULE, requiredRoles: ['chairperson', 'Secretary'] }, roles);
+    expect(result.missingRoles).toEqual(['Secretary']);
+    expect(result.met).toBe(false);
+  });
+
+  test('the chair counts even when not on the attendee list', () => {
+    const outsideChair = id();
+    const listed = { ...meeting, chairperson: outsideChair };
+    const withChair = new Map([...roles, [outsideChair.toString(), 'President']]);
+
+    const absent = evaluateQuorum(listed, { ...RULE, requiredRoles: ['chairperson'] }, withChair);
+    expect(absent.votingMembers).toBe(4);
+    expect(absent.missingRoles).toEqual(['chairperson']);
+
+    const present = evaluateQuorum({
+      ...listed,
+      attendees: [...listed.attendees, { user: outsideChair, status: 'present' }]
+    }, { ...RULE, requiredRoles: ['chairperson'] }, withChair);
+    expect(present.votingMembers).toBe(4);
+    expect(present.met).toBe(true);
+  });
+
+  test('a meeting without voting members never has quorum', () => {
+    expect(evaluateQuorum({ attendees: [] }, RULE, new Map()).met).toBe(false);
+  });
+});
+
+describe('refreshQuorum', () => {
+  const chair = id();
+
+  beforeEach(() => {
+    jest.spyOn(Settings, 'getSettings').mockResolvedValue({ quorumRuleFor: () => RULE });
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: chair, role: 'President' }] })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const buildMeeting = (minutesStatus) => new Meeting({
+    title: 'General meeting',
+    date: new Date('2026-10-19'),
+    startTime: '18:00',
+    endTime: '19:00',
+    chairperson: chair,
+    createdBy: chair,
+    attendees: [{ user: chair, status: 'present' }],
+    minutes: { status: minutesStatus }
+  });
+
+  test('stores the quorum on draft minutes', async () => {
+    const meeting = buildMeeting('draft');
+    const quorum = await refreshQuorum(meeting);
+
+    expect(quorum.met).toBe(true);
+    expect(meeting.minutes.quorum.met).toBe(true);
+    expect(meeting.minutes.quorum.rule.fraction).toBe(0.5);
+  });
+
+  test('leaves the quorum of approved minutes as it was', async () => {
+    const meeting = buildMeeting('approved');
+    const quorum = await refreshQuorum(meeting);
+
+    expect(quorum.met).toBe(true);
+    expect(meeting.minutes.quorum.met).toBeUndefined();
+  });
+});
@@ -0,0 +1,113 @@
+const {
+  RecurrenceError,
+  parseRRule,
+  formatRRule,
+  expandRRule,
+  isOccurrence,
+  toDateKey
+} = require('../utils/recurrence');
+const MeetingSeries = require('../models/MeetingSeries');
+// buildMeeting looks the Meeting model up by name
+require('../models/Meeting');
+
+const keys = (dates) => dates.map(toDateKey);
+
+describe('parseRRule', () => {
+  test('round-trips through formatRRule', () => {
+    const rrule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6';
+    expect(formatRRule(parseRRule(rrule))).toBe(rrule);
+    expect(formatRRule(parseRRule('RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20270101')))
+      .toBe('FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20270101');
+  });
+
+  test.each([
+    ['FREQ=DAILY;COUNT=3', 'FREQ must be WEEKLY or MONTHLY'],
+    ['FREQ=WEEKLY;BYDAY=MO', 'needs an end'],
+    ['FREQ=WEEKLY;COUNT=2;UNTIL=20270101', 'cannot both be set'],
+    ['FREQ=WEEKLY;BYDAY=2MO;COUNT=2', 'ordinal BYDAY'],
+    ['FREQ=MONTHLY;BYDAY=TU;COUNT=2', 'needs an ordinal'],
+    ['FREQ=WEEKLY;BYSETPOS=1;COUNT=2', 'Unsupported rule part']
+  ])('rejects %s', (rrule, message) => {
+    expect(() => parseRRule(rrule)).toThrow(RecurrenceError);
+    expect(() => parseRRule(rrule)).toThrow(message);
+  });
+});
+
+describe('expandRRule', () => {
+  test('weekly rules on several days honour the interval and COUNT', () => {
+    // 2026-10-19 is a Monday
+    const dates = expandRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=4', new Date('2026-10-19'));
+    expect(keys(dates)).toEqual(['2026-10-19', '2026-10-22', '2026-11-02', '2026-11-05']);
+  });
+
+  test('skips candidates before dtstart', () => {
+    // Starts on a Wednesday: that week's Monday is not an occurrence
+    const dates = expandRRule('FREQ=WEEKLY;BYDAY=MO,FR;COUNT=3', new Date('2026-10-21'));
+    expect(keys(dates)).toEqual(['2026-10-23', '2026-10-26', '2026-10-30']);
+  });
+
+  test('monthly rules on the nth and last weekday', () => {
+    expect(keys(expandRRule('FREQ=MONTHLY;BYDAY=2TU;COUNT=3', new Date('2026-10-01'))))
+      .toEqual(['2026-10-13', '2026-11-10', '2026-12-08']);
+    expect(keys(expandRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=2', new Date('2026-10-01'))))
+      .toEqual(['2026-10-30', '2026-11-27']);
+  });
+
+  test('monthly rules skip months without the day', () => {
+    const dates = expandRRule('FREQ=MONTHLY;BYMONTHDAY=31;COUNT=3', new Date('2026-10-01'));
+    expect(keys(dates)).toEqual(['2026-10-31', '2026-12-31', '2027-01-31']);
+  });
+
+  test('stops at UNTIL and limits to a window', () => {
+    const rrule = 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20261116';
+    const start = new Date('2026-10-19');
+
+    expect(keys(expandRRule(rrule, start))).toEqual(['2026-10-19', '2026-10-26', '2026-11-02', '2026-11-09', '2026-11-16']);
+    expect(keys(expandRRule(rrule, start, { from: new Date('2026-10-27'), to: new Date('2026-11-10') })))
+      .toEqual(['2026-11-02', '2026-11-09']);
+  });
+
+  test('COUNT counts occurrences before the window too', () => {
+    const dates = expandRRule('FREQ=WEEKLY;BYDAY=MO;COUNT=3', new Date('2026-10-19'), { from: new Date('2026-10-27') });
+    expect(keys(dates)).toEqual(['2026-11-02']);
+  });
+
+  test('isOccurrence', () => {
+    const rrule = 'FREQ=WEEKLY;BYDAY=MO;COUNT=3';
+    expect(isOccurrence(rrule, new Date('2026-10-19'), new Date('2026-10-26T15:00:00Z'))).toBe(true);
+    expect(isOccurrence(rrule, new Date('2026-10-19'), new Date('2026-10-27'))).toBe(false);
+    expect(isOccurrence(rrule, new Date('2026-10-19'), new Date('2026-11-09'))).toBe(false);
+  });
+});
+
+describe('MeetingSeries exceptions', () => {
+  const buildSeries = () => new MeetingSeries({
+    title: 'Weekly council',
+    rrule: 'FREQ=WEEKLY;BYDAY=MO;COUNT=4',
+    dtstart: new Date('2026-10-19'),
+    startTime: '10:00',
+    endTime: '11:00',
+    attendees: []
+  });
+
+  test('setException updates the exception of the same day instead of adding one', () => {
+    const series = buildSeries();
+    series.setException(new Date('2026-10-26T09:00:00Z'), 'modified');
+    series.setException(new Date('2026-10-26'), 'cancelled');
+
+    expect(series.exceptions).toHaveLength(1);
+    expect(series.findException(new Date('2026-10-26')).status).toBe('cancelled');
+    expect(series.findException(new Date('2026-11-02'))).toBeUndefined();
+  });
+
+  test('buildMeeting copies the template onto the occurrence day', () => {
+    const series = buildSeries();
+    const meeting = series.buildMeeting(new Date('2026-11-02T18:00:00Z'));
+
+    expect(toDateKey(meeting.date)).toBe('2026-11-02');
+    expect(meeting.startTime).toBe('10:00');
+    expect(meeting.series.toString()).toBe(series._id.toString());
+    expect(series.hasOccurrence(new Date('2026-11-09'))).toBe(true);
+    expect(series.hasOccurrence(new Date('2026-11-16'))).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { queryTerms, highlight, searchFilter } = require('../utils/search');
+
+describe('queryTerms', () => {
+  test('drops stop words and trims words to a stem', () => {
+    expect(queryTerms('What was decided on the budget?')).toEqual(['decid', 'budget']);
+  });
+
+  test('keeps short words whole and removes duplicates', () => {
+    expect(queryTerms('IT its IT')).toEqual(['its']);
+    expect(queryTerms('bus buses')).toEqual(['bus']);
+  });
+
+  test('returns nothing for punctuation only', () => {
+    expect(queryTerms('?! --')).toEqual([]);
+  });
+});
+
+describe('highlight', () => {
+  test('marks every word starting with a term', () => {
+    expect(highlight('Budget decided; decisions follow', ['decid', 'budget'])).toEqual({
+      snippet: '<mark>Budget</mark> <mark>decided</mark>; decisions follow',
+      matches: 2
+    });
+  });
+
+  test('does not match inside words', () => {
+    expect(highlight('Unbudgeted spending', ['budget'])).toBeNull();
+  });
+
+  test('escapes the text around and inside matches', () => {
+    expect(highlight('<b>Budget</b> & fees', ['budget']).snippet)
+      .toBe('&lt;b&gt;<mark>Budget</mark>&lt;/b&gt; &amp; fees');
+  });
+
+  test('cuts long text around the first match on word boundaries', () => {
+    const text = `${'opening words '.repeat(20)}the budget was approved ${'closing words '.repeat(20)}`;
+    const { snippet } = highlight(text, ['budget']);
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('<mark>budget</mark>');
+    expect(snippet.length).toBeLessThan(text.length);
+    snippet.replace(/<\/?mark>|…/g, '').trim().split(' ').forEach(word => {
+      expect(['opening', 'words', 'the', 'budget', 'was', 'approved', 'closing']).toContain(word);
+    });
+  });
+
+  test('returns null without text or terms', () => {
+    expect(highlight('', ['budget'])).toBeNull();
+    expect(highlight('Budget', [])).toBeNull();
+  });
+});
+
+describe('searchFilter', () => {
+  test('limits guests to their meetings and excludes archived ones by default', () => {
+    const guest = { _id: new mongoose.Types.ObjectId(), role: 'Guest' };
+
+    expect(searchFilter(guest, { tags: ['finance'] })).toEqual({
+      isArchived: false,
+      tags: { $all: ['finance'] },
+      'attendees.user': guest._id
+    });
+    expect(searchFilter({ role: 'Member' }, { archived: 'include' })).toEqual({});
+  });
+});
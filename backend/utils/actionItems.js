@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { parseSort, parseLimit, encodeCursor, decodeCursor, cursorFilter } = require('./pagination');
+
+/**
+ * Queries over action items across meetings.
+ *
+ * Items stay embedded in meeting.minutes.actionItems; these helpers unwind
+ * them into flat documents that carry a summary of their meeting, so callers
+ * never have to load whole meetings to answer "what is still open?".
+ */
+
+const ACTION_ITEM_STATUSES = ['pending', 'in-progress', 'completed', 'overdue'];
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Sortable fields and the computed keys they sort on
+const SORT_KEYS = {
+  deadline: 'dueAt',
+  meetingDate: 'meetingDate',
+  priority: 'priorityRank'
+};
+
+// Items without a deadline sort after every dated one
+const NO_DEADLINE = new Date('9999-12-31T00:00:00.000Z');
+
+const ASSIGNEE_FIELDS = 'name email role avatar avatarColor';
+
+/**
+ * Item filter for overdue items: marked overdue, or still open past their deadline
+ * @param {Date} now - Defaults to the current time
+ * @returns {Object}
+ */
+function overdueFilter(now = new Date()) {
+  return {
+    $or: [
+      { status: 'overdue' },
+      { status: { $in: ['pending', 'in-progress'] }, deadline: { $lt: now } }
+    ]
+  };
+}
+
+const isOverdue = (item, now) => {
+  if (item.status === 'overdue') return true;
+  return item.status !== 'completed' && Boolean(item.deadline) && new Date(item.deadline) < now;
+};
+
+// Unwind the matching meetings into one document per action item
+const itemPipeline = (meetingFilter) => [
+  { $match: { ...meetingFilter, 'minutes.actionItems.0': { $exists: true } } },
+  { $unwind: '$minutes.actionItems' },
+  {
+    $replaceWith: {
+      $mergeObjects: [
+        '$minutes.actionItems',
+        {
+          meeting: {
+            _id: '$_id',
+            title: '$title',
+            date: '$date',
+            startTime: '$startTime',
+            type: '$type',
+            status: '$status',
+            chairperson: '$chairperson'
+          },
+          meetingDate: '$date',
+          dueAt: { $ifNull: ['$minutes.actionItems.deadline', NO_DEADLINE] },
+          priorityRank: { $indexOfArray: [PRIORITIES, '$minutes.actionItems.priority'] }
+        }
+      ]
+    }
+  }
+];
+
+// Drop the sort keys and link the item back to its meeting
+const shapeItem = (item, now) => {
+  const { dueAt, meetingDate, priorityRank, ...rest } = item;
+
+  return {
+    ...rest,
+    overdue: isOverdue(item, now),
+    meeting: {
+      ...item.meeting,
+      href: `/api/meetings/${item.meeting._id}`,
+      minutesHref: `/api/meetings/${item.meeting._id}/minutes`
+    }
+  };
+};
+
+const populateItems = (items) => {
+  return User.populate(items, [
+    { path: 'assignee', select: ASSIGNEE_FIELDS, model: 'User' },
+    { path: 'meeting.chairperson', select: 'name role', model: 'User' }
+  ]);
+};
+
+/**
+ * Paginated action items across meetings
+ * @param {Object} meetingFilter - Filter on the meetings holding the items
+ * @param {Object} itemFilter - Filter on the unwound items (task, assignee, status, ...)
+ * @param {Object} options - { cursor, limit, sort } as for utils/pagination
+ * @returns {Promise<{ items: Array, nextCursor: String|null }>}
+ */
+async function findActionItems(meetingFilter, itemFilter, options = {}) {
+  const { field, direction } = parseSort(options.sort, Object.keys(SORT_KEYS), 'deadline');
+  const key = SORT_KEYS[field];
+  const limit = parseLimit(options.limit);
+  const match = { ...itemFilter };
+
+  if (options.cursor) {
+    const cursor = decodeCursor(options.cursor);
+    if (!cursor) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
+    }
+
+    match.$and = [...(match.$and || []), cursorFilter(key, direction, cursor)];
+  }
+
+  const docs = await Meeting.aggregate([
+    ...itemPipeline(meetingFilter),
+    { $match: match },
+    { $sort: { [key]: direction, _id: direction } },
+    { $limit: limit + 1 }
+  ]);
+
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore ? encodeCursor(page[page.length - 1], key) : null;
+
+  const now = new Date();
+  const items = await populateItems(page.map(item => shapeItem(item, now)));
+
+  return { items, nextCursor };
+}
+
+/**
+ * All matching action items, soonest deadline first; for background jobs
+ * @param {Object} meetingFilter - Filter on the meetings holding the items
+ * @param {Object} itemFilter - Filter on the unwound items
+ * @returns {Promise<Array>}
+ */
+async function listActionItems(meetingFilter, itemFilter) {
+  const docs = await Meeting.aggregate([
+    ...itemPipeline(meetingFilter),
+    { $match: itemFilter },
+    { $sort: { dueAt: 1, _id: 1 } }
+  ]);
+
+  const now = new Date();
+  return populateItems(docs.map(item => shapeItem(item, now)));
+}
+
+/**
+ * One action item with its meeting summary
+ * @param {String} itemId - Action item id
+ * @returns {Promise<Object|null>}
+ */
+async function findActionItem(itemId) {
+  const id = new mongoose.Types.ObjectId(itemId.toString());
+  const [item] = await Meeting.aggregate([
+    ...itemPipeline({ 'minutes.actionItems._id': id }),
+    { $match: { _id: id } }
+  ]);
+  if (!item) return null;
+
+  const [shaped] = await populateItems([shapeItem(item, new Date())]);
+  return shaped;
+}
+
+module.exports = {
+  ACTION_ITEM_STATUSES,
+  PRIORITIES,
+  ASSIGNEE_FIELDS,
+  overdueFilter,
+  findActionItems,
+  listActionItems,
+  findActionItem
+};
@@ -0,0 +1,166 @@
+const Meeting = require('../models/Meeting');
+const { getMeetingStart, getMeetingEnd } = require('./meetingTime');
+
+/**
+ * Compare the agenda's total duration with the meeting's time slot
+ * @param {Object} meeting - Meeting with date, startTime, endTime and agenda
+ * @returns {{ scheduled: Number, available: Number|null, fits: Boolean }} - Minutes
+ */
+function agendaTiming(meeting) {
+  const scheduled = (meeting.agenda || []).reduce((total, item) => total + (item.duration || 0), 0);
+  const start = getMeetingStart(meeting);
+  const end = getMeetingEnd(meeting);
+
+  // Without a usable time slot there is nothing to check against
+  if (!start || !end) return { scheduled, available: null, fits: true };
+
+  const available = Math.round((end - start) / 60000);
+  return { scheduled, available, fits: scheduled <= available };
+}
+
+// Validation error in the shape of express-validator's errors.array()
+const agendaTimingError = ({ scheduled, available }) => ({
+  param: 'agenda',
+  msg: `Agenda items take ${scheduled} minutes but the meeting is only ${available} minutes long`
+});
+
+// Copy of a deferred item for the meeting it is carried over to
+const carriedCopy = (item, source) => ({
+  title: item.title,
+  presenter: item.presenter,
+  duration: item.duration,
+  description: item.description,
+  status: 'pending',
+  carriedFrom: {
+    meeting: source._id,
+    item: item._id
+  }
+});
+
+/**
+ * Scheduled meetings of the same type after a meeting, soonest first
+ * @param {Meeting} meeting - Meeting the item was deferred in
+ * @returns {Promise<Meeting[]>}
+ */
+async function findUpcomingMeetings(meeting) {
+  const start = getMeetingStart(meeting) || meeting.date;
+  const candidates = await Meeting.find({
+    _id: { $ne: meeting._id },
+    type: meeting.type,
+    status: 'scheduled',
+    isArchived: { $ne: true },
+    date: { $gte: meeting.date }
+  }).sort('date').limit(20);
+
+  return candidates
+    .filter(candidate => (getMeetingStart(candidate) || candidate.date) > start)
+    .sort((a, b) => (getMeetingStart(a) || a.date) - (getMeetingStart(b) || b.date));
+}
+
+/**
+ * Next scheduled meeting of the same type after a meeting
+ * @param {Meeting} meeting - Meeting the item was deferred in
+ * @returns {Promise<Meeting|null>}
+ */
+async function findNextMeeting(meeting) {
+  const [next] = await findUpcomingMeetings(meeting);
+  return next || null;
+}
+
+/**
+ * Copy a deferred item onto the next meeting of the same type whose time slot has room for it.
+ * When there is no such meeting yet the item waits until one is created (pullDeferredItems).
+ * The caller saves the source meeting.
+ * @param {Meeting} meeting - Source meeting
+ * @param {Object} item - Deferred agenda item of the source meeting
+ * @returns {Promise<Meeting|null>} - Meeting the item was carried to
+ */
+async function carryOverItem(meeting, item) {
+  if (item.carriedTo) return null;
+
+  const upcoming = await findUpcomingMeetings(meeting);
+  const target = upcoming.find(candidate => {
+    const { scheduled, available } = agendaTiming(candidate);
+    return available === null || scheduled + (item.duration || 0) <= available;
+  });
+  if (!target) return null;
+
+  target.agenda.push({ ...carriedCopy(item, meeting), order: target.agenda.length });
+  await target.save();
+
+  item.carriedTo = target._id;
+  return target;
+}
+
+/**
+ * Take a carried-over copy back when its item is no longer deferred.
+ * Copies that have already been discussed are left alone.
+ * @param {Object} item - Agenda item of the source meeting
+ * @returns {Promise<Boolean>} - Whether a copy was removed
+ */
+async function withdrawCarryOver(item) {
+  if (!item.carriedTo) return false;
+
+  const result = await Meeting.updateOne(
+    { _id: item.carriedTo },
+    { $pull: { agenda: { 'carriedFrom.item': item._id, status: 'pending' } } }
+  );
+
+  item.carriedTo = undefined;
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Add items deferred in earlier meetings of the same type that had nowhere to go
+ * when they were deferred. Call linkCarriedItems after saving the meeting.
+ * @param {Meeting} meeting - New, unsaved meeting
+ * @returns {Promise<Number>} - Items added
+ */
+async function pullDeferredItems(meeting) {
+  const sources = await Meeting.find({
+    _id: { $ne: meeting._id },
+    type: meeting.type,
+    date: { $lte: meeting.date },
+    agenda: { $elemMatch: { status: 'deferred', carriedTo: { $exists: false } } }
+  }).sort('date');
+
+  const start = getMeetingStart(meeting) || meeting.date;
+  let added = 0;
+
+  sources
+    .filter(source => (getMeetingStart(source) || source.date) < start)
+    .forEach(source => {
+      source.orderedAgenda()
+        .filter(item => item.status === 'deferred' && !item.carriedTo)
+        .forEach(item => {
+          meeting.agenda.push({ ...carriedCopy(item, source), order: meeting.agenda.length });
+          added += 1;
+        });
+    });
+
+  return added;
+}
+
+/**
+ * Point deferred source items at the saved meeting they were pulled into
+ * @param {Meeting} meeting - Saved meeting
+ */
+async function linkCarriedItems(meeting) {
+  const carried = meeting.agenda.filter(item => item.carriedFrom && item.carriedFrom.item);
+
+  await Promise.all(carried.map(item => Meeting.updateOne(
+    { _id: item.carriedFrom.meeting },
+    { $set: { 'agenda.$[source].carriedTo': meeting._id } },
+    { arrayFilters: [{ 'source._id': item.carriedFrom.item, 'source.carriedTo': { $exists: false } }] }
+  )));
+}
+
+module.exports = {
+  agendaTiming,
+  agendaTimingError,
+  findNextMeeting,
+  carryOverItem,
+  withdrawCarryOver,
+  pullDeferredItems,
+  linkCarriedItems
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { parseTime, formatTime, zonedTime, getMeetingStart, getMeetingEnd } = require('./meetingTime');
+
+const ATTENDANCE_STATUSES = ['pending', 'present', 'absent', 'late', 'excused'];
+const PRESENT_STATUSES = ['present', 'late'];
+// "excused" is only set by approving an AbsenceExcuse
+const RECORDABLE_STATUSES = ['pending', 'present', 'absent', 'late'];
+
+class AttendanceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AttendanceError';
+    this.status = status;
+  }
+}
+
+/**
+ * Present or late, comparing an arrival with the meeting start plus the grace period
+ * @param {Object} meeting - Meeting with date and startTime
+ * @param {Date} arrival - Arrival instant
+ * @param {Object} policy - Settings.attendance
+ * @returns {String}
+ */
+function arrivalStatus(meeting, arrival, policy) {
+  const start = getMeetingStart(meeting);
+  if (!start) return 'present';
+
+  const lateAfter = start.getTime() + (policy.lateGraceMinutes || 0) * 60000;
+  return arrival.getTime() > lateAfter ? 'late' : 'present';
+}
+
+/**
+ * Fill in the status of attendance updates from their arrival times.
+ * An arrival time marks someone present or late whatever status was sent,
+ * unless they were explicitly marked absent.
+ * @param {Object} meeting - Meeting the updates are for
+ * @param {Array<Object>} updates - [{ user, status, arrivalTime, notes }]
+ * @param {Object} policy - Settings.attendance
+ * @returns {Array<Object>} - Updates with status and a normalised HH:MM arrivalTime
+ * @throws {AttendanceError} - For unknown statuses or unreadable times
+ */
+function resolveAttendance(meeting, updates, policy) {
+  return updates.map(update => {
+    if (update.status === 'excused') {
+      throw new AttendanceError('Absences are excused by approving the member\'s absence excuse');
+    }
+    if (update.status !== undefined && !RECORDABLE_STATUSES.includes(update.status)) {
+      throw new AttendanceError(`Status must be one of: ${RECORDABLE_STATUSES.join(', ')}`);
+    }
+    if (!update.arrivalTime || update.status === 'absent') {
+      return update;
+    }
+
+    const time = parseTime(update.arrivalTime);
+    if (!time) {
+      throw new AttendanceError(`Invalid arrival time "${update.arrivalTime}"`);
+    }
+
+    return {
+      ...update,
+      arrivalTime: formatTime(time),
+      status: arrivalStatus(meeting, zonedTime(meeting.date, time), policy)
+    };
+  });
+}
+
+/**
+ * Check that every user in the updates may be on the attendance list: the
+ * account exists, and nobody is added as a guest, who would count toward quorum.
+ * Guests already invited to the meeting can still be marked.
+ * @param {Meeting} meeting - Meeting being updated
+ * @param {Array<Object>} updates - Attendance updates with user ids
+ * @throws {AttendanceError} - status 400 for malformed ids, 404 for unknown users
+ */
+async function checkAttendees(meeting, updates) {
+  const ids = [...new Set(updates
+    .filter(update => update.user)
+    .map(update => (update.user._id || update.user).toString()))];
+
+  const malformed = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (malformed.length > 0) {
+    throw new AttendanceError(`Invalid user id: ${malformed.join(', ')}`);
+  }
+
+  const listed = new Set(meeting.attendees.map(attendee => (attendee.user._id || attendee.user).toString()));
+  const users = await User.find({ _id: { $in: ids } }).select('role').lean();
+  const roles = new Map(users.map(user => [user._id.toString(), user.role]));
+
+  const unknown = ids.filter(id => !roles.has(id) || (roles.get(id) === 'Guest' && !listed.has(id)));
+  if (unknown.length > 0) {
+    throw new AttendanceError(`No council member found for: ${unknown.join(', ')}`, 404);
+  }
+}
+
+/**
+ * Bring an attendee's status in line with a reviewed absence excuse.
+ * An approved excuse marks them excused; withdrawing or rejecting it puts them
+ * back to absent once the meeting is over, or pending before that. Members who
+ * turned up after all keep their present or late status.
+ * @param {Meeting} meeting - Meeting document; the caller saves it
+ * @param {AbsenceExcuse} excuse - Excuse with its current status
+ * @param {Date} now - Defaults to the current time
+ * @returns {Boolean} - Whether the attendee's status changed
+ */
+function applyExcuse(meeting, excuse, now = new Date()) {
+  const attendee = meeting.attendees.find(item => item.user.toString() === excuse.user.toString());
+  if (!attendee || PRESENT_STATUSES.includes(attendee.status)) return false;
+
+  let status = attendee.status;
+  if (excuse.status === 'approved') {
+    status = 'excused';
+  } else if (attendee.status === 'excused') {
+    const end = getMeetingEnd(meeting);
+    const over = meeting.status === 'completed' || (end && end < now);
+    status = over ? 'absent' : 'pending';
+  }
+
+  if (status === attendee.status) return false;
+  attendee.status = status;
+  return true;
+}
+
+/**
+ * Attendance record of a member over past meetings.
+ * Excused absences are counted but left out of the attendance rate.
+ * @param {String} userId - Member
+ * @param {Object} range - { from, to } dates; to defaults to now
+ * @returns {Promise<Object>} - { meetings, present, late, absent, excused, unmarked, rate }
+ */
+async function attendanceStats(userId, { from, to } = {}) {
+  const user = new mongoose.Types.ObjectId(userId.toString());
+  const date = { $lte: to || new Date() };
+  if (from) date.$gte = from;
+
+  const counts = await Meeting.aggregate([
+    { $match: { 'attendees.user': user, status: { $ne: 'cancelled' }, date } },
+    { $unwind: '$attendees' },
+    { $match: { 'attendees.user': user } },
+    { $group: { _id: '$attendees.status', count: { $sum: 1 } } }
+  ]);
+
+  const byStatus = counts.reduce((totals, { _id, count }) => {
+    totals[_id] = count;
+    return totals;
+  }, {});
+
+  const stats = {
+    meetings: counts.reduce((total, { count }) => total + count, 0),
+    present: byStatus.present || 0,
+    late: byStatus.late || 0,
+    absent: byStatus.absent || 0,
+    excused: byStatus.excused || 0,
+    // Never marked either way
+    unmarked: byStatus.pending || 0
+  };
+
+  const counted = stats.present + stats.late + stats.absent;
+  stats.rate = counted > 0 ? (stats.present + stats.late) / counted : null;
+
+  return stats;
+}
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  PRESENT_STATUSES,
+  RECORDABLE_STATUSES,
+  AttendanceError,
+  arrivalStatus,
+  resolveAttendance,
+  checkAttendees,
+  applyExcuse,
+  attendanceStats
+};
@@ -0,0 +1,171 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { notifyUser } = require('./notify');
+
+/**
+ * Attendance policy enforcement.
+ *
+ * After a meeting closes, every member marked absent has their run of
+ * consecutive absences from completed meetings of the policy's types counted
+ * again. Excused absences and meetings where attendance was never recorded
+ * are skipped; attending (present or late) ends the run. Reaching a step of
+ * Settings.attendancePolicy records an action on the member
+ * (User.attendanceActions) and notifies them; referrals also go to the
+ * President. Each step is taken at most once per run of absences.
+ */
+
+const POLICY_LEVELS = ['notice', 'warning', 'referral'];
+
+const LEVEL_LABELS = {
+  notice: 'Attendance notice',
+  warning: 'Formal warning',
+  referral: 'Referral to the President'
+};
+
+// How far back to look for the start of a run of absences
+const HISTORY_LIMIT = 200;
+
+const thresholdOf = (policy, level) => policy[`${level}After`];
+
+/**
+ * Highest policy step reached by a number of consecutive absences
+ * @param {Number} count - Consecutive unexcused absences
+ * @param {Object} policy - Settings.attendancePolicy
+ * @returns {String|null} - notice, warning, referral or null
+ */
+function policyLevel(count, policy) {
+  return POLICY_LEVELS.reduce((reached, level) => {
+    return count >= thresholdOf(policy, level) ? level : reached;
+  }, null);
+}
+
+/**
+ * Current run of consecutive unexcused absences of a member
+ * @param {String} userId - Member
+ * @param {Object} policy - Settings.attendancePolicy
+ * @returns {Promise<{ count: Number, streakStart: ObjectId|null, meetings: Array<ObjectId> }>}
+ */
+async function absenceStreak(userId, policy) {
+  const meetings = await Meeting.find({
+    type: { $in: policy.meetingTypes },
+    status: 'completed',
+    'attendees.user': userId
+  })
+    .sort({ date: -1, startTime: -1 })
+    .limit(HISTORY_LIMIT)
+    .select('attendees.user attendees.status')
+    .lean();
+
+  const missed = [];
+  for (const meeting of meetings) {
+    const attendee = meeting.attendees.find(item => item.user.toString() === userId.toString());
+    if (attendee.status === 'absent') {
+      missed.push(meeting._id);
+    } else if (['present', 'late'].includes(attendee.status)) {
+      break;
+    }
+  }
+
+  return {
+    count: missed.length,
+    streakStart: missed.length > 0 ? missed[missed.length - 1] : null,
+    meetings: missed
+  };
+}
+
+const notifyAction = async (io, user, action, meetingTypes) => {
+  const types = meetingTypes.join('/');
+  const messages = {
+    notice: `You have missed ${action.consecutiveAbsences} consecutive ${types} meetings. If you cannot attend, file an absence excuse.`,
+    warning: `Formal warning: you have missed ${action.consecutiveAbsences} consecutive ${types} meetings. Members who keep missing meetings may be removed from the council.`,
+    referral: `You have missed ${action.consecutiveAbsences} consecutive ${types} meetings and have been referred to the President.`
+  };
+
+  await notifyUser(io, user._id, {
+    category: 'attendance',
+    type: `policy-${action.level}`,
+    title: LEVEL_LABELS[action.level],
+    message: messages[action.level],
+    data: { level: action.level, meetingId: action.meeting }
+  });
+
+  if (action.level !== 'referral') return;
+
+  const presidents = await User.find({ role: 'President', isActive: true }).select('_id').lean();
+  for (const president of presidents) {
+    await notifyUser(io, president._id, {
+      category: 'attendance',
+      type: 'policy-referral',
+      title: 'Attendance referral',
+      message: `${user.name} (${user.role}) has missed ${action.consecutiveAbsences} consecutive ${types} meetings and has been referred for review.`,
+      data: { level: action.level, memberId: user._id, meetingId: action.meeting }
+    });
+  }
+};
+
+/**
+ * Apply the attendance policy after a meeting closed
+ * @param {Meeting} meeting - Completed meeting
+ * @param {Server} io - Socket.io server for notifications (optional)
+ * @returns {Promise<Array<Object>>} - Actions taken, as { user, action }
+ */
+async function enforceAttendancePolicy(meeting, io) {
+  const settings = await Settings.getSettings();
+  const policy = settings.attendancePolicy;
+
+  if (!policy.enabled || meeting.status !== 'completed' || !policy.meetingTypes.includes(meeting.type)) {
+    return [];
+  }
+
+  const absent = meeting.attendees
+    .filter(attendee => attendee.status === 'absent')
+    .map(attendee => attendee.user._id || attendee.user);
+
+  const taken = [];
+  for (const userId of absent) {
+    const streak = await absenceStreak(userId, policy);
+    const level = policyLevel(streak.count, policy);
+    if (!level) continue;
+
+    const action = {
+      level,
+      consecutiveAbsences: streak.count,
+      streakStart: streak.streakStart,
+      meeting: meeting._id,
+      issuedAt: new Date()
+    };
+
+    // Only push when this or a higher step has not been taken for this run yet;
+    // a single update keeps concurrent evaluations from issuing it twice
+    const result = await User.updateOne({
+      _id: userId,
+      role: { $ne: 'Guest' },
+      attendanceActions: {
+        $not: {
+          $elemMatch: {
+            streakStart: streak.streakStart,
+            level: { $in: POLICY_LEVELS.slice(POLICY_LEVELS.indexOf(level)) }
+          }
+        }
+      }
+    }, {
+      $push: { attendanceActions: action }
+    });
+    if (result.modifiedCount === 0) continue;
+
+    const user = await User.findById(userId).select('name role').lean();
+    await notifyAction(io, user, action, policy.meetingTypes);
+    taken.push({ user: userId, action });
+  }
+
+  return taken;
+}
+
+module.exports = {
+  POLICY_LEVELS,
+  LEVEL_LABELS,
+  policyLevel,
+  absenceStreak,
+  enforceAttendancePolicy
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { getMeetingStart, getMeetingEnd, splitInstant } = require('./meetingTime');
+const { arrivalStatus } = require('./attendance');
+
+/**
+ * Signed, rotating self check-in codes.
+ *
+ * A code is "<meetingId>.<window>.<signature>" where window counts
+ * CHECKIN_ROTATE_SECONDS periods since the epoch. Codes from the current and
+ * the previous window are accepted so a code scanned just before it rotates
+ * still works.
+ */
+
+const ROTATE_SECONDS = Number(process.env.CHECKIN_ROTATE_SECONDS) || 60;
+
+class CheckInError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CheckInError';
+    this.status = status;
+  }
+}
+
+// server.js refuses to start without one of these
+const secret = () => process.env.CHECKIN_SECRET || process.env.JWT_SECRET;
+
+const sign = (meetingId, window) => {
+  return crypto.createHmac('sha256', secret())
+    .update(`checkin:${meetingId}:${window}`)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+const windowOf = (now) => Math.floor(now.getTime() / (ROTATE_SECONDS * 1000));
+
+/**
+ * Current check-in code of a meeting
+ * @param {String} meetingId - Meeting id
+ * @param {Date} now - Defaults to the current time
+ * @returns {{ code: String, expiresAt: Date }}
+ */
+function createCheckInCode(meetingId, now = new Date()) {
+  const window = windowOf(now);
+
+  return {
+    code: `${meetingId}.${window}.${sign(meetingId, window)}`,
+    expiresAt: new Date((window + 1) * ROTATE_SECONDS * 1000)
+  };
+}
+
+/**
+ * Check a scanned code
+ * @param {String} code - Code from the QR image
+ * @param {Date} now - Defaults to the current time
+ * @returns {String} - Meeting id the code belongs to
+ * @throws {CheckInError} - When the code is malformed, forged or expired
+ */
+function verifyCheckInCode(code, now = new Date()) {
+  const [meetingId, windowText, signature] = String(code || '').split('.');
+  const window = Number(windowText);
+
+  if (!meetingId || !Number.isInteger(window) || !signature) {
+    throw new CheckInError('Invalid check-in code');
+  }
+
+  const expected = Buffer.from(sign(meetingId, window));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new CheckInError('Invalid check-in code');
+  }
+
+  const current = windowOf(now);
+  if (window > current || window < current - 1) {
+    throw new CheckInError('This check-in code has expired; scan the current one', 410);
+  }
+
+  return meetingId;
+}
+
+/**
+ * Attendance status for someone arriving now
+ * @param {Object} meeting - Meeting with date, startTime and endTime
+ * @param {Object} policy - Settings.attendance
+ * @param {Date} now - Arrival instant
+ * @returns {{ status: String, arrivalTime: String }}
+ * @throws {CheckInError} - Outside the check-in window
+ */
+function checkInStatus(meeting, policy, now = new Date()) {
+  const start = getMeetingStart(meeting);
+  const end = getMeetingEnd(meeting);
+
+  if (start && now < new Date(start.getTime() - policy.checkInOpensMinutes * 60000)) {
+    throw new CheckInError(`Check-in opens ${policy.checkInOpensMinutes} minutes before the meeting starts`, 409);
+  }
+  if (end && now > end) {
+    throw new CheckInError('This meeting has already ended', 409);
+  }
+
+  return {
+    status: arrivalStatus(meeting, now, policy),
+    arrivalTime: splitInstant(now).time
+  };
+}
+
+module.exports = {
+  ROTATE_SECONDS,
+  CheckInError,
+  createCheckInCode,
+  verifyCheckInCode,
+  checkInStatus
+};
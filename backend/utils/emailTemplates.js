@@ -0,0 +1,162 @@
+const { COUNCIL_TIMEZONE } = require('./meetingTime');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatStart = (start) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone: COUNCIL_TIMEZONE
+  }).format(start);
+};
+
+// "in 2 days", "in 3 hours", "in 45 minutes"
+const formatLeadTime = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  const [value, unit] = minutes >= 1440
+    ? [Math.round(minutes / 1440), 'day']
+    : minutes >= 60
+      ? [Math.round(minutes / 60), 'hour']
+      : [minutes, 'minute'];
+
+  return `in ${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+const meetingUrl = (meeting) => {
+  const base = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${base}/meetings/${meeting._id}`;
+};
+
+/**
+ * Reminder email for an upcoming meeting
+ * @param {Object} params
+ * @param {Meeting} params.meeting - Meeting with chairperson populated
+ * @param {Object} params.user - Recipient (name)
+ * @param {Date} params.start - Meeting start instant
+ * @param {Date} params.now - When the reminder is sent
+ * @returns {{ subject: String, text: String, html: String }}
+ */
+function meetingReminderEmail({ meeting, user, start, now = new Date() }) {
+  const when = formatStart(start);
+  const lead = formatLeadTime(start - now);
+  const chair = meeting.chairperson && meeting.chairperson.name;
+  const agenda = meeting.orderedAgenda().filter(item => item.status !== 'deferred');
+  const url = meetingUrl(meeting);
+
+  const details = [
+    ['When', `${when} - ${meeting.endTime}`],
+    ['Where', meeting.location || 'To be announced'],
+    chair ? ['Chair', chair] : null,
+    meeting.objective ? ['Objective', meeting.objective] : null
+  ].filter(Boolean);
+
+  const agendaLine = (item) => {
+    const presenter = item.presenter ? ` (${item.presenter})` : '';
+    return `${item.title}${presenter} - ${item.duration} min`;
+  };
+
+  const text = [
+    `Hi ${user.name},`,
+    '',
+    `This is a reminder that "${meeting.title}" starts ${lead}.`,
+    '',
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    '',
+    'Agenda:',
+    ...(agenda.length > 0
+      ? agenda.map((item, index) => `${index + 1}. ${agendaLine(item)}`)
+      : ['No agenda has been published yet.']),
+    '',
+    `Meeting details: ${url}`,
+    'If you cannot attend, please file an absence excuse before the meeting.',
+    '',
+    'SIT Student Council'
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px;">
+      <p>Hi ${escapeHtml(user.name)},</p>
+      <p>This is a reminder that <strong>${escapeHtml(meeting.title)}</strong> starts ${escapeHtml(lead)}.</p>
+      <table style="border-collapse: collapse; margin: 16px 0;">
+        ${details.map(([label, value]) => `
+        <tr>
+          <td style="padding: 4px 12px 4px 0; color: #6b7280;">${escapeHtml(label)}</td>
+          <td style="padding: 4px 0;">${escapeHtml(value)}</td>
+        </tr>`).join('')}
+      </table>
+      <h3 style="margin-bottom: 8px;">Agenda</h3>
+      ${agenda.length > 0
+        ? `<ol>${agenda.map(item => `<li>${escapeHtml(agendaLine(item))}</li>`).join('')}</ol>`
+        : '<p>No agenda has been published yet.</p>'}
+      <p><a href="${escapeHtml(url)}" style="color: #2563eb;">View the meeting</a></p>
+      <p style="color: #6b7280; font-size: 13px;">If you cannot attend, please file an absence excuse before the meeting.</p>
+      <p>SIT Student Council</p>
+    </div>`;
+
+  return {
+    subject: `Reminder: ${meeting.title} ${lead}`,
+    text,
+    html
+  };
+}
+
+/**
+ * Email telling a student their portal question was answered
+ * @param {Object} params
+ * @param {StudentQuestion} params.question - The answered question
+ * @param {Meeting} params.meeting - Meeting the question was asked for
+ * @param {String} params.name - Recipient name, if they gave one
+ * @param {String} params.asked - Text of the recipient's own question, when it was merged into this one
+ * @returns {{ subject: String, text: String, html: String }}
+ */
+function questionAnsweredEmail({ question, meeting, name, asked }) {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const intro = asked
+    ? `Your question for "${meeting.title}" was merged with a similar one, which the council has now answered.`
+    : `The council has answered your question for "${meeting.title}".`;
+
+  const text = [
+    greeting,
+    '',
+    intro,
+    '',
+    ...(asked ? ['You asked:', asked, ''] : []),
+    'Question:',
+    question.text,
+    '',
+    'Answer:',
+    question.answer,
+    '',
+    'SIT Student Council'
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px;">
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(intro)}</p>
+      ${asked ? `<p style="color: #6b7280;">You asked: ${escapeHtml(asked)}</p>` : ''}
+      <h3 style="margin-bottom: 8px;">Question</h3>
+      <p>${escapeHtml(question.text)}</p>
+      <h3 style="margin-bottom: 8px;">Answer</h3>
+      <p style="white-space: pre-wrap;">${escapeHtml(question.answer)}</p>
+      <p>SIT Student Council</p>
+    </div>`;
+
+  return {
+    subject: `Your question about ${meeting.title} was answered`,
+    text,
+    html
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  formatLeadTime,
+  meetingReminderEmail,
+  questionAnsweredEmail
+};
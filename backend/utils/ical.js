@@ -0,0 +1,348 @@
+const {
+  getMeetingStart,
+  getMeetingEnd,
+  zonedTime,
+  splitInstant,
+  COUNCIL_TIMEZONE
+} = require('./meetingTime');
+
+/**
+ * iCalendar (RFC 5545) helpers for meeting feeds and imports.
+ */
+
+const PRODUCT_ID = '-//SIT Student Council//Meeting Portal//EN';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'sit-council';
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + size > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+      // Continuation lines start with a space, which counts toward the limit
+      limit = 74;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// 20261019T140000Z
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// 20261019
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Events are organized by the council address; members' own addresses are not published
+const organizerAddress = () => {
+  const from = process.env.EMAIL_FROM || 'SIT Student Council <no-reply@sit-council.local>';
+  const match = /<([^>]+)>/.exec(from);
+  return (match ? match[1] : from).trim();
+};
+
+const agendaSummary = (agenda = []) => {
+  return [...agenda]
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map((item, index) => `${index + 1}. ${item.title}${item.duration ? ` (${item.duration} min)` : ''}`)
+    .join('\n');
+};
+
+const meetingDescription = (meeting) => {
+  const sections = [];
+
+  if (meeting.objective) sections.push(`Objective: ${meeting.objective}`);
+  if (meeting.agenda && meeting.agenda.length > 0) {
+    sections.push(`Agenda:\n${agendaSummary(meeting.agenda)}`);
+  }
+  if (meeting.chairperson && meeting.chairperson.name) {
+    sections.push(`Chairperson: ${meeting.chairperson.name}`);
+  }
+
+  return sections.join('\n\n');
+};
+
+/**
+ * Build the VEVENT lines for a meeting
+ * @param {Object} meeting - Meeting (chairperson may be populated)
+ * @returns {Array<String>} - Unfolded content lines
+ */
+function buildEvent(meeting) {
+  const start = getMeetingStart(meeting);
+  const end = getMeetingEnd(meeting);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${meeting.icalUid || `${meeting._id}@${UID_DOMAIN}`}`,
+    `DTSTAMP:${formatDateTime(meeting.updatedAt || new Date())}`
+  ];
+
+  if (start) {
+    lines.push(`DTSTART:${formatDateTime(start)}`);
+    if (end) lines.push(`DTEND:${formatDateTime(end)}`);
+  } else {
+    // Without a usable start time fall back to an all-day event
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(meeting.date)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(meeting.title)}`);
+  if (meeting.location) lines.push(`LOCATION:${escapeText(meeting.location)}`);
+
+  const description = meetingDescription(meeting);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  const categories = [meeting.type, ...(meeting.tags || [])].filter(Boolean);
+  if (categories.length > 0) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+
+  const organizerName = meeting.chairperson && meeting.chairperson.name;
+  lines.push(`ORGANIZER;CN="${(organizerName || 'SIT Student Council').replace(/"/g, '')}":mailto:${organizerAddress()}`);
+
+  lines.push(`STATUS:${meeting.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push(`SEQUENCE:${meeting.icalSequence || 0}`);
+  if (meeting.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(meeting.updatedAt)}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Array<Object>} meetings - Meetings to include
+ * @param {Object} options - { name } calendar display name
+ * @returns {String} - iCalendar text with CRLF line endings
+ */
+function buildCalendar(meetings, options = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  lines.push('X-PUBLISHED-TTL:PT1H');
+
+  meetings.forEach(meeting => lines.push(...buildEvent(meeting)));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+const unescapeText = (value) => {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+};
+
+// Join folded lines back together
+const unfoldLines = (text) => {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+};
+
+// Split "NAME;PARAM=a;PARAM2=\"b:c\":value" into its parts
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = paramParts.reduce((acc, part) => {
+    const [key, ...rest] = part.split('=');
+    acc[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    return acc;
+  }, {});
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse a DATE or DATE-TIME property
+ * @returns {{ instant: Date, allDay: Boolean }|null}
+ */
+function parseDateValue(property) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, , utc] = match;
+  const calendarDay = new Date(Date.UTC(+year, +month - 1, +day));
+
+  if (hours === undefined || property.params.VALUE === 'DATE') {
+    return { instant: calendarDay, allDay: true };
+  }
+
+  const time = { hours: +hours, minutes: +minutes };
+  if (utc) {
+    return { instant: new Date(Date.UTC(+year, +month - 1, +day, time.hours, time.minutes)), allDay: false };
+  }
+
+  // Floating times and unknown TZIDs are read as council local time
+  const timeZone = property.params.TZID && isValidTimeZone(property.params.TZID)
+    ? property.params.TZID
+    : COUNCIL_TIMEZONE;
+  return { instant: zonedTime(calendarDay, time, timeZone), allDay: false };
+}
+
+const emailFromAddress = (value) => {
+  const email = value.replace(/^mailto:/i, '').trim().toLowerCase();
+  return /^[^@\s]+@[^@\s]+$/.test(email) ? email : null;
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar document
+ * @param {String} text - iCalendar text
+ * @returns {Array<Object>} - { uid, summary, description, location, start, end, allDay, status, organizer, attendees }
+ */
+function parseCalendar(text) {
+  const lines = unfoldLines(text);
+  if (lines.length === 0 || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file');
+  }
+
+  const events = [];
+  let event = null;
+  let depth = 0;
+
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !event) {
+        event = { attendees: [], allDay: false };
+        depth = 0;
+      } else if (event) {
+        // Nested components such as VALARM are ignored
+        depth += 1;
+      }
+      return;
+    }
+
+    if (property.name === 'END') {
+      if (event && depth > 0) {
+        depth -= 1;
+      } else if (event && property.value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      }
+      return;
+    }
+
+    if (!event || depth > 0) return;
+
+    switch (property.name) {
+      case 'UID':
+        event.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(property.value).trim();
+        break;
+      case 'DESCRIPTION':
+        event.description = unescapeText(property.value).trim();
+        break;
+      case 'LOCATION':
+        event.location = unescapeText(property.value).trim();
+        break;
+      case 'STATUS':
+        event.status = property.value.trim().toUpperCase();
+        break;
+      case 'DTSTART': {
+        const parsed = parseDateValue(property);
+        if (parsed) {
+          event.start = parsed.instant;
+          event.allDay = parsed.allDay;
+        }
+        break;
+      }
+      case 'DTEND': {
+        const parsed = parseDateValue(property);
+        if (parsed) event.end = parsed.instant;
+        break;
+      }
+      case 'ORGANIZER':
+        event.organizer = emailFromAddress(property.value);
+        break;
+      case 'ATTENDEE': {
+        const email = emailFromAddress(property.value);
+        if (email) event.attendees.push({ email, name: property.params.CN || null });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Map a parsed VEVENT onto Meeting fields
+ * @param {Object} event - Event from parseCalendar
+ * @returns {Object} - { title, date, startTime, endTime, location, objective, status, icalUid }
+ */
+function eventToMeetingFields(event) {
+  const start = splitInstant(event.start);
+  const fields = {
+    title: event.summary,
+    date: event.allDay ? event.start : start.date,
+    startTime: event.allDay ? '00:00' : start.time,
+    endTime: event.allDay ? '23:59' : (event.end ? splitInstant(event.end).time : start.time),
+    location: event.location,
+    objective: event.description,
+    status: event.status === 'CANCELLED' ? 'cancelled' : 'scheduled'
+  };
+
+  if (event.uid) fields.icalUid = event.uid;
+  return fields;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  buildEvent,
+  buildCalendar,
+  parseCalendar,
+  eventToMeetingFields
+};
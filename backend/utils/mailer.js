@@ -0,0 +1,46 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing email over SMTP.
+ *
+ * Without EMAIL_HOST mail goes to a local SMTP stand-in on localhost:1025
+ * (MailHog, Mailpit, smtp4dev, ...), so development never sends real email.
+ */
+
+let transporter = null;
+
+const transportOptions = () => {
+  const options = {
+    host: process.env.EMAIL_HOST || 'localhost',
+    port: Number(process.env.EMAIL_PORT) || 1025,
+    secure: process.env.EMAIL_SECURE === 'true'
+  };
+
+  if (process.env.EMAIL_USER) {
+    options.auth = {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    };
+  }
+
+  return options;
+};
+
+const getTransporter = () => {
+  if (!transporter) transporter = nodemailer.createTransport(transportOptions());
+  return transporter;
+};
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - nodemailer info, with messageId
+ */
+function sendMail(message) {
+  return getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'SIT Student Council <no-reply@sit-council.local>',
+    ...message
+  });
+}
+
+module.exports = { sendMail };
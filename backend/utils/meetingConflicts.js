@@ -0,0 +1,136 @@
+const Meeting = require('../models/Meeting');
+const { getMeetingStart, getMeetingEnd } = require('./meetingTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields whose change can introduce a scheduling conflict
+const SCHEDULING_FIELDS = [
+  'date', 'startTime', 'endTime', 'location', 'chairperson',
+  'minutesTaker', 'attendees', 'status'
+];
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const normalizeLocation = (location) => {
+  return typeof location === 'string' ? location.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+};
+
+// Map of userId -> roles the user has in a meeting
+const participantRoles = (meeting) => {
+  const roles = new Map();
+  const add = (user, role) => {
+    const id = idOf(user);
+    if (!id) return;
+    if (!roles.has(id)) roles.set(id, []);
+    roles.get(id).push(role);
+  };
+
+  add(meeting.chairperson, 'chairperson');
+  add(meeting.minutesTaker, 'minutesTaker');
+  (meeting.attendees || []).forEach(attendee => add(attendee.user, 'attendee'));
+
+  return roles;
+};
+
+/**
+ * Find scheduled meetings that overlap a meeting in time and share its
+ * location or any of its people
+ * @param {Object} meeting - Meeting document or plain object (may be unsaved)
+ * @returns {Promise<Array<Object>>} - [{ meeting, reasons }]
+ */
+async function findConflicts(meeting) {
+  if (meeting.status === 'cancelled' || meeting.isArchived) return [];
+
+  const start = getMeetingStart(meeting);
+  const end = getMeetingEnd(meeting);
+  if (!start || !end) return [];
+
+  const day = new Date(meeting.date).getTime();
+  const candidates = await Meeting.find({
+    _id: { $ne: meeting._id },
+    date: { $gte: new Date(day - DAY_MS), $lte: new Date(day + DAY_MS) },
+    status: { $ne: 'cancelled' },
+    isArchived: { $ne: true }
+  })
+    .select('title type date startTime endTime location chairperson minutesTaker attendees.user status')
+    .lean();
+
+  const location = normalizeLocation(meeting.location);
+  const people = participantRoles(meeting);
+  const conflicts = [];
+
+  candidates.forEach(other => {
+    const otherStart = getMeetingStart(other);
+    const otherEnd = getMeetingEnd(other);
+    if (!otherStart || !otherEnd) return;
+    if (!(start < otherEnd && otherStart < end)) return;
+
+    const reasons = [];
+
+    if (location && normalizeLocation(other.location) === location) {
+      reasons.push({ type: 'location', location: other.location });
+    }
+
+    participantRoles(other).forEach((otherRoles, userId) => {
+      if (!people.has(userId)) return;
+      reasons.push({
+        type: 'participant',
+        user: userId,
+        roles: people.get(userId),
+        conflictingRoles: otherRoles
+      });
+    });
+
+    if (reasons.length > 0) {
+      conflicts.push({
+        meeting: {
+          _id: other._id,
+          title: other.title,
+          type: other.type,
+          date: other.date,
+          startTime: other.startTime,
+          endTime: other.endTime,
+          location: other.location
+        },
+        reasons
+      });
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * Check a meeting for scheduling conflicts before it is saved.
+ * Sends a 409 listing the clashes and resolves false when saving must stop;
+ * urgent ("random") meetings may pass override: true to book anyway.
+ */
+const checkConflicts = async (req, res, meeting) => {
+  const conflicts = await findConflicts(meeting);
+  if (conflicts.length === 0) return true;
+
+  const override = req.body.override === true || req.body.override === 'true';
+  if (override && meeting.type === 'random') {
+    meeting.conflictOverride = {
+      by: req.user._id,
+      at: new Date(),
+      meetings: conflicts.map(conflict => conflict.meeting._id)
+    };
+    return true;
+  }
+
+  res.status(409).json({
+    success: false,
+    message: override
+      ? 'Only urgent (random) meetings can override scheduling conflicts'
+      : 'Scheduling conflict with existing meetings',
+    conflicts
+  });
+  return false;
+};
+
+module.exports = {
+  SCHEDULING_FIELDS,
+  findConflicts,
+  checkConflicts
+};
@@ -0,0 +1,131 @@
+/**
+ * Helpers for turning a meeting's date plus its free-text startTime/endTime
+ * into real instants.
+ *
+ * Meeting.date holds the calendar day (UTC midnight) and the times are wall
+ * clock strings in the council's timezone, e.g. "14:30" or "2:30 PM".
+ */
+
+const COUNCIL_TIMEZONE = process.env.COUNCIL_TIMEZONE || 'UTC';
+
+/**
+ * Parse a wall clock time string
+ * @param {String} value - "14:30", "9:05", "2:30 PM", "2pm"
+ * @returns {{ hours: Number, minutes: Number }|null}
+ */
+function parseTime(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = /^\s*(\d{1,2})(?:[:.](\d{2}))?\s*([ap]\.?m\.?)?\s*$/i.exec(value);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] ? match[3].toLowerCase().replace(/\./g, '') : null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  } else if (!match[2]) {
+    // A bare number without am/pm is too ambiguous to guess
+    return null;
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+const formatTime = ({ hours, minutes }) => {
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Offset of a timezone from UTC at a given instant, in milliseconds
+const timezoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall clock time on a calendar day in a timezone into a Date
+ * @param {Date} day - Calendar day (its UTC date is used)
+ * @param {{ hours: Number, minutes: Number }} time - Wall clock time
+ * @param {String} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTime(day, time, timeZone = COUNCIL_TIMEZONE) {
+  const d = new Date(day);
+  const wall = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), time.hours, time.minutes);
+
+  // Two passes settle the offset around DST transitions
+  let instant = new Date(wall - timezoneOffset(new Date(wall), timeZone));
+  instant = new Date(wall - timezoneOffset(instant, timeZone));
+  return instant;
+}
+
+/**
+ * Calendar day (UTC midnight) and wall clock time of an instant in a timezone
+ * @param {Date} instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {{ date: Date, time: String }}
+ */
+function splitInstant(instant, timeZone = COUNCIL_TIMEZONE) {
+  const local = new Date(instant.getTime() + timezoneOffset(instant, timeZone));
+
+  return {
+    date: new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate())),
+    time: formatTime({ hours: local.getUTCHours(), minutes: local.getUTCMinutes() })
+  };
+}
+
+/**
+ * Start instant of a meeting, or null when its startTime cannot be parsed
+ * @param {Object} meeting - Meeting with date and startTime
+ * @returns {Date|null}
+ */
+function getMeetingStart(meeting) {
+  const time = parseTime(meeting.startTime);
+  if (!meeting.date || !time) return null;
+  return zonedTime(meeting.date, time);
+}
+
+/**
+ * End instant of a meeting; an end time before the start rolls over midnight
+ * @param {Object} meeting - Meeting with date, startTime and endTime
+ * @returns {Date|null}
+ */
+function getMeetingEnd(meeting) {
+  const time = parseTime(meeting.endTime);
+  if (!meeting.date || !time) return null;
+
+  const end = zonedTime(meeting.date, time);
+  const start = getMeetingStart(meeting);
+  if (start && end <= start) {
+    return new Date(end.getTime() + 24 * 60 * 60 * 1000);
+  }
+  return end;
+}
+
+module.exports = {
+  COUNCIL_TIMEZONE,
+  parseTime,
+  formatTime,
+  zonedTime,
+  splitInstant,
+  getMeetingStart,
+  getMeetingEnd
+};
@@ -0,0 +1,157 @@
+const ACTION_ITEM_FIELDS = ['task', 'assignee', 'deadline', 'priority', 'status', 'completedAt'];
+const NEXT_MEETING_FIELDS = ['date', 'time', 'location', 'agenda'];
+
+// Comparable form of ids, dates and plain values
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && value._bsontype) return value.toString();
+  if (typeof value === 'object' && value._id) return value._id.toString();
+  return value;
+};
+
+const sameValue = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+// Largest LCS table diffLines builds; past this the changed block is reported whole
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Line diff of two texts using the longest common subsequence.
+ * Unchanged lines at either end are matched first; when the rest is still larger
+ * than MAX_DIFF_CELLS it is shown as removed and re-added rather than aligned.
+ * @param {String} before - Old text
+ * @param {String} after - New text
+ * @returns {Array} - [{ type: 'same'|'added'|'removed', line }]
+ */
+function diffLines(before, after) {
+  const oldLines = before ? before.split('\n') : [];
+  const newLines = after ? after.split('\n') : [];
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start += 1;
+  }
+  let end = 0;
+  while (
+    end < oldLines.length - start &&
+    end < newLines.length - start &&
+    oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]
+  ) {
+    end += 1;
+  }
+
+  const a = oldLines.slice(start, oldLines.length - end);
+  const b = newLines.slice(start, newLines.length - end);
+  const lines = oldLines.slice(0, start).map(line => ({ type: 'same', line }));
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    a.forEach(line => lines.push({ type: 'removed', line }));
+    b.forEach(line => lines.push({ type: 'added', line }));
+  } else {
+    // lcs[i * width + j] is the common subsequence length of a[i:] and b[j:]
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+      for (let j = b.length - 1; j >= 0; j -= 1) {
+        lcs[i * width + j] = a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        lines.push({ type: 'same', line: a[i] });
+        i += 1;
+        j += 1;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        lines.push({ type: 'removed', line: a[i] });
+        i += 1;
+      } else {
+        lines.push({ type: 'added', line: b[j] });
+        j += 1;
+      }
+    }
+    a.slice(i).forEach(line => lines.push({ type: 'removed', line }));
+    b.slice(j).forEach(line => lines.push({ type: 'added', line }));
+  }
+
+  oldLines.slice(oldLines.length - end).forEach(line => lines.push({ type: 'same', line }));
+  return lines;
+}
+
+// Field-by-field changes between two objects
+const diffFields = (before = {}, after = {}, fields) => {
+  return fields
+    .filter(field => !sameValue(before[field], after[field]))
+    .map(field => ({ field, before: normalize(before[field]), after: normalize(after[field]) }));
+};
+
+const diffDecisions = (before = [], after = []) => ({
+  added: after.filter(decision => !before.includes(decision)),
+  removed: before.filter(decision => !after.includes(decision))
+});
+
+// Action items are matched by their subdocument id
+const diffActionItems = (before = [], after = []) => {
+  const key = (item) => normalize(item._id) || item.task;
+  const beforeByKey = new Map(before.map(item => [key(item), item]));
+  const afterByKey = new Map(after.map(item => [key(item), item]));
+
+  const changed = [];
+  after.forEach(item => {
+    const previous = beforeByKey.get(key(item));
+    if (!previous) return;
+
+    const fields = diffFields(previous, item, ACTION_ITEM_FIELDS);
+    if (fields.length > 0) changed.push({ id: key(item), task: item.task, fields });
+  });
+
+  return {
+    added: after.filter(item => !beforeByKey.has(key(item))),
+    removed: before.filter(item => !afterByKey.has(key(item))),
+    changed
+  };
+};
+
+/**
+ * Field-level diff between two snapshots of minutes content
+ * @param {Object} before - { summary, decisions, actionItems, nextMeeting }
+ * @param {Object} after - Same shape as before
+ * @returns {Object} - Only the fields that changed
+ */
+function diffMinutes(before = {}, after = {}) {
+  const diff = {};
+
+  if ((before.summary || '') !== (after.summary || '')) {
+    diff.summary = {
+      before: before.summary || '',
+      after: after.summary || '',
+      lines: diffLines(before.summary, after.summary)
+    };
+  }
+
+  const decisions = diffDecisions(before.decisions, after.decisions);
+  if (decisions.added.length > 0 || decisions.removed.length > 0) {
+    diff.decisions = decisions;
+  }
+
+  const actionItems = diffActionItems(before.actionItems, after.actionItems);
+  if (actionItems.added.length > 0 || actionItems.removed.length > 0 || actionItems.changed.length > 0) {
+    diff.actionItems = actionItems;
+  }
+
+  const nextMeeting = diffFields(before.nextMeeting || {}, after.nextMeeting || {}, NEXT_MEETING_FIELDS);
+  if (nextMeeting.length > 0) {
+    diff.nextMeeting = nextMeeting;
+  }
+
+  return diff;
+}
+
+module.exports = {
+  diffLines,
+  diffMinutes
+};
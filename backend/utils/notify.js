@@ -0,0 +1,62 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+const NOTIFICATION_CATEGORIES = ['meetings', 'actionItems', 'attendance', 'general'];
+
+// Whether the user has a socket open on this server (see socket/access.js)
+const isOnline = (io, userId) => {
+  const room = io && io.sockets.adapter.rooms.get(`user-${userId}`);
+  return Boolean(room && room.size > 0);
+};
+
+/**
+ * Store a notification and push it to the user's open sockets. Offline users
+ * find it through /api/notifications. Nothing is stored for inactive users or
+ * when the user switched the category off.
+ * @param {Server} io - Socket.io server; without one the notification is only stored
+ * @param {String} userId - Recipient
+ * @param {Object} notification - { category, type, title, message, data, from }
+ * @returns {Promise<Notification|null>}
+ */
+async function notifyUser(io, userId, notification) {
+  const category = NOTIFICATION_CATEGORIES.includes(notification.category) ? notification.category : 'general';
+
+  const user = await User.findById(userId).select('isActive preferences.notifications.categories').lean();
+  if (!user || user.isActive === false) return null;
+
+  const categories = (user.preferences && user.preferences.notifications && user.preferences.notifications.categories) || {};
+  if (categories[category] === false) return null;
+
+  const online = isOnline(io, userId);
+  const saved = await Notification.create({
+    user: userId,
+    category,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    data: notification.data,
+    from: notification.from,
+    deliveredAt: online ? new Date() : undefined
+  });
+
+  if (online) io.to(`user-${userId}`).emit('newNotification', saved.toJSON());
+  return saved;
+}
+
+/**
+ * Tell the user's other sockets (tabs, devices) how many notifications are unread
+ * @param {Server} io - Socket.io server
+ * @param {String} userId - User
+ * @returns {Promise<Number>} - Unread count
+ */
+async function emitUnreadCount(io, userId) {
+  const unread = await Notification.countDocuments({ user: userId, read: false });
+  if (io) io.to(`user-${userId}`).emit('unreadCount', { unread });
+  return unread;
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  notifyUser,
+  emitUnreadCount
+};
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cursor based pagination helpers.
+ *
+ * A cursor is an opaque base64 string holding the sort value and _id of the
+ * last document on the previous page, so pages stay stable while new
+ * documents are inserted.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse a "field" / "-field" sort string against a whitelist
+ * @param {String} sort - Requested sort, e.g. "-date"
+ * @param {Array<String>} allowed - Sortable fields
+ * @param {String} fallback - Sort used when the request is missing or invalid
+ * @returns {{ field: String, direction: Number }}
+ */
+function parseSort(sort, allowed, fallback) {
+  const value = typeof sort === 'string' && sort.length > 0 ? sort : fallback;
+  const direction = value.startsWith('-') ? -1 : 1;
+  const field = value.replace(/^[-+]/, '');
+
+  if (!allowed.includes(field)) {
+    return parseSort(fallback, allowed, fallback);
+  }
+
+  return { field, direction };
+}
+
+function parseLimit(limit) {
+  const parsed = parseInt(limit, 10);
+  if (Number.isNaN(parsed) || parsed < 1) return DEFAULT_LIMIT;
+  return Math.min(parsed, MAX_LIMIT);
+}
+
+// A missing sort value is stored as null so the cursor still decodes
+function encodeCursor(doc, field) {
+  const raw = doc[field] === undefined ? null : doc[field];
+  const value = raw instanceof Date ? { $date: raw.toISOString() } : raw;
+  return Buffer.from(JSON.stringify({ v: value, id: doc._id.toString() })).toString('base64');
+}
+
+// Cursor values end up in the query, so only plain values and { $date } are accepted
+const decodeValue = (value) => {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+
+  const keys = typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  if (keys.length === 1 && keys[0] === '$date' && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+
+  return undefined;
+};
+
+function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const value = decodeValue(v);
+    if (value === undefined) return null;
+
+    return {
+      value,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Filter for the documents after a cursor in the given sort order.
+ * MongoDB sorts null and missing values before everything else, so they come
+ * first in ascending order and last in descending order.
+ * @param {String} field - Sort field
+ * @param {Number} direction - 1 or -1
+ * @param {Object} cursor - Decoded cursor { value, id }
+ * @returns {Object}
+ */
+function cursorFilter(field, direction, cursor) {
+  const op = direction === 1 ? '$gt' : '$lt';
+  const tie = { [field]: cursor.value, _id: { [op]: cursor.id } };
+
+  if (cursor.value === null) {
+    return direction === 1 ? { $or: [{ [field]: { $ne: null } }, tie] } : tie;
+  }
+
+  const after = [{ [field]: { [op]: cursor.value } }, tie];
+  if (direction === -1) after.push({ [field]: null });
+  return { $or: after };
+}
+
+/**
+ * Run a paginated find
+ * @param {mongoose.Model} Model - Model to query
+ * @param {Object} filter - Base query filter
+ * @param {Object} options - { cursor, limit, sort, allowedSorts, defaultSort, populate, select, lean }
+ * @returns {Promise<{ items: Array, nextCursor: String|null }>}
+ */
+async function paginate(Model, filter, options = {}) {
+  const { field, direction } = parseSort(
+    options.sort,
+    options.allowedSorts || ['createdAt'],
+    options.defaultSort || '-createdAt'
+  );
+  const limit = parseLimit(options.limit);
+  const query = { ...filter };
+
+  if (options.cursor) {
+    const cursor = decodeCursor(options.cursor);
+    if (!cursor) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
+    }
+
+    query.$and = [...(query.$and || []), cursorFilter(field, direction, cursor)];
+  }
+
+  let find = Model.find(query)
+    .sort({ [field]: direction, _id: direction })
+    .limit(limit + 1);
+
+  if (options.select) find = find.select(options.select);
+  (options.populate || []).forEach(populate => {
+    find = find.populate(populate);
+  });
+  if (options.lean !== false) find = find.lean();
+
+  const docs = await find;
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null
+  };
+}
+
+module.exports = {
+  paginate,
+  parseSort,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
@@ -0,0 +1,87 @@
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Attendees plus the chair, who sits on every meeting whether or not they were invited
+const roster = (meeting) => {
+  const attendees = meeting.attendees || [];
+  const chairId = idOf(meeting.chairperson);
+  if (!chairId || attendees.some(attendee => idOf(attendee.user) === chairId)) return attendees;
+
+  return [...attendees, { user: meeting.chairperson, status: 'pending' }];
+};
+
+/**
+ * Evaluate a quorum rule against a meeting's attendance
+ * @param {Object} meeting - Meeting with attendees, chairperson and minutesTaker
+ * @param {Object} rule - Quorum rule from Settings
+ * @param {Map<String, String>} rolesById - Council role of each attendee and the chair
+ * @returns {Object} - { met, present, required, votingMembers, missingRoles }
+ */
+function evaluateQuorum(meeting, rule, rolesById) {
+  const presentStatuses = rule.countLate ? ['present', 'late'] : ['present'];
+
+  // Guests may attend but do not vote
+  const voting = roster(meeting).filter(attendee => {
+    return rolesById.get(idOf(attendee.user)) !== 'Guest';
+  });
+  const present = voting.filter(attendee => presentStatuses.includes(attendee.status));
+  const presentIds = new Set(present.map(attendee => idOf(attendee.user)));
+
+  const required = voting.length === 0
+    ? 0
+    : rule.mode === 'count'
+      ? rule.count
+      : Math.max(1, Math.ceil(rule.fraction * voting.length));
+
+  const missingRoles = (rule.requiredRoles || []).filter(role => {
+    if (role === 'chairperson') return !presentIds.has(idOf(meeting.chairperson));
+    if (role === 'minutesTaker') return !presentIds.has(idOf(meeting.minutesTaker));
+    return ![...presentIds].some(id => rolesById.get(id) === role);
+  });
+
+  return {
+    met: voting.length > 0 && present.length >= required && missingRoles.length === 0,
+    present: present.length,
+    required,
+    votingMembers: voting.length,
+    missingRoles
+  };
+}
+
+/**
+ * Recompute a meeting's quorum and store it on meeting.minutes.quorum.
+ * Approved minutes keep the quorum they were approved with.
+ * The caller saves the meeting.
+ * @param {Meeting} meeting - Meeting document
+ * @returns {Promise<Object>} - The current quorum state
+ */
+async function refreshQuorum(meeting) {
+  const settings = await Settings.getSettings();
+  const rule = settings.quorumRuleFor(meeting.type);
+
+  const userIds = roster(meeting).map(attendee => idOf(attendee.user));
+  const users = await User.find({ _id: { $in: userIds } }).select('role').lean();
+  const rolesById = new Map(users.map(user => [user._id.toString(), user.role]));
+
+  const quorum = {
+    ...evaluateQuorum(meeting, rule, rolesById),
+    rule: {
+      mode: rule.mode,
+      fraction: rule.fraction,
+      count: rule.count,
+      countLate: rule.countLate,
+      requiredRoles: rule.requiredRoles
+    },
+    evaluatedAt: new Date()
+  };
+
+  if (!meeting.isMinutesLocked()) meeting.set('minutes.quorum', quorum);
+  return quorum;
+}
+
+module.exports = {
+  evaluateQuorum,
+  refreshQuorum
+};
@@ -0,0 +1,247 @@
+/**
+ * Minimal RRULE (RFC 5545) support for council meeting series.
+ *
+ * Supported rules:
+ *   FREQ=WEEKLY;INTERVAL=1;BYDAY=MO          weekly
+ *   FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH       biweekly, several days
+ *   FREQ=MONTHLY;BYDAY=2TU                   monthly on the nth weekday (-1 = last)
+ *   FREQ=MONTHLY;BYMONTHDAY=15               monthly on a day of month
+ * each optionally ending with UNTIL=YYYYMMDD[THHMMSSZ] or COUNT=n.
+ *
+ * Occurrences are whole days at UTC midnight; the time of day lives on the
+ * series (startTime/endTime), the same way it does on Meeting.
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on generated occurrences so a bad rule can never loop forever
+const MAX_OCCURRENCES = 1000;
+
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceError';
+  }
+}
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// "2026-10-19" key used to address an occurrence
+const toDateKey = (date) => startOfDay(date).toISOString().slice(0, 10);
+
+const fromDateKey = (key) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) return null;
+  const date = new Date(`${key}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) throw new RecurrenceError(`Invalid UNTIL value "${value}"`);
+  return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+};
+
+const formatUntil = (date) => toDateKey(date).replace(/-/g, '');
+
+/**
+ * Parse an RRULE string into a rule object
+ * @param {String} rrule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;COUNT=10"
+ * @returns {Object} - { freq, interval, byDay, byMonthDay, until, count }
+ */
+function parseRRule(rrule) {
+  if (typeof rrule !== 'string' || rrule.trim() === '') {
+    throw new RecurrenceError('Recurrence rule is required');
+  }
+
+  const parts = rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const rule = { interval: 1, byDay: [], byMonthDay: null, until: null, count: null };
+
+  parts.forEach(part => {
+    const [key, value] = part.split('=');
+    if (!value) throw new RecurrenceError(`Invalid rule part "${part}"`);
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(day => {
+          const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+          if (!match) throw new RecurrenceError(`Invalid BYDAY value "${day}"`);
+          return { weekday: WEEKDAYS.indexOf(match[2]), nth: match[1] ? parseInt(match[1], 10) : null };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseInt(value, 10);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        break;
+      default:
+        throw new RecurrenceError(`Unsupported rule part "${key}"`);
+    }
+  });
+
+  if (!['WEEKLY', 'MONTHLY'].includes(rule.freq)) {
+    throw new RecurrenceError('FREQ must be WEEKLY or MONTHLY');
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw new RecurrenceError('INTERVAL must be a positive integer');
+  }
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    throw new RecurrenceError('COUNT must be a positive integer');
+  }
+  if (rule.until && rule.count) {
+    throw new RecurrenceError('UNTIL and COUNT cannot both be set');
+  }
+  if (!rule.until && !rule.count) {
+    throw new RecurrenceError('A series needs an end: set UNTIL or COUNT');
+  }
+  if (rule.freq === 'WEEKLY' && rule.byDay.some(day => day.nth !== null)) {
+    throw new RecurrenceError('Weekly rules cannot use an ordinal BYDAY');
+  }
+  if (rule.freq === 'MONTHLY') {
+    if (rule.byDay.length > 1) {
+      throw new RecurrenceError('Monthly rules support a single BYDAY');
+    }
+    if (rule.byDay.length === 1 && (rule.byDay[0].nth === null || rule.byDay[0].nth === 0 || Math.abs(rule.byDay[0].nth) > 5)) {
+      throw new RecurrenceError('Monthly BYDAY needs an ordinal between -5 and 5, e.g. 2TU');
+    }
+    if (rule.byMonthDay !== null && (rule.byMonthDay < 1 || rule.byMonthDay > 31)) {
+      throw new RecurrenceError('BYMONTHDAY must be between 1 and 31');
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Serialize a rule object back to an RRULE string
+ * @param {Object} rule - Rule as returned by parseRRule
+ * @returns {String}
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.nth || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+
+  return parts.join(';');
+}
+
+// nth weekday of a month (nth < 0 counts from the end); null when it does not exist
+const nthWeekdayOfMonth = (year, month, weekday, nth) => {
+  if (nth > 0) {
+    const first = new Date(Date.UTC(year, month, 1));
+    const day = 1 + ((weekday - first.getUTCDay() + 7) % 7) + (nth - 1) * 7;
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCMonth() === month ? date : null;
+  }
+
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  const day = last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7) + (nth + 1) * 7;
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && day > 0 ? date : null;
+};
+
+// Candidate dates for one period of the rule, in chronological order
+const candidatesForPeriod = (rule, dtstart, period) => {
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (RFC 5545 default WKST=MO)
+    const weekStart = addDays(dtstart, -((dtstart.getUTCDay() + 6) % 7) + period * 7 * rule.interval);
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [dtstart.getUTCDay()];
+
+    return weekdays
+      .map(weekday => addDays(weekStart, (weekday + 6) % 7))
+      .sort((a, b) => a - b);
+  }
+
+  const monthIndex = dtstart.getUTCMonth() + period * rule.interval;
+  const year = dtstart.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+
+  if (rule.byDay.length === 1) {
+    const date = nthWeekdayOfMonth(year, month, rule.byDay[0].weekday, rule.byDay[0].nth);
+    return date ? [date] : [];
+  }
+
+  const dayOfMonth = rule.byMonthDay || dtstart.getUTCDate();
+  const date = new Date(Date.UTC(year, month, dayOfMonth));
+  return date.getUTCMonth() === month ? [date] : [];
+};
+
+/**
+ * Expand a rule into occurrence dates
+ * @param {String|Object} rrule - RRULE string or parsed rule
+ * @param {Date} dtstart - First day of the series
+ * @param {Object} range - Optional { from, to } window (inclusive)
+ * @returns {Array<Date>} - Occurrence dates at UTC midnight
+ */
+function expandRRule(rrule, dtstart, range = {}) {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const start = startOfDay(dtstart);
+  const from = range.from ? startOfDay(range.from) : null;
+  const to = range.to ? startOfDay(range.to) : null;
+  const occurrences = [];
+  let generated = 0;
+
+  for (let period = 0; generated < MAX_OCCURRENCES; period += 1) {
+    const candidates = candidatesForPeriod(rule, start, period);
+
+    for (const date of candidates) {
+      if (date < start) continue;
+      if (rule.until && date > rule.until) return occurrences;
+      if (to && date > to) return occurrences;
+
+      generated += 1;
+      if (!from || date >= from) occurrences.push(date);
+      if (rule.count && generated >= rule.count) return occurrences;
+    }
+
+    // A monthly rule can skip months (e.g. 5th Friday); stop only on the hard cap
+    if (period > MAX_OCCURRENCES * 12) break;
+  }
+
+  return occurrences;
+}
+
+/**
+ * Check whether a date is one of the rule's occurrences
+ * @param {String|Object} rrule - RRULE string or parsed rule
+ * @param {Date} dtstart - First day of the series
+ * @param {Date} date - Date to test
+ * @returns {Boolean}
+ */
+function isOccurrence(rrule, dtstart, date) {
+  const day = startOfDay(date);
+  return expandRRule(rrule, dtstart, { from: day, to: day }).length === 1;
+}
+
+module.exports = {
+  RecurrenceError,
+  parseRRule,
+  formatRRule,
+  expandRRule,
+  isOccurrence,
+  startOfDay,
+  addDays,
+  toDateKey,
+  fromDateKey
+};
@@ -0,0 +1,259 @@
+const Meeting = require('../models/Meeting');
+const StudentQuestion = require('../models/StudentQuestion');
+const { isMeetingManager, canViewMeeting, canReadMinutes } = require('../middleware/meetingAccess');
+const { escapeHtml } = require('./emailTemplates');
+
+/**
+ * Full-text search across meetings.
+ *
+ * MongoDB text indexes (see the Meeting and StudentQuestion models) find and
+ * score candidates; results are grouped per meeting, each carrying the
+ * fields that matched as highlighted snippets. Draft minutes and unpublished
+ * student questions only count for people allowed to see them, so a meeting
+ * found solely through those is left out for everyone else.
+ */
+
+// How many candidates to score before filtering by permission
+const MAX_CANDIDATES = 200;
+const MAX_HITS = 5;
+const SNIPPET_LENGTH = 160;
+
+// Words MongoDB ignores too; they never produce highlights
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'how',
+  'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'what',
+  'when', 'where', 'which', 'who', 'why', 'with'
+]);
+
+// Same weights as the text index, for ordering hits within a result
+const FIELD_WEIGHTS = {
+  title: 10,
+  agenda: 5,
+  decision: 5,
+  objective: 3,
+  summary: 3,
+  actionItem: 3,
+  agendaDescription: 2,
+  question: 2,
+  answer: 1
+};
+
+const PUBLIC_QUESTION_STATUSES = ['approved', 'answered'];
+
+/**
+ * Words of a query, trimmed to a stem so "decided" also highlights "decide"
+ * @param {String} q - Search text
+ * @returns {Array<String>}
+ */
+function queryTerms(q) {
+  const words = String(q).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const stems = words
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => {
+      const stem = word.replace(/(ing|ed|es|e|s)$/, '');
+      return stem.length >= 3 ? stem : word;
+    });
+  return [...new Set(stems)];
+}
+
+const termPattern = (terms) => {
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])((?:${escaped.join('|')})[\\p{L}\\p{N}]*)`, 'giu');
+};
+
+/**
+ * HTML snippet around the first match, matches wrapped in <mark>
+ * @param {String} text - Field text
+ * @param {Array<String>} terms - From queryTerms
+ * @returns {{ snippet: String, matches: Number }|null} - null when nothing matches
+ */
+function highlight(text, terms) {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = termPattern(terms);
+  const found = [...text.matchAll(pattern)];
+  if (found.length === 0) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, found[0].index - Math.floor(SNIPPET_LENGTH / 3));
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, end - SNIPPET_LENGTH);
+
+    // Do not cut words in half
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+  }
+
+  // split() with a capture group puts the matches at odd indexes
+  const parts = text.slice(start, end).split(pattern);
+  const body = parts
+    .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('');
+
+  return {
+    snippet: `${start > 0 ? '…' : ''}${body}${end < text.length ? '…' : ''}`,
+    matches: found.length
+  };
+}
+
+// Searchable text of a meeting; minutes fields are marked so drafts can be hidden
+const meetingFields = (meeting) => {
+  const base = `/api/meetings/${meeting._id}`;
+  const minutes = meeting.minutes || {};
+
+  return [
+    { field: 'title', label: 'Title', text: meeting.title, href: base },
+    { field: 'objective', label: 'Objective', text: meeting.objective, href: base },
+    ...(meeting.agenda || []).flatMap(item => [
+      { field: 'agenda', label: 'Agenda item', text: item.title, href: `/api/agenda/${meeting._id}` },
+      { field: 'agendaDescription', label: `Agenda: ${item.title}`, text: item.description, href: `/api/agenda/${meeting._id}` }
+    ]),
+    { field: 'summary', label: 'Minutes summary', text: minutes.summary, href: `${base}/minutes`, minutes: true },
+    ...(minutes.decisions || []).map(decision => ({
+      field: 'decision', label: 'Decision', text: decision, href: `${base}/minutes`, minutes: true
+    })),
+    ...(minutes.actionItems || []).map(item => ({
+      field: 'actionItem', label: 'Action item', text: item.task, href: `/api/action-items/${item._id}`, minutes: true
+    }))
+  ];
+};
+
+const questionFields = (meetingId, question) => {
+  const href = `/api/meetings/${meetingId}/student-questions`;
+  return [
+    { field: 'question', label: 'Student question', text: question.text, href, questionId: question._id },
+    { field: 'answer', label: 'Answer to student question', text: question.answer, href, questionId: question._id }
+  ];
+};
+
+const toHits = (fields, terms) => {
+  return fields
+    .map(item => {
+      const match = highlight(item.text, terms);
+      if (!match) return null;
+      return {
+        field: item.field,
+        label: item.label,
+        snippet: match.snippet,
+        href: item.href,
+        questionId: item.questionId,
+        weight: FIELD_WEIGHTS[item.field] * match.matches
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Meeting filter for the search options; guests are limited to their own meetings
+ * @param {Object} user - Searching user
+ * @param {Object} options - { from, to, type, tags, archived: exclude|include|only }
+ * @returns {Object}
+ */
+function searchFilter(user, options = {}) {
+  const filter = {};
+
+  if (options.archived === 'only') filter.isArchived = true;
+  else if (options.archived !== 'include') filter.isArchived = false;
+
+  if (options.from || options.to) {
+    filter.date = {};
+    if (options.from) filter.date.$gte = new Date(options.from);
+    if (options.to) filter.date.$lte = new Date(options.to);
+  }
+  if (options.type) filter.type = options.type;
+  if (options.tags && options.tags.length > 0) filter.tags = { $all: options.tags };
+
+  if (user.role === 'Guest') {
+    filter['attendees.user'] = user._id;
+  }
+
+  return filter;
+}
+
+/**
+ * Ranked search over meetings, agendas, minutes and student questions
+ * @param {Object} user - Searching user
+ * @param {String} q - Search text
+ * @param {Object} options - Filters as for searchFilter, plus limit
+ * @returns {Promise<Array<Object>>} - Results, best first
+ */
+async function searchMeetings(user, q, options = {}) {
+  const terms = queryTerms(q);
+  if (terms.length === 0) return [];
+
+  const filter = searchFilter(user, options);
+  const limit = options.limit || 20;
+
+  const [meetings, questions] = await Promise.all([
+    Meeting.find({ ...filter, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_CANDIDATES)
+      .lean(),
+    StudentQuestion.find({ $text: { $search: q }, status: { $ne: 'rejected' } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_CANDIDATES)
+      .lean()
+  ]);
+
+  // Meetings found only through their student questions still have to pass the filters
+  const found = new Set(meetings.map(meeting => meeting._id.toString()));
+  const extraIds = [...new Set(questions.map(question => question.meeting.toString()))]
+    .filter(id => !found.has(id));
+  const extra = extraIds.length > 0
+    ? await Meeting.find({ ...filter, _id: { $in: extraIds } }).lean()
+    : [];
+
+  const results = [...meetings, ...extra]
+    .filter(meeting => canViewMeeting(user, meeting))
+    .map(meeting => {
+      const manager = isMeetingManager(user, meeting);
+      const minutesVisible = canReadMinutes(user, meeting);
+
+      const ownQuestions = questions.filter(question => {
+        if (question.meeting.toString() !== meeting._id.toString()) return false;
+        return manager || PUBLIC_QUESTION_STATUSES.includes(question.status);
+      });
+
+      const fields = meetingFields(meeting).filter(item => minutesVisible || !item.minutes);
+      const hits = [
+        ...toHits(fields, terms),
+        ...ownQuestions.flatMap(question => toHits(questionFields(meeting._id, question), terms))
+      ].sort((a, b) => b.weight - a.weight);
+
+      // MongoDB stems differently than queryTerms, so a text match may have no highlight;
+      // keep it only when everything it could have matched is visible
+      const meetingScore = meeting.score || 0;
+      if (hits.length === 0 && !(meetingScore > 0 && minutesVisible)) return null;
+
+      const questionScore = Math.max(0, ...ownQuestions.map(question => question.score || 0));
+
+      return {
+        meeting: {
+          _id: meeting._id,
+          title: meeting.title,
+          date: meeting.date,
+          startTime: meeting.startTime,
+          type: meeting.type,
+          status: meeting.status,
+          tags: meeting.tags,
+          isArchived: meeting.isArchived,
+          href: `/api/meetings/${meeting._id}`
+        },
+        score: Math.round((meetingScore + questionScore / 2) * 1000) / 1000,
+        hits: hits.slice(0, MAX_HITS).map(({ weight, ...hit }) => hit)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || b.meeting.date - a.meeting.date);
+
+  return results.slice(0, limit);
+}
+
+module.exports = {
+  queryTerms,
+  highlight,
+  searchFilter,
+  searchMeetings
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage for meeting attachments.
+ *
+ * Routes only talk to the interface below (save, createReadStream, remove),
+ * addressing files by key such as "meetings/<meetingId>/<name>". LocalStorage
+ * keeps them on disk; an object store driver (S3, GCS, ...) only has to
+ * implement the same methods and be registered in DRIVERS.
+ *
+ * Files live outside the statically served /uploads folder so downloads
+ * always go through the access-checked attachment routes.
+ */
+
+const DEFAULT_ROOT = path.join(__dirname, '..', 'storage');
+
+// Keys are generated by us, but never let one climb out of the root
+const validateKey = (key) => {
+  const normalized = path.posix.normalize(String(key));
+  if (!normalized || normalized.startsWith('..') || path.posix.isAbsolute(normalized)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+};
+
+class LocalStorage {
+  /**
+   * @param {Object} options - { root } directory the files are kept in
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = options.root || DEFAULT_ROOT;
+  }
+
+  resolve(key) {
+    return path.join(this.root, ...validateKey(key).split('/'));
+  }
+
+  /**
+   * Store a file
+   * @param {String} key - Where to store it
+   * @param {Buffer} buffer - File contents
+   * @param {Object} meta - { contentType } (unused on disk)
+   * @returns {Promise<{ key: String, size: Number }>}
+   */
+  async save(key, buffer, meta = {}) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer, { flag: 'wx' });
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Stream a stored file; rejects with code ENOENT when it is missing
+   * @param {String} key
+   * @returns {Promise<ReadableStream>}
+   */
+  async createReadStream(key) {
+    const file = this.resolve(key);
+    await fs.promises.access(file, fs.constants.R_OK);
+    return fs.createReadStream(file);
+  }
+
+  /**
+   * Delete a stored file; missing files are ignored
+   * @param {String} key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+const DRIVERS = {
+  local: (options) => new LocalStorage(options)
+};
+
+let storage = null;
+
+/**
+ * The configured storage (STORAGE_DRIVER, default local; STORAGE_DIR for local)
+ * @returns {LocalStorage}
+ */
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storage = DRIVERS[driver]({ root: process.env.STORAGE_DIR });
+  }
+  return storage;
+}
+
+/**
+ * Delete the stored files (and thumbnails) of meeting attachments; failures are logged, not thrown
+ * @param {Array<Object>} attachments - Meeting.attachments entries
+ * @returns {Promise<Number>} - Files removed
+ */
+async function removeAttachmentFiles(attachments) {
+  const keys = attachments
+    .flatMap(attachment => [attachment.key, attachment.thumbnailKey])
+    .filter(Boolean);
+
+  let removed = 0;
+  for (const key of keys) {
+    try {
+      await getStorage().remove(key);
+      removed += 1;
+    } catch (error) {
+      console.error(`Failed to remove stored file ${key}:`, error.message);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  LocalStorage,
+  getStorage,
+  removeAttachmentFiles
+};
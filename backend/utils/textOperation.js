@@ -0,0 +1,217 @@
+// Operational transformation for plain text.
+// An operation is an array of components walked over the document from the start:
+//   positive integer - retain that many characters
+//   negative integer - delete that many characters
+//   non-empty string - insert the string
+// Every operation must cover the whole document it is applied to.
+
+class OperationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OperationError';
+  }
+}
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+const isInsert = (component) => typeof component === 'string' && component.length > 0;
+
+const isValid = (operation) => {
+  return Array.isArray(operation) &&
+    operation.every(component => isRetain(component) || isDelete(component) || isInsert(component));
+};
+
+// Append a component, merging it into the previous one of the same kind
+const push = (operation, component) => {
+  if (component === 0 || component === '') return operation;
+
+  const last = operation[operation.length - 1];
+  if (isInsert(component) && isInsert(last)) {
+    operation[operation.length - 1] = last + component;
+  } else if (isRetain(component) && isRetain(last)) {
+    operation[operation.length - 1] = last + component;
+  } else if (isDelete(component) && isDelete(last)) {
+    operation[operation.length - 1] = last + component;
+  } else if (isInsert(component) && isDelete(last)) {
+    // Keep inserts before deletes so equal operations have one shape
+    const beforeLast = operation[operation.length - 2];
+    if (isInsert(beforeLast)) {
+      operation[operation.length - 2] = beforeLast + component;
+    } else {
+      operation.splice(operation.length - 1, 0, component);
+    }
+  } else {
+    operation.push(component);
+  }
+  return operation;
+};
+
+// Length of the document an operation applies to
+const baseLength = (operation) => operation.reduce((length, component) => {
+  if (isRetain(component)) return length + component;
+  if (isDelete(component)) return length - component;
+  return length;
+}, 0);
+
+// Length of the document an operation produces
+const targetLength = (operation) => operation.reduce((length, component) => {
+  if (isRetain(component)) return length + component;
+  if (isInsert(component)) return length + component.length;
+  return length;
+}, 0);
+
+const normalize = (operation) => operation.reduce(push, []);
+
+// Document-sized no-op
+const identity = (length) => push([], length);
+
+/**
+ * Apply an operation to a text
+ * @param {String} text - Document the operation was made against
+ * @param {Array} operation - Operation components
+ * @returns {String} - New document
+ * @throws {OperationError} - When the operation does not fit the text
+ */
+function apply(text, operation) {
+  if (!isValid(operation)) {
+    throw new OperationError('Invalid operation');
+  }
+  if (baseLength(operation) !== text.length) {
+    throw new OperationError(`Operation expects a document of length ${baseLength(operation)}, got ${text.length}`);
+  }
+
+  let index = 0;
+  let result = '';
+  operation.forEach(component => {
+    if (isRetain(component)) {
+      result += text.slice(index, index + component);
+      index += component;
+    } else if (isDelete(component)) {
+      index -= component;
+    } else {
+      result += component;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Combine two consecutive operations into one with the same effect
+ * @param {Array} first - Applied first
+ * @param {Array} second - Applied to the result of first
+ * @returns {Array}
+ */
+function compose(first, second) {
+  if (targetLength(first) !== baseLength(second)) {
+    throw new OperationError('Operations cannot be composed: lengths do not line up');
+  }
+
+  const result = [];
+  const a = first.slice();
+  const b = second.slice();
+  let opA = a.shift();
+  let opB = b.shift();
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isDelete(opA)) {
+      push(result, opA);
+      opA = a.shift();
+      continue;
+    }
+    if (isInsert(opB)) {
+      push(result, opB);
+      opB = b.shift();
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new OperationError('Operations cannot be composed: one is too short');
+    }
+
+    const lengthA = isInsert(opA) ? opA.length : opA;
+    const lengthB = Math.abs(opB);
+    const size = Math.min(lengthA, lengthB);
+
+    if (isRetain(opA) && isRetain(opB)) {
+      push(result, size);
+    } else if (isInsert(opA) && isRetain(opB)) {
+      push(result, opA.slice(0, size));
+    } else if (isRetain(opA) && isDelete(opB)) {
+      push(result, -size);
+    }
+    // An insert followed by a delete of the same text cancels out
+
+    opA = lengthA > size ? (isInsert(opA) ? opA.slice(size) : opA - size) : a.shift();
+    opB = lengthB > size ? (isRetain(opB) ? opB - size : opB + size) : b.shift();
+  }
+
+  return result;
+}
+
+/**
+ * Transform two concurrent operations made against the same document.
+ * apply(apply(text, a), bPrime) === apply(apply(text, b), aPrime)
+ * When both insert at the same position, a's insert goes first.
+ * @param {Array} a - Operation that wins insert ties
+ * @param {Array} b - Concurrent operation
+ * @returns {Array} - [aPrime, bPrime]
+ */
+function transform(a, b) {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new OperationError('Concurrent operations must apply to the same document');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  const restA = a.slice();
+  const restB = b.slice();
+  let opA = restA.shift();
+  let opB = restB.shift();
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      push(aPrime, opA);
+      push(bPrime, opA.length);
+      opA = restA.shift();
+      continue;
+    }
+    if (isInsert(opB)) {
+      push(aPrime, opB.length);
+      push(bPrime, opB);
+      opB = restB.shift();
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new OperationError('Concurrent operations have different lengths');
+    }
+
+    const size = Math.min(Math.abs(opA), Math.abs(opB));
+
+    if (isRetain(opA) && isRetain(opB)) {
+      push(aPrime, size);
+      push(bPrime, size);
+    } else if (isDelete(opA) && isRetain(opB)) {
+      push(aPrime, -size);
+    } else if (isRetain(opA) && isDelete(opB)) {
+      push(bPrime, -size);
+    }
+    // Both deleting the same characters: nothing left to do
+
+    opA = Math.abs(opA) > size ? opA - Math.sign(opA) * size : restA.shift();
+    opB = Math.abs(opB) > size ? opB - Math.sign(opB) * size : restB.shift();
+  }
+
+  return [aPrime, bPrime];
+}
+
+module.exports = {
+  OperationError,
+  isValid,
+  baseLength,
+  targetLength,
+  normalize,
+  identity,
+  apply,
+  compose,
+  transform
+};